@@ -2,21 +2,275 @@
 
 /**
  * Vue i18n 转换工具 CLI 入口
- * 使用方式: vue-i18n-convert <vue-file-path> [zh-file-path] [options]
+ * 使用方式: vue-i18n-convert <vue-file-path|dir|glob...> [zh-file-path] [options]
+ *           vue-i18n-convert check <vue-file-path|dir|glob...> [options]
+ *           vue-i18n-convert rekey <vue-file-path|dir|glob...> [zh-file-path] [options]
+ *           vue-i18n-convert revert <vue-file-path|dir|glob...> [zh-file-path] [options]
  */
 
-const { convertVueFile } = require('./src/parser');
+const fs = require('fs');
+const path = require('path');
+const { convertVueFile, convertFiles, isSupportedFile } = require('./src/parser');
+const { checkFiles } = require('./src/check');
+const { collectFiles, hasGlobMagic, isGlobPattern } = require('./src/files');
+const { findConfigFile, loadConfig, resolveOptions } = require('./src/config');
+const { KEY_STRATEGIES } = require('./src/keyGenerator');
+const { TRANSLATION_PLACEHOLDERS, getUnsupportedSyncReason } = require('./src/localeSync');
+const { REPORT_FORMATS } = require('./src/report');
+
+/**
+ * 判断位置参数是否是语言包文件（如 zh.js、zh-CN.ts、./locales/zh_CN.json、zh.yaml）
+ * 其他 .js/.ts 文件作为待转换的源文件
+ * @param {string} arg
+ * @returns {boolean}
+ */
+function isLocaleFileName(arg) {
+  return !hasGlobMagic(arg) && /^zh([-_][a-z]+)?\.(js|ts|json|ya?ml)$/i.test(path.basename(arg));
+}
 
 // 获取命令行参数
 const args = process.argv.slice(2);
 
-if (args.length === 0) {
+// 子命令（默认为转换）
+const command = ['check', 'rekey', 'revert'].includes(args[0]) ? args.shift() : 'convert';
+
+// 解析参数（只记录命令行中出现的参数，未出现的由配置文件或默认值提供）
+const cli = {};
+const inputs = [];
+const include = [];
+const exclude = [];
+const syncLocales = [];
+const matchPaths = [];
+let configPath = null;
+let showHelp = false;
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+
+  if (arg === '--help' || arg === '-h') {
+    showHelp = true;
+  } else if (arg === '--skip-unmatched' || arg === '-s') {
+    cli.skipUnmatched = true;
+  } else if (arg === '--match-path' || arg === '-mp') {
+    // 下一个参数是路径前缀（可多次指定，也可以用逗号分隔）
+    if (i + 1 < args.length) {
+      matchPaths.push(...args[i + 1].split(',').filter(Boolean));
+      i++; // 跳过下一个参数
+    }
+  } else if (arg === '--prefer-nearest-namespace') {
+    cli.preferNearestNamespace = true;
+  } else if (arg === '--generate-keys' || arg === '-g') {
+    cli.generateKeys = true;
+  } else if (arg === '--key-strategy') {
+    // 下一个参数是 key 生成方式
+    if (i + 1 < args.length) {
+      cli.keyStrategy = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--key-namespace') {
+    // 下一个参数是新 key 所在的命名空间
+    if (i + 1 < args.length) {
+      cli.keyNamespace = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--sync-locale') {
+    // 下一个参数是需要同步的其他语言包（可多次指定）
+    if (i + 1 < args.length) {
+      syncLocales.push(args[i + 1]);
+      i++;
+    }
+  } else if (arg === '--translation-placeholder') {
+    // 下一个参数是补充到其他语言包的占位文本类型
+    if (i + 1 < args.length) {
+      cli.translationPlaceholder = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--report-format') {
+    // 下一个参数是转换报告的格式
+    if (i + 1 < args.length) {
+      cli.reportFormat = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--report-dir') {
+    // 下一个参数是转换报告的输出目录
+    if (i + 1 < args.length) {
+      cli.reportDir = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--dry-run' || arg === '-n') {
+    cli.dryRun = true;
+  } else if (arg === '--diff-out') {
+    // 下一个参数是 patch 文件路径
+    if (i + 1 < args.length) {
+      cli.diffOut = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--config') {
+    // 下一个参数是配置文件路径
+    if (i + 1 < args.length) {
+      configPath = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--baseline') {
+    // 下一个参数是 baseline 文件路径
+    if (i + 1 < args.length) {
+      cli.baseline = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--update-baseline') {
+    cli.updateBaseline = true;
+  } else if (arg === '--format') {
+    // 下一个参数是输出格式
+    if (i + 1 < args.length) {
+      cli.format = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--include' || arg === '--exclude') {
+    // 下一个参数是 glob 模式
+    if (i + 1 < args.length) {
+      (arg === '--include' ? include : exclude).push(args[i + 1]);
+      i++;
+    }
+  } else if (arg === '--locale' || arg === '-l') {
+    // 下一个参数是语言包路径
+    if (i + 1 < args.length) {
+      cli.locale = args[i + 1];
+      i++;
+    }
+  } else if (arg === '--ext') {
+    // 下一个参数是逗号分隔的扩展名列表
+    if (i + 1 < args.length) {
+      cli.extensions = args[i + 1].split(',').map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+      i++;
+    }
+  } else if (isLocaleFileName(arg)) {
+    // 兼容旧用法：zh.js 形式的位置参数视为语言包
+    cli.locale = arg;
+  } else if (!arg.startsWith('-')) {
+    // .vue/.js/.ts 文件、目录或 glob 模式
+    inputs.push(arg);
+  }
+}
+
+cli.files = inputs;
+cli.include = include;
+cli.exclude = exclude;
+cli.syncLocales = syncLocales;
+cli.matchPath = matchPaths;
+
+// 加载配置文件
+let config = {};
+const resolvedConfigPath = configPath || findConfigFile();
+if (resolvedConfigPath) {
+  try {
+    config = loadConfig(resolvedConfigPath);
+  } catch (error) {
+    console.error(`错误: 无法加载配置文件 ${resolvedConfigPath}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (showHelp || (args.length === 0 && !resolvedConfigPath)) {
+  printHelp();
+  process.exit(0);
+}
+
+const options = resolveOptions(cli, config);
+
+if (options.files.length === 0) {
+  console.error('错误: 请提供 .vue 文件、目录或 glob 模式（或在配置文件中设置 files）');
+  process.exit(1);
+}
+
+/**
+ * 根据输入收集 .vue 文件，没有文件时退出
+ * @returns {Array<string>}
+ */
+function resolveInputFiles() {
+  const { files, missing } = collectFiles(options.files, {
+    include: options.include,
+    exclude: options.exclude,
+    extensions: options.extensions
+  });
+
+  for (const input of missing) {
+    console.warn(`⚠ 路径不存在或没有匹配的目录: ${input}`);
+  }
+
+  if (files.length === 0) {
+    console.error(`错误: 没有找到需要处理的文件（${options.extensions.join(', ')}）`);
+    process.exit(1);
+  }
+
+  return files;
+}
+
+if (options.generateKeys && !KEY_STRATEGIES.includes(options.keyStrategy)) {
+  console.error(`错误: 不支持的 key 生成方式 ${options.keyStrategy}（可选: ${KEY_STRATEGIES.join(', ')}）`);
+  process.exit(1);
+}
+
+if (!TRANSLATION_PLACEHOLDERS.includes(options.translationPlaceholder)) {
+  console.error(`错误: 不支持的占位文本类型 ${options.translationPlaceholder}（可选: ${TRANSLATION_PLACEHOLDERS.join(', ')}）`);
+  process.exit(1);
+}
+
+for (const localePath of options.syncLocales) {
+  const unsupported = getUnsupportedSyncReason(localePath);
+  if (unsupported) {
+    console.error(`错误: ${unsupported}`);
+    process.exit(1);
+  }
+}
+
+if (!REPORT_FORMATS.includes(options.reportFormat)) {
+  console.error(`错误: 不支持的报告格式 ${options.reportFormat}（可选: ${REPORT_FORMATS.join(', ')}）`);
+  process.exit(1);
+}
+
+if (command === 'check') {
+  if (options.updateBaseline && !options.baseline) {
+    console.error('错误: --update-baseline 需要同时指定 --baseline <file>');
+    process.exit(1);
+  }
+
+  const result = checkFiles(resolveInputFiles(), options);
+  if (result.findings.length > 0 || result.failed.length > 0) {
+    process.exitCode = 1;
+  }
+} else {
+  // rekey 和 revert 使用相同的流程，只是替换已有的 i18n 调用（见 src/rekey.js、src/revert.js）
+  options.mode = command;
+  const inputFiles = options.files;
+
+  // 单个文件：保持逐文件输出
+  const isSingleFile = inputFiles.length === 1 && !isGlobPattern(inputFiles[0]) &&
+    isSupportedFile(inputFiles[0]) && !(fs.existsSync(inputFiles[0]) && fs.statSync(inputFiles[0]).isDirectory());
+  if (isSingleFile) {
+    if (!convertVueFile(inputFiles[0], options.locale, options)) {
+      process.exitCode = 1;
+    }
+  } else {
+    const summary = convertFiles(resolveInputFiles(), options.locale, options);
+    if (summary.failed.length > 0) {
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * 输出帮助信息
+ */
+function printHelp() {
   console.log(`
 Vue i18n 转换工具
 =================
 
 使用方式:
-  vue-i18n-convert <vue文件路径> [zh.js文件路径] [选项]
+  vue-i18n-convert <vue/js/ts文件路径|目录|glob...> [zh.js文件路径] [选项]
+  vue-i18n-convert check <vue文件路径|目录|glob...> [检查选项]
+  vue-i18n-convert rekey <vue/js/ts文件路径|目录|glob...> [zh.js文件路径] [选项]
+  vue-i18n-convert revert <vue/js/ts文件路径|目录|glob...> [zh.js文件路径] [选项]
 
 示例:
   vue-i18n-convert ./src/components/HelloWorld.vue
@@ -24,57 +278,71 @@ Vue i18n 转换工具
   vue-i18n-convert ./src/components/HelloWorld.vue --skip-unmatched
   vue-i18n-convert ./src/components/HelloWorld.vue ./locales/zh.js --match-path pda
   vue-i18n-convert ./src/components/HelloWorld.vue -mp pda.barcode
+  vue-i18n-convert ./src/views --match-path pda --match-path order --prefer-nearest-namespace
+  vue-i18n-convert ./src/views ./src/components ./locales/zh.js
+  vue-i18n-convert "src/**/*.vue" --exclude "**/demo/**"
+  vue-i18n-convert ./src/views --dry-run
+  vue-i18n-convert ./src/views ./locales/zh.js --generate-keys --key-strategy pinyin
+  vue-i18n-convert ./src/views ./locales/zh.js -g --sync-locale ./locales/en.js --sync-locale ./locales/ja.js
+  vue-i18n-convert ./src/views --diff-out i18n.patch
+  vue-i18n-convert check ./src --baseline i18n-baseline.json
+  vue-i18n-convert rekey ./src/views ./locales/zh.js --dry-run
+  vue-i18n-convert revert ./src/views/order ./locales/zh.js --dry-run
+  vue-i18n-convert ./src/api/order.js ./src/store --ext .js,.ts --locale ./locales/zh.js
+  vue-i18n-convert --config ./i18n-convert.config.js
 
 选项:
   --skip-unmatched, -s       跳过在 zh.js 中匹配不到的文本，不进行转换（默认会转换）
   --match-path <prefix>, -mp <prefix>
-                             只匹配指定路径前缀的 key（common. 前缀始终匹配）
+                             只匹配指定路径前缀的 key（可多次指定或用逗号分隔，靠前的优先；common 等 namespacePriority 中的命名空间始终匹配）
+  --prefer-nearest-namespace 同一文本对应多个 key 时，优先使用与文件所在目录同名的命名空间（如 views/pda → pda.*）
+  --generate-keys, -g        为未匹配的文本生成 key，并写入语言包（保留原有格式和注释）
+  --key-strategy <name>      key 生成方式：path（文件路径 + 序号，默认）、hash（内容哈希）、pinyin（拼音）
+  --key-namespace <ns>       新 key 在语言包中所在的命名空间（默认 generated）
+  --sync-locale <file>       将使用的 key 同步到其他语言包（可多次指定），并列出未翻译的 key
+  --translation-placeholder <todo|source|empty>
+                             同步到其他语言包的占位文本：TODO: 中文（默认）、中文原文或空字符串
+  --locale <path>, -l <path> 指定语言包文件或目录（支持 js/ts/JSON/YAML；位置参数中的 zh.js 也会被识别为语言包）
+  --ext <list>               遍历目录时处理的扩展名，逗号分隔（默认 .vue，如 .vue,.js,.ts）
+  --include <glob>           只处理匹配的文件（可多次指定，用于目录和 glob 输入）
+  --exclude <glob>           排除匹配的文件（可多次指定，node_modules 始终排除）
+  --report-format <json|csv|html>
+                             转换报告 i18n-report.* 的格式，默认 json（多次运行合并到同一份报告）
+  --report-dir <dir>         转换报告的输出目录，默认为当前目录
+  --dry-run, -n              只输出转换后的 unified diff，不写入任何文件
+  --diff-out <file>          将所有改动写入 patch 文件（可用 git apply 应用），不修改源文件
+  --config <file>            指定配置文件（默认从当前目录向上查找 i18n-convert.config.js/.json）
+
+检查选项（check）:
+  --baseline <file>          忽略 baseline 文件中已记录的中文（存量问题不导致失败）
+  --update-baseline          将本次检查结果写入 --baseline 指定的文件
+  --format <text|json>       输出格式，默认 text
 
 功能:
+  - 支持目录（递归）、多个路径和 glob 模式批量转换，结束后输出汇总
+  - check 命令只检查不修改，发现未转换的中文时以非零状态码退出（用于 CI）
+  - rekey 命令将以中文作为 key 的 $t('中文')、i18n.t('中文') 等调用更新为语言包中的 key（可以反复运行）
+  - revert 命令将 $t('key')、i18n.t('key', {...}) 等调用还原为语言包中的文本，无法还原的调用保持不变并记录到转换报告
   - 自动将 template 中的中文转换为 {{ $t('key') }}
   - 自动将 script 中的中文转换为 i18n.t('key')
-  - 支持模板字符串，转换为 i18n.t('文本{param1}', {param1: xxx})
+  - 支持独立的 .js/.ts 模块（接口封装、store、路由配置等），并自动添加 i18n 实例的导入
+  - 支持 JSX/TSX 中的文本和字符串属性（render 函数、.jsx/.tsx 组件）
+  - 支持模板字符串，转换为 i18n.t('当前用户{username}', {username: xxx})，占位符名称根据变量名生成
   - 跳过 console.* 和注释中的内容
   - 跳过纯英文、纯数字
 
 zh.js 语言包支持:
   - 如果提供 zh.js 文件路径，将使用其中定义的 key 进行映射
-  - 如果未提供，工具会自动在常见位置查找 zh.js 文件
+  - 如果未提供，工具会自动在常见位置查找 zh.js 文件（也查找 zh.ts、zh.json、zh.yaml 和 zh 目录）
+  - 支持按模块拆分的语言包目录，跟随 index 文件中的 import 和对象展开
   - 如果中文在 zh.js 中有对应的 key，则使用该 key
   - 默认情况：如果中文在 zh.js 中没有对应的 key，则使用中文本身作为 key
   - 使用 --skip-unmatched：如果中文在 zh.js 中没有对应的 key，则保留原中文不转换
-  `);
-  process.exit(0);
-}
-
-// 解析参数
-let filePath = null;
-let zhFilePath = null;
-let skipUnmatched = false;
-let matchPath = null;
+  - 使用 --generate-keys：为没有对应 key 的中文生成新 key，写入 zh.js 并在代码中使用
 
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
-
-  if (arg === '--skip-unmatched' || arg === '-s') {
-    skipUnmatched = true;
-  } else if (arg === '--match-path' || arg === '-mp') {
-    // 下一个参数是路径前缀
-    if (i + 1 < args.length) {
-      matchPath = args[i + 1];
-      i++; // 跳过下一个参数
-    }
-  } else if (arg.endsWith('.vue')) {
-    filePath = arg;
-  } else if (arg.endsWith('.js')) {
-    zhFilePath = arg;
-  }
-}
-
-if (!filePath) {
-  console.error('错误: 请提供 .vue 文件路径');
-  process.exit(1);
+配置文件:
+  - 支持 i18n-convert.config.js 或 i18n-convert.config.json，从当前目录逐级向上查找
+  - 可配置语言包路径、匹配前缀、i18n 调用名称、忽略规则、报告目录和文件 glob
+  - 命令行参数优先于配置文件
+  `);
 }
-
-// 转换文件
-convertVueFile(filePath, zhFilePath, { skipUnmatched, matchPath });
@@ -0,0 +1,113 @@
+/**
+ * Node API：供构建脚本和编辑器插件调用
+ * convertSource 不读写文件、不输出日志，结果全部通过返回值提供
+ */
+const path = require('path');
+const { transformSource, convertVueFile, convertFiles } = require('./parser');
+const { checkFiles } = require('./check');
+const { collectFiles } = require('./files');
+const { findConfigFile, loadConfig, resolveOptions } = require('./config');
+const { createKeyGenerator } = require('./keyGenerator');
+const {
+  runWithIsolatedState,
+  setConvertOptions,
+  loadI18nMap,
+  setI18nMessages,
+  setKeyGenerator,
+  getI18nKeys,
+  logDiagnostic,
+  getDiagnostics
+} = require('./utils');
+
+/**
+ * 转换源码并返回结果（无副作用）
+ * @param {string} source - Vue 文件或独立 js/ts 模块的内容
+ * @param {Object} options
+ * @param {string} options.filename - 文件名（根据扩展名判断文件类型，默认按 .vue 处理）
+ * @param {string|Object} options.locale - 语言包路径（js/ts、JSON、YAML 文件或目录）或语言包对象
+ * @param {boolean} options.skipUnmatched - 是否跳过未匹配的文本
+ * @param {string|Array<string>} options.matchPath - 匹配的路径前缀
+ * @param {Array<string>} options.namespacePriority - 同一文本对应多个 key 时优先使用的命名空间
+ * @param {boolean} options.preferNearestNamespace - 优先使用与文件所在目录同名的命名空间
+ * @param {string} options.i18nCall - script 中固定使用的 i18n 调用（不设置时根据上下文选择）
+ * @param {string} options.templateCall - template 中使用的 i18n 调用
+ * @param {string} options.componentI18nCall - Options API 组件方法中使用的 i18n 调用
+ * @param {string} options.setupI18nCall - <script setup> 和 setup() 中使用的 i18n 调用
+ * @param {string} options.useI18nImportPath - useI18n 的导入路径
+ * @param {string} options.moduleI18nCall - 模块作用域和独立 js/ts 模块中使用的 i18n 调用
+ * @param {string} options.i18nImportPath - i18n 实例的导入路径
+ * @param {Array<string|RegExp>} options.ignore - 不转换的中文文本
+ * @param {Array<string>} options.ignoreCallees - 不转换参数的函数（支持 * 通配符）
+ * @param {boolean} options.ignoreComparisons - 是否跳过比较中的字符串
+ * @param {boolean} options.ignoreSwitchCases - 是否跳过 switch 的 case 值
+ * @param {Array<string>} options.ignoreAttributes - 不转换的 template 属性
+ * @param {Array<string>} options.ignoreComponents - 不转换的 template 组件
+ * @param {Array<Object>} options.affixes - 词缀规则，如 [{ suffix: '！' }, { prefix: '请输入', translate: true }]
+ * @param {boolean} options.generateKeys - 为未匹配的文本生成 key（不写入语言包，通过 generatedKeys 返回）
+ * @param {string} options.keyStrategy - key 生成方式：'path'（默认）、'hash' 或 'pinyin'
+ * @param {string} options.keyNamespace - 新 key 所在的命名空间
+ * @returns {Object} { code, changed, replacements, generatedKeys, diagnostics }
+ *   replacements: [{ file, text, key, matched, replaced, kind, block, line, column }]
+ *   generatedKeys: [{ key, text }]
+ *   diagnostics: [{ level: 'info'|'warning'|'error', message }]
+ */
+function convertSource(source, options = {}) {
+  const { filename = 'anonymous.vue', locale, ...convertOptions } = options;
+
+  return runWithIsolatedState(() => {
+    setConvertOptions(convertOptions);
+
+    if (typeof locale === 'string') {
+      loadI18nMap(path.resolve(locale));
+    } else if (locale) {
+      setI18nMessages(locale);
+    }
+
+    let generator = null;
+    if (convertOptions.generateKeys) {
+      generator = createKeyGenerator({
+        strategy: convertOptions.keyStrategy,
+        namespace: convertOptions.keyNamespace === undefined ? 'generated' : convertOptions.keyNamespace,
+        existingKeys: getI18nKeys()
+      });
+      setKeyGenerator(text => generator.generate(text, filename));
+    }
+
+    let code = source;
+    let records = [];
+    try {
+      ({ code, records } = transformSource(source, filename));
+    } catch (error) {
+      logDiagnostic('error', `${filename}: ${error.message}`);
+    }
+
+    return {
+      code,
+      changed: code !== source,
+      replacements: records.map(({ text, key, matched, kind, block, line, column }) => ({
+        file: filename,
+        text,
+        key,
+        matched,
+        replaced: key !== null,
+        kind,
+        block,
+        line,
+        column
+      })).sort((a, b) => a.line - b.line || a.column - b.column),
+      generatedKeys: generator ? generator.entries.slice() : [],
+      diagnostics: getDiagnostics()
+    };
+  });
+}
+
+module.exports = {
+  convertSource,
+  convertVueFile,
+  convertFiles,
+  checkFiles,
+  collectFiles,
+  findConfigFile,
+  loadConfig,
+  resolveOptions
+};
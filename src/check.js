@@ -0,0 +1,199 @@
+/**
+ * 检查模式：找出 Vue 文件中残留的中文，不修改文件（用于 CI）
+ */
+const fs = require('fs');
+const path = require('path');
+const { transformSource, resolveZhFilePath, getSyncLocalePaths, isLocaleSourceFile } = require('./parser');
+const { loadLocaleMessages } = require('./localeLoader');
+const { loadI18nMap, setConvertOptions } = require('./utils');
+
+/**
+ * 转换为相对于工作目录的 POSIX 路径（报告和 baseline 中使用）
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toRelativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * 检查单个 Vue 文件（或独立的 js/ts 模块），返回所有残留的中文
+ * @param {string} filePath - 文件路径
+ * @returns {Array<Object>} [{ file, line, column, block, kind, text: 代码中的原文本（包括冒号等词缀） }]（script 解析失败等无法检查时抛出异常）
+ */
+function checkVueFile(filePath) {
+  const source = fs.readFileSync(filePath, 'utf-8');
+  const file = toRelativePath(filePath);
+
+  return transformSource(source, filePath).records
+    .map(({ line, column, block, kind, text, sourceText }) => ({ file, line, column, block, kind, text: sourceText || text }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * 创建语言包文件的判断函数：与批量转换一样跳过语言包及其 import 的文件（检查不加载语言包，只读取文件列表）
+ * @param {Object} options - 检查选项（locale、syncLocales）
+ * @returns {Function} (filePath) => boolean
+ */
+function createLocaleFileFilter(options) {
+  const syncLocalePaths = getSyncLocalePaths(options);
+  const localeFilesByPath = new Map();
+
+  return filePath => {
+    const zhPath = resolveZhFilePath(filePath, options.locale);
+    if (zhPath && !localeFilesByPath.has(zhPath)) {
+      let files = new Set();
+      try {
+        files = loadLocaleMessages(zhPath).files;
+      } catch (error) {
+        // 无法读取的语言包只跳过它本身
+      }
+      localeFilesByPath.set(zhPath, files);
+    }
+    return isLocaleSourceFile(filePath, zhPath, zhPath ? localeFilesByPath.get(zhPath) : new Set(), syncLocalePaths);
+  };
+}
+
+/**
+ * 读取 baseline 文件
+ * 格式：{ "相对路径": { "中文文本": 允许的出现次数 } }
+ * @param {string} baselinePath
+ * @returns {Object}
+ */
+function loadBaseline(baselinePath) {
+  if (!baselinePath || !fs.existsSync(baselinePath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+}
+
+/**
+ * 根据检查结果生成 baseline 内容
+ * @param {Array<Object>} findings
+ * @returns {Object}
+ */
+function createBaseline(findings) {
+  const baseline = {};
+  for (const { file, text } of findings) {
+    baseline[file] = baseline[file] || {};
+    baseline[file][text] = (baseline[file][text] || 0) + 1;
+  }
+  return baseline;
+}
+
+/**
+ * 过滤掉 baseline 中已记录的问题
+ * baseline 按 文件 + 文本 计数，不依赖行号，代码移动不会导致误报
+ * @param {Array<Object>} findings
+ * @param {Object} baseline
+ * @returns {Array<Object>} 新增的问题
+ */
+function filterBaseline(findings, baseline) {
+  const remaining = {};
+  return findings.filter(({ file, text }) => {
+    const allowed = baseline[file] && baseline[file][text];
+    if (!allowed) return true;
+
+    const key = `${file}\u0000${text}`;
+    const used = remaining[key] || 0;
+    remaining[key] = used + 1;
+    return used >= allowed;
+  });
+}
+
+/**
+ * 转义文本中的换行符、制表符，便于单行显示
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text.replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t');
+}
+
+/**
+ * 检查多个 Vue 文件
+ * @param {Array<string>} filePaths - Vue 文件路径列表
+ * @param {Object} options
+ * @param {string} options.baseline - baseline 文件路径，其中记录的问题不计入结果
+ * @param {boolean} options.updateBaseline - 将本次结果写入 baseline 文件
+ * @param {string} options.format - 输出格式：'text'（默认）或 'json'
+ * @param {Array<string|RegExp>} options.ignore - 不视为残留的中文文本（同转换选项）
+ * @param {string} options.locale - 语言包路径（语言包及其 import 的文件不检查，未指定时同转换一样按文件位置查找）
+ * @param {Array<string>} options.syncLocales - 需要同步的其他语言包（同样不检查）
+ * @returns {Object} { findings: 新增问题, baselined: 被 baseline 忽略的数量, failed: [{ file, message }] }
+ */
+function checkFiles(filePaths, options = {}) {
+  // 检查不依赖语言包：所有中文都算残留，且不跳过任何文本（忽略规则和调用名称仍然生效）
+  loadI18nMap(null);
+  setConvertOptions({ ...options, skipUnmatched: false, matchPath: null });
+
+  const allFindings = [];
+  const failed = [];
+  const isLocaleFile = createLocaleFileFilter(options);
+  let checked = 0;
+
+  for (const filePath of filePaths) {
+    if (isLocaleFile(filePath)) continue;
+    checked++;
+    try {
+      allFindings.push(...checkVueFile(filePath));
+    } catch (error) {
+      failed.push({ file: toRelativePath(filePath), message: error.message });
+    }
+  }
+
+  if (options.updateBaseline && options.baseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(createBaseline(allFindings), null, 2) + '\n', 'utf-8');
+  }
+
+  const findings = options.updateBaseline ? [] : filterBaseline(allFindings, loadBaseline(options.baseline));
+  const result = {
+    findings,
+    baselined: allFindings.length - findings.length,
+    failed
+  };
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printResult(result, checked, options);
+  }
+
+  return result;
+}
+
+/**
+ * 以可读格式输出检查结果
+ * @param {Object} result - checkFiles 的结果
+ * @param {number} total - 检查的文件数
+ * @param {Object} options
+ */
+function printResult(result, total, options) {
+  for (const { file, line, column, block, text } of result.findings) {
+    console.log(`${file}:${line}:${column}  [${block}]  ${escapeText(text)}`);
+  }
+  for (const { file, message } of result.failed) {
+    console.error(`✗ ${file}: ${message}`);
+  }
+
+  if (options.updateBaseline) {
+    console.log(`✓ 已将 ${result.baselined} 处中文写入 baseline: ${options.baseline}`);
+    return;
+  }
+
+  const baselinedInfo = result.baselined > 0 ? `，baseline 中已忽略 ${result.baselined} 处` : '';
+  // 无法解析的文件没有被检查，不能视为通过
+  const failedInfo = result.failed.length > 0 ? `，${result.failed.length} 个文件无法检查` : '';
+  if (result.findings.length > 0) {
+    console.log(`\n✗ 检查了 ${total} 个文件，发现 ${result.findings.length} 处未转换的中文${baselinedInfo}${failedInfo}`);
+  } else if (result.failed.length > 0) {
+    console.log(`\n✗ 检查了 ${total} 个文件，没有发现未转换的中文${baselinedInfo}${failedInfo}`);
+  } else {
+    console.log(`✓ 检查了 ${total} 个文件，没有发现未转换的中文${baselinedInfo}`);
+  }
+}
+
+module.exports = {
+  checkVueFile,
+  checkFiles
+};
@@ -0,0 +1,208 @@
+/**
+ * 项目配置文件：i18n-convert.config.js / i18n-convert.config.json
+ * 从工作目录开始逐级向上查找，命令行参数优先于配置文件
+ */
+const fs = require('fs');
+const path = require('path');
+const { hasGlobMagic, toAbsoluteGlob } = require('./files');
+
+/**
+ * 配置文件名（按优先级排列）
+ */
+const CONFIG_FILE_NAMES = ['i18n-convert.config.js', 'i18n-convert.config.json'];
+
+/**
+ * 配置项默认值
+ */
+const DEFAULT_OPTIONS = {
+  // 语言包路径（js/ts、JSON、YAML 文件或拆分的语言包目录），不设置时按 Vue 文件位置自动查找
+  locale: null,
+  // 只匹配指定路径前缀的 key（可以是数组，同一文本对应多个 key 时靠前的前缀优先）
+  matchPath: null,
+  // 同一文本对应多个 key 时优先使用的命名空间（按顺序），这些命名空间不受 matchPath 限制
+  namespacePriority: ['common'],
+  // 同一文本对应多个 key 时优先使用与文件所在目录同名的命名空间（如 views/pda/** → pda.*）
+  preferNearestNamespace: false,
+  // 跳过在语言包中匹配不到的文本
+  skipUnmatched: false,
+  // script 中固定使用的 i18n 调用，不设置时根据上下文选择下面的调用
+  i18nCall: null,
+  // template 中使用的 i18n 调用
+  templateCall: '$t',
+  // Options API 组件方法中使用的 i18n 调用
+  componentI18nCall: 'this.$t',
+  // <script setup> 和 setup() 中使用的 i18n 调用（来自 useI18n()），以及 useI18n 的导入路径
+  setupI18nCall: 't',
+  useI18nImportPath: 'vue-i18n',
+  // 模块作用域和独立 js/ts 模块中使用的 i18n 调用，以及 i18n 实例的导入路径
+  moduleI18nCall: 'i18n.t',
+  i18nImportPath: '@/i18n',
+  // 不转换的中文文本（字符串按正则处理）
+  ignore: [],
+  // 不转换传给这些函数的参数（支持 * 通配符，new RegExp() 也按函数名匹配）
+  ignoreCallees: ['logger.*', '$emit', 'router.push', '$router.push', 'RegExp'],
+  // 不转换 ===、!== 等比较中的字符串（如 status === '已完成'）
+  ignoreComparisons: true,
+  // 不转换 switch 的 case 值
+  ignoreSwitchCases: true,
+  // 不转换的 template 属性（如 ['placeholder']）
+  ignoreAttributes: [],
+  // 不转换的 template 组件，包括其子节点（如 ['el-icon']）
+  ignoreComponents: [],
+  // 词缀规则：拆出文本开头或结尾的部分，保留为字符串或单独翻译
+  // 如 [{ suffix: '！' }, { prefix: '请输入', translate: true }]，正则只能在 js 配置文件中使用
+  affixes: [{ suffix: '：' }, { suffix: ':' }],
+  // 未指定输入时处理的文件（glob 或目录）
+  files: [],
+  // 只处理匹配的文件
+  include: [],
+  // 排除匹配的文件
+  exclude: [],
+  // 遍历目录时处理的文件扩展名（如 ['.vue', '.js', '.ts']）
+  extensions: ['.vue'],
+  // 为未匹配的文本生成 key 并写入语言包
+  generateKeys: false,
+  // key 生成方式：'path'（文件路径 + 序号）、'hash'（内容哈希）或 'pinyin'（拼音）
+  keyStrategy: 'path',
+  // 新 key 在语言包中所在的命名空间，为空时放在顶层
+  keyNamespace: 'generated',
+  // 需要同步的其他语言包（如 ['./src/locales/en.js', './src/locales/ja.js']）
+  syncLocales: [],
+  // 补充到其他语言包的占位文本：'todo'（'TODO: 中文'）、'source'（中文原文）或 'empty'（空字符串）
+  translationPlaceholder: 'todo',
+  // 转换报告（i18n-report.json 等）的输出目录，默认为当前工作目录
+  reportDir: null,
+  // 转换报告的格式：'json'、'csv' 或 'html'
+  reportFormat: 'json',
+  // check 命令使用的 baseline 文件
+  baseline: null
+};
+
+/**
+ * 配置中表示路径的字段（相对路径以配置文件所在目录为基准）
+ */
+const PATH_OPTIONS = ['locale', 'reportDir', 'baseline'];
+
+/**
+ * 从指定目录开始逐级向上查找配置文件
+ * @param {string} startDir - 起始目录
+ * @returns {string|null} 配置文件的绝对路径，找不到时返回 null
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const configPath = path.join(dir, fileName);
+      if (fs.existsSync(configPath)) {
+        return configPath;
+      }
+    }
+
+    const parentDir = path.dirname(dir);
+    if (parentDir === dir) {
+      return null;
+    }
+    dir = parentDir;
+  }
+}
+
+/**
+ * 读取配置文件
+ * @param {string} configPath - 配置文件路径
+ * @returns {Object} 配置对象（路径字段已解析为绝对路径）
+ */
+function loadConfig(configPath) {
+  const absolutePath = path.resolve(configPath);
+  let config;
+
+  if (absolutePath.endsWith('.json')) {
+    config = JSON.parse(fs.readFileSync(absolutePath, 'utf-8'));
+  } else {
+    delete require.cache[absolutePath];
+    config = require(absolutePath);
+    // 处理可能的 default 包装
+    if (config && config.default) {
+      config = config.default;
+    }
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`配置文件格式错误，需要导出一个对象: ${configPath}`);
+  }
+
+  const unknownKeys = Object.keys(config).filter(key => !(key in DEFAULT_OPTIONS));
+  if (unknownKeys.length > 0) {
+    console.warn(`⚠ 配置文件中存在未知的配置项: ${unknownKeys.join(', ')}`);
+  }
+
+  const configDir = path.dirname(absolutePath);
+  const resolved = { ...config };
+
+  for (const key of PATH_OPTIONS) {
+    if (typeof resolved[key] === 'string') {
+      resolved[key] = path.resolve(configDir, resolved[key]);
+    }
+  }
+
+  // glob 模式相对于配置文件所在目录（只含文件名的模式如 '*.spec.vue' 保持不变）
+  for (const key of ['files', 'include', 'exclude']) {
+    if (resolved[key] !== undefined) {
+      resolved[key] = toArray(resolved[key]).map(pattern => {
+        if (key !== 'files' && !pattern.includes('/')) return pattern;
+        return hasGlobMagic(pattern) ? toAbsoluteGlob(pattern, configDir) : path.resolve(configDir, pattern);
+      });
+    }
+  }
+
+  if (resolved.syncLocales !== undefined) {
+    resolved.syncLocales = toArray(resolved.syncLocales).map(localePath => path.resolve(configDir, localePath));
+  }
+
+  if (resolved.ignore !== undefined) {
+    resolved.ignore = toArray(resolved.ignore);
+  }
+
+  return resolved;
+}
+
+/**
+ * 将单个值统一为数组
+ * @param {*} value
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * 合并默认值、配置文件和命令行参数（优先级依次升高）
+ * 命令行中未出现的参数不会覆盖配置文件
+ * @param {Object} cliOptions - 命令行参数
+ * @param {Object} config - 配置文件内容
+ * @returns {Object}
+ */
+function resolveOptions(cliOptions = {}, config = {}) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (const source of [config, cliOptions]) {
+    for (const key of Object.keys(source)) {
+      const value = source[key];
+      // 命令行中的空列表表示未指定
+      if (value === undefined || (Array.isArray(value) && value.length === 0 && source === cliOptions)) {
+        continue;
+      }
+      options[key] = value;
+    }
+  }
+
+  return options;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  findConfigFile,
+  loadConfig,
+  resolveOptions
+};
@@ -0,0 +1,65 @@
+/**
+ * 生成统一格式（unified）的 diff，用于预览和导出 patch
+ */
+const fs = require('fs');
+const path = require('path');
+const { structuredPatch } = require('diff');
+
+/**
+ * 生成单个文件的统一格式 diff
+ * 输出使用 git 风格的 a/ b/ 前缀，可直接用 `git apply` 应用
+ * @param {string} filePath - 文件路径
+ * @param {string} oldContent - 原内容
+ * @param {string} newContent - 新内容
+ * @param {Object} options
+ * @param {string} options.cwd - diff 中路径的相对基准目录（默认 process.cwd()）
+ * @param {number} options.context - 上下文行数（默认 3）
+ * @returns {string} diff 文本，内容相同时返回空字符串
+ */
+function createUnifiedDiff(filePath, oldContent, newContent, options = {}) {
+  if (oldContent === newContent) {
+    return '';
+  }
+
+  const cwd = options.cwd || process.cwd();
+  const relativePath = path.relative(cwd, path.resolve(cwd, filePath)).split(path.sep).join('/');
+
+  const patch = structuredPatch(
+    `a/${relativePath}`,
+    `b/${relativePath}`,
+    oldContent,
+    newContent,
+    '',
+    '',
+    { context: options.context !== undefined ? options.context : 3 }
+  );
+
+  const lines = [
+    `diff --git a/${relativePath} b/${relativePath}`,
+    `--- a/${relativePath}`,
+    `+++ b/${relativePath}`
+  ];
+
+  for (const hunk of patch.hunks) {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    lines.push(...hunk.lines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 将多个文件的 diff 写入 patch 文件
+ * @param {string} outputPath - patch 文件路径
+ * @param {Array<string>} diffs - createUnifiedDiff 生成的 diff 列表
+ */
+function writePatchFile(outputPath, diffs) {
+  const content = diffs.filter(Boolean).join('');
+  fs.writeFileSync(outputPath, content, 'utf-8');
+  console.log(`✓ 已写入 patch 文件: ${outputPath}（可使用 git apply 应用）`);
+}
+
+module.exports = {
+  createUnifiedDiff,
+  writePatchFile
+};
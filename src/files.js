@@ -0,0 +1,241 @@
+/**
+ * 文件收集：支持单个文件、目录（递归）和 glob 模式
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 默认排除的目录和文件（类型声明文件中只有类型，不需要转换）
+ */
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.git/**', '**/*.d.ts'];
+
+/**
+ * 检测字符串是否包含 glob 通配符
+ * @param {string} str
+ * @returns {boolean}
+ */
+function hasGlobMagic(str) {
+  return /[*?{}[\]]/.test(str);
+}
+
+/**
+ * 检测输入是否按 glob 模式处理：包含通配符，且不是已存在的文件或目录（如 pages/[id].vue）
+ * @param {string} input - 文件路径、目录路径或 glob 模式
+ * @param {string} cwd - 相对路径的基准目录（默认 process.cwd()）
+ * @returns {boolean}
+ */
+function isGlobPattern(input, cwd = process.cwd()) {
+  return hasGlobMagic(toPosixPath(input)) && !fs.existsSync(path.resolve(cwd, input));
+}
+
+/**
+ * 统一为 POSIX 风格路径（glob 匹配时使用）
+ * @param {string} p
+ * @returns {string}
+ */
+function toPosixPath(p) {
+  return p.split(path.sep).join('/');
+}
+
+/**
+ * 将 glob 模式转换为正则表达式
+ * 支持 **、*、?、{a,b} 和 [abc]
+ * @param {string} pattern - glob 模式（如 'src/**\/*.vue'）
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // ** 匹配任意层级目录（包括零层）
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          source += '(?:.*/)?';
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += pattern.substring(i, end + 1);
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * 将 glob 模式拆分为不含通配符的前缀目录和剩余部分
+ * @param {string} pattern - POSIX 风格的 glob 模式
+ * @returns {Object} { base: 前缀目录, rest: 剩余的模式 }
+ */
+function splitGlobBase(pattern) {
+  const segments = pattern.split('/');
+  let index = 0;
+  while (index < segments.length - 1 && !hasGlobMagic(segments[index])) {
+    index++;
+  }
+  return {
+    base: segments.slice(0, index).join('/') || '.',
+    rest: segments.slice(index).join('/')
+  };
+}
+
+/**
+ * 将相对 glob 模式转换为绝对路径模式
+ * 以 '**\/' 开头或已是绝对路径的模式保持不变
+ * @param {string} pattern - glob 模式
+ * @param {string} baseDir - 相对路径的基准目录
+ * @returns {string}
+ */
+function toAbsoluteGlob(pattern, baseDir) {
+  const normalized = toPosixPath(pattern);
+  if (normalized.startsWith('/') || normalized.startsWith('**/')) {
+    return normalized;
+  }
+  const { base, rest } = splitGlobBase(normalized);
+  return `${toPosixPath(path.resolve(baseDir, base)).replace(/\/$/, '')}/${rest}`;
+}
+
+/**
+ * 检查文件是否匹配任一 glob 模式
+ * 不含 / 的模式（如 '*.vue'）只与文件名比较，其余模式与绝对路径比较
+ * @param {string} absolutePath - 文件的绝对路径
+ * @param {Array<string>} patterns - glob 模式列表
+ * @param {string} cwd - 相对模式的基准目录
+ * @returns {boolean}
+ */
+function matchesAny(absolutePath, patterns, cwd) {
+  const filePath = toPosixPath(absolutePath);
+  return patterns.some(pattern => {
+    if (!pattern.includes('/')) {
+      return globToRegExp(pattern).test(path.posix.basename(filePath));
+    }
+    return globToRegExp(toAbsoluteGlob(pattern, cwd)).test(filePath);
+  });
+}
+
+/**
+ * 递归遍历目录，返回所有文件的绝对路径
+ * @param {string} dir - 目录路径
+ * @param {Function} shouldSkipDir - 判断是否跳过某个目录
+ * @param {Array<string>} result
+ * @returns {Array<string>}
+ */
+function walkDir(dir, shouldSkipDir, result = []) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!shouldSkipDir(fullPath)) {
+        walkDir(fullPath, shouldSkipDir, result);
+      }
+    } else if (entry.isFile()) {
+      result.push(fullPath);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 根据输入（文件、目录、glob）收集需要处理的文件
+ * @param {Array<string>} inputs - 文件路径、目录路径或 glob 模式
+ * @param {Object} options
+ * @param {Array<string>} options.include - 只处理匹配这些 glob 的文件
+ * @param {Array<string>} options.exclude - 排除匹配这些 glob 的文件
+ * @param {Array<string>} options.extensions - 目录和 glob 中收集的文件扩展名（默认 ['.vue']）
+ * @param {string} options.cwd - 工作目录（默认 process.cwd()）
+ * @returns {{ files: Array<string>, missing: Array<string> }} 去重排序后的绝对路径，以及不存在的输入
+ */
+function collectFiles(inputs, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const include = options.include || [];
+  const exclude = DEFAULT_EXCLUDE.concat(options.exclude || []);
+  const extensions = options.extensions || ['.vue'];
+
+  const isExcluded = (absolutePath) => matchesAny(absolutePath, exclude, cwd);
+  const isIncluded = (absolutePath) => include.length === 0 || matchesAny(absolutePath, include, cwd);
+  const hasExtension = (absolutePath) => extensions.includes(path.extname(absolutePath));
+  // 目录本身被排除时不再深入（'**/node_modules/**' 需要补一个子路径才能匹配目录）
+  const shouldSkipDir = (absolutePath) => isExcluded(path.join(absolutePath, '_'));
+
+  const files = new Set();
+  const missing = [];
+
+  for (const input of inputs) {
+    const normalizedInput = toPosixPath(input);
+
+    if (isGlobPattern(input, cwd)) {
+      // glob 模式：从不含通配符的前缀目录开始遍历，用绝对路径匹配
+      const baseDir = path.resolve(cwd, splitGlobBase(normalizedInput).base);
+      if (!fs.existsSync(baseDir)) {
+        missing.push(input);
+        continue;
+      }
+      const patternRegExp = globToRegExp(toAbsoluteGlob(normalizedInput, cwd));
+      for (const file of walkDir(baseDir, shouldSkipDir)) {
+        if (patternRegExp.test(toPosixPath(file)) && !isExcluded(file) && isIncluded(file)) {
+          files.add(file);
+        }
+      }
+      continue;
+    }
+
+    const absolutePath = path.resolve(cwd, input);
+    if (!fs.existsSync(absolutePath)) {
+      missing.push(input);
+      continue;
+    }
+
+    if (fs.statSync(absolutePath).isDirectory()) {
+      for (const file of walkDir(absolutePath, shouldSkipDir)) {
+        if (hasExtension(file) && !isExcluded(file) && isIncluded(file)) {
+          files.add(file);
+        }
+      }
+    } else {
+      // 明确指定的文件不受 include/exclude 限制
+      files.add(absolutePath);
+    }
+  }
+
+  return {
+    files: Array.from(files).sort(),
+    missing
+  };
+}
+
+module.exports = {
+  collectFiles,
+  globToRegExp,
+  hasGlobMagic,
+  isGlobPattern,
+  toAbsoluteGlob
+};
@@ -0,0 +1,163 @@
+/**
+ * 未匹配文本的 key 生成（--generate-keys）
+ * 生成的条目在转换结束后由 localeWriter 写入语言包
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { pinyin } = require('pinyin-pro');
+
+/**
+ * 支持的 key 生成方式
+ * - path：按文件路径生成命名空间，加序号（views.order.list.text1）
+ * - hash：文本内容的短哈希（3f2a9c1b）
+ * - pinyin：文本的拼音（tiJiaoDingDan）
+ */
+const KEY_STRATEGIES = ['path', 'hash', 'pinyin'];
+
+/**
+ * 拼音 key 最多使用的音节（单词）数，避免长句生成过长的 key
+ */
+const MAX_PINYIN_WORDS = 6;
+
+/**
+ * 拼接 key 路径（跳过空的部分）
+ * @param {...string} parts
+ * @returns {string}
+ */
+function joinKey(...parts) {
+  return parts.filter(Boolean).join('.');
+}
+
+/**
+ * 将单词列表转换为小驼峰（['order', 'list'] → 'orderList'）
+ * @param {Array<string>} words
+ * @returns {string}
+ */
+function toCamelCase(words) {
+  return words
+    .filter(Boolean)
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0 ? lower : lower[0].toUpperCase() + lower.slice(1);
+    })
+    .join('');
+}
+
+/**
+ * 根据文件路径生成命名空间
+ * 使用相对于工作目录的路径，去掉开头的 src 和结尾的 index（src/views/order/order-list.vue → views.order.orderList）
+ * @param {string} filePath
+ * @param {string} cwd - 相对路径的基准目录（默认 process.cwd()）
+ * @returns {string}
+ */
+function getPathNamespace(filePath, cwd = process.cwd()) {
+  const relativePath = path.relative(cwd, path.resolve(cwd, filePath));
+  const segments = relativePath
+    .replace(/\.[^./\\]+$/, '')
+    .split(/[\\/]/)
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+
+  if (segments[0] === 'src') segments.shift();
+  if (segments.length > 1 && segments[segments.length - 1].toLowerCase() === 'index') segments.pop();
+
+  return segments
+    .map(segment => toCamelCase(segment.split(/[^A-Za-z0-9]+/)))
+    .filter(Boolean)
+    .join('.');
+}
+
+/**
+ * 生成文本内容的短哈希
+ * @param {string} text
+ * @returns {string}
+ */
+function getHashKey(text) {
+  return crypto.createHash('md5').update(text).digest('hex').slice(0, 8);
+}
+
+/**
+ * 生成文本的拼音 key（占位符和标点不参与，英文单词保留）
+ * @param {string} text
+ * @returns {string}
+ */
+function getPinyinKey(text) {
+  const syllables = pinyin(text.replace(/\{[\w$]+\}/g, ' '), { toneType: 'none', type: 'array', nonZh: 'consecutive' });
+  const words = syllables
+    .flatMap(syllable => syllable.split(/[^A-Za-z0-9]+/))
+    .filter(Boolean)
+    .slice(0, MAX_PINYIN_WORDS);
+  return toCamelCase(words) || 'text';
+}
+
+/**
+ * 创建 key 生成器
+ * 相同的文本使用同一个 key；生成的 key 不会与语言包中已有的 key 重复，也不会与已有的 key 互为前缀
+ * @param {Object} options
+ * @param {string} options.strategy - 生成方式（见 KEY_STRATEGIES，默认 'path'）
+ * @param {string} options.namespace - 新 key 所在的命名空间（如 'generated'），为空时放在语言包顶层
+ * @param {Iterable<string>} options.existingKeys - 语言包中已有的 key
+ * @param {string} options.cwd - path 方式中相对路径的基准目录
+ * @returns {Object} { generate(text, filePath): 返回生成的 key, discard(count): 丢弃前 count 条之后生成的条目, entries: 生成的条目 [{ key, text }] }
+ */
+function createKeyGenerator(options = {}) {
+  const strategy = options.strategy || 'path';
+  if (!KEY_STRATEGIES.includes(strategy)) {
+    throw new Error(`不支持的 key 生成方式: ${strategy}（可选: ${KEY_STRATEGIES.join(', ')}）`);
+  }
+
+  const usedKeys = new Set(options.existingKeys || []);
+  const keysByText = new Map();
+  const counters = new Map();
+  const entries = [];
+
+  const isAvailable = key => {
+    if (usedKeys.has(key)) return false;
+    for (const usedKey of usedKeys) {
+      if (usedKey.startsWith(`${key}.`) || key.startsWith(`${usedKey}.`)) return false;
+    }
+    return true;
+  };
+
+  const generate = (text, filePath) => {
+    if (keysByText.has(text)) {
+      return keysByText.get(text);
+    }
+
+    let key;
+    if (strategy === 'path') {
+      // 同一命名空间下的序号递增，跳过语言包中已有的序号
+      const base = joinKey(options.namespace, getPathNamespace(filePath || 'anonymous', options.cwd));
+      let counter = counters.get(base) || 0;
+      do {
+        key = joinKey(base, `text${++counter}`);
+      } while (!isAvailable(key));
+      counters.set(base, counter);
+    } else {
+      const base = joinKey(options.namespace, strategy === 'hash' ? getHashKey(text) : getPinyinKey(text));
+      key = base;
+      for (let index = 2; !isAvailable(key); index++) {
+        key = `${base}${index}`;
+      }
+    }
+
+    usedKeys.add(key);
+    keysByText.set(text, key);
+    entries.push({ key, text });
+    return key;
+  };
+
+  // 文件转换失败时丢弃该文件生成的条目，这些 key 可以重新生成
+  const discard = count => {
+    for (const { key, text } of entries.splice(count)) {
+      usedKeys.delete(key);
+      keysByText.delete(text);
+    }
+  };
+
+  return { generate, discard, entries };
+}
+
+module.exports = {
+  KEY_STRATEGIES,
+  createKeyGenerator
+};
@@ -0,0 +1,576 @@
+/**
+ * 语言包加载：支持 js/ts 模块、JSON、YAML 以及按模块拆分的目录
+ * js/ts 语言包通过解析 AST 求值（跟随 import/require、export 和展开运算符），不执行项目代码，
+ * 得到的 key 路径与运行时一致；无法静态求值的内容会被跳过，并记录其所在的文件和行列号
+ */
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('@babel/parser');
+const yaml = require('js-yaml');
+
+/**
+ * 按模块解析的语言包扩展名
+ */
+const SCRIPT_LOCALE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts'];
+
+/**
+ * 数据格式的语言包扩展名
+ */
+const DATA_LOCALE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * 语言包支持的全部扩展名（import 省略扩展名时按此顺序查找）
+ */
+const LOCALE_EXTENSIONS = [...SCRIPT_LOCALE_EXTENSIONS, ...DATA_LOCALE_EXTENSIONS];
+
+/**
+ * 检查文件是否是支持的语言包文件
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isLocaleFile(filePath) {
+  return LOCALE_EXTENSIONS.includes(path.extname(filePath)) && !filePath.endsWith('.d.ts');
+}
+
+/**
+ * 查找目录中的 index 文件
+ * @param {string} dir
+ * @returns {string|null}
+ */
+function findIndexFile(dir) {
+  const candidates = LOCALE_EXTENSIONS.map(extension => path.join(dir, `index${extension}`));
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * 解析 import/require 的模块路径（只支持相对路径，别名和第三方包返回 null）
+ * @param {string} specifier - 模块路径（如 './order'）
+ * @param {string} fromFile - 导入所在的文件
+ * @returns {string|null} 文件或目录的绝对路径
+ */
+function resolveModulePath(specifier, fromFile) {
+  if (!specifier.startsWith('.')) return null;
+
+  const basePath = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [basePath, ...LOCALE_EXTENSIONS.map(extension => basePath + extension)];
+  // ts 项目中 import './order.js' 实际指向 order.ts
+  if (path.extname(basePath) === '.js') {
+    candidates.push(basePath.replace(/\.js$/, '.ts'));
+  }
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) continue;
+    if (fs.statSync(candidate).isFile()) return candidate;
+    if (findIndexFile(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * 加载语言包文件或目录
+ * @param {string} localePath
+ * @returns {Object} { messages: 语言包对象, files: 读取过的文件（Set）, diagnostics: 被跳过的内容 [{ file, line, column, message }] }
+ */
+function loadLocaleMessages(localePath) {
+  const context = { modules: new Map(), files: new Set(), diagnostics: [] };
+  const messages = loadPath(path.resolve(localePath), context);
+  if (!isPlainObject(messages)) {
+    throw new Error(`语言包没有导出对象: ${localePath}`);
+  }
+  return { messages, files: context.files, diagnostics: context.diagnostics };
+}
+
+/**
+ * 加载单个路径的内容
+ * - 目录：有 index 文件时加载 index，否则每个文件（和子目录）作为一个命名空间
+ * - JSON / YAML：直接解析
+ * - js/ts：模块的默认导出（CommonJS 为 module.exports），没有默认导出时使用全部具名导出
+ * @param {string} filePath - 绝对路径
+ * @param {Object} context - 加载上下文
+ * @returns {*}
+ */
+function loadPath(filePath, context) {
+  if (fs.statSync(filePath).isDirectory()) {
+    const indexFile = findIndexFile(filePath);
+    return indexFile ? loadPath(indexFile, context) : loadDirectory(filePath, context);
+  }
+
+  const extension = path.extname(filePath);
+  if (DATA_LOCALE_EXTENSIONS.includes(extension)) {
+    context.files.add(filePath);
+    const content = fs.readFileSync(filePath, 'utf-8');
+    try {
+      return extension === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new Error(`${filePath}: ${error.message}`);
+    }
+  }
+
+  const module = getModule(filePath, context);
+  const value = module.getDefault();
+  return value !== undefined ? value : module.getNamespace();
+}
+
+/**
+ * 加载没有 index 文件的目录：文件名（去掉扩展名）和子目录名作为命名空间
+ * @param {string} dir
+ * @param {Object} context
+ * @returns {Object}
+ */
+function loadDirectory(dir, context) {
+  const messages = {};
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      messages[entry.name] = loadPath(entryPath, context);
+    } else if (isLocaleFile(entry.name)) {
+      messages[path.basename(entry.name, path.extname(entry.name))] = loadPath(entryPath, context);
+    }
+  }
+  return messages;
+}
+
+/**
+ * 检查值是否是普通对象
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 获取模块（同一文件只解析一次，循环导入时返回尚未完成的模块）
+ * @param {string} filePath
+ * @param {Object} context
+ * @returns {Object} { getDefault(), hasExport(name), getExport(name), getNamespace(), getRequired() }
+ */
+function getModule(filePath, context) {
+  if (!context.modules.has(filePath)) {
+    context.modules.set(filePath, createModule(filePath, context));
+  }
+  return context.modules.get(filePath);
+}
+
+/**
+ * 导入其他模块
+ * @param {string} specifier - 模块路径
+ * @param {string} fromFile - 导入所在的文件
+ * @param {Object} context
+ * @returns {Object|null} 模块，无法解析时返回 null
+ */
+function importModule(specifier, fromFile, context) {
+  const resolved = resolveModulePath(specifier, fromFile);
+  if (!resolved) return null;
+
+  const isScript = fs.statSync(resolved).isFile() && SCRIPT_LOCALE_EXTENSIONS.includes(path.extname(resolved));
+  if (isScript) return getModule(resolved, context);
+
+  // JSON、YAML 和目录只有默认导出
+  const value = loadPath(resolved, context);
+  return {
+    getDefault: () => value,
+    hasExport: name => name === 'default' || (isPlainObject(value) && name in value),
+    getExport: name => (name === 'default' ? value : isPlainObject(value) ? value[name] : undefined),
+    getNamespace: () => ({ default: value }),
+    getRequired: () => value
+  };
+}
+
+/**
+ * 获取对象属性的名称，计算属性返回 null
+ * @param {Object} property
+ * @returns {string|null}
+ */
+function getPropertyName(property) {
+  if (property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral' || property.key.type === 'NumericLiteral') return String(property.key.value);
+  return null;
+}
+
+/**
+ * 检查节点是否是 module.exports
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.type === 'Identifier' && node.property.name === 'exports';
+}
+
+/**
+ * 诊断信息中引用的源码最大长度
+ */
+const MAX_SNIPPET_LENGTH = 40;
+
+/**
+ * 截取节点的源码（合并空白，过长时截断），用于诊断信息
+ * @param {string} source
+ * @param {Object} node
+ * @returns {string}
+ */
+function getSnippet(source, node) {
+  const code = source.substring(node.start, node.end).replace(/\s+/g, ' ');
+  return code.length > MAX_SNIPPET_LENGTH ? `${code.slice(0, MAX_SNIPPET_LENGTH)}…` : code;
+}
+
+/**
+ * 检查值是否可以拼接为字符串（字符串、数字、布尔值或 null）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPrimitive(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * 解析模块：收集顶层绑定和导出，导出的值在使用时才求值
+ * @param {string} filePath
+ * @param {Object} context
+ * @returns {Object} { getDefault(), hasExport(name), getExport(name), getNamespace(), getRequired() }
+ */
+function createModule(filePath, context) {
+  context.files.add(filePath);
+  const source = fs.readFileSync(filePath, 'utf-8');
+  let ast;
+  try {
+    ast = parse(source, {
+      sourceType: 'module',
+      plugins: path.extname(filePath) === '.ts' ? ['typescript'] : []
+    });
+  } catch (error) {
+    const position = error.loc ? `:${error.loc.line}:${error.loc.column + 1}` : '';
+    throw new Error(`${filePath}${position}: 语法错误: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`);
+  }
+
+  /**
+   * 记录无法求值的内容（求值结果为 undefined 时总是已经记录过原因，上层不再重复记录）
+   * @param {Object} node
+   * @param {string} message
+   */
+  const report = (node, message) => {
+    const diagnostic = { file: filePath, line: node.loc.start.line, column: node.loc.start.column + 1, message };
+    const reported = context.diagnostics.some(item =>
+      item.file === diagnostic.file && item.line === diagnostic.line && item.column === diagnostic.column && item.message === message);
+    if (!reported) context.diagnostics.push(diagnostic);
+  };
+
+  // 顶层绑定：名称 → 取值函数
+  const bindings = new Map();
+  // ES 导出：导出名 → 取值函数
+  const exportGetters = new Map();
+  // export * from '...'
+  const starExports = [];
+  // CommonJS：module.exports 和 exports.xxx
+  let commonjsExports = null;
+  const commonjsNamed = new Map();
+
+  // 绑定和导出只求值一次；求值过程中再次访问同一个值说明存在循环引用
+  const memoize = (getter, node) => {
+    let state = 'pending';
+    let value;
+    return () => {
+      if (state === 'pending') {
+        state = 'evaluating';
+        value = getter();
+        state = 'done';
+      } else if (state === 'evaluating') {
+        report(node, `循环引用: ${getSnippet(source, node)}`);
+        return undefined;
+      }
+      return value;
+    };
+  };
+  const evaluateNode = node => memoize(() => evaluate(node), node);
+  const fromImport = (specifier, imported, node) => memoize(() => {
+    const module = importModule(specifier, filePath, context);
+    if (!module) {
+      report(node, specifier.startsWith('.')
+        ? `找不到模块 '${specifier}'`
+        : `无法解析的模块 '${specifier}'（只支持相对路径导入，不支持别名和第三方包）`);
+      return undefined;
+    }
+    if (imported === '*') return module.getNamespace();
+    if (imported === 'require') return module.getRequired();
+    if (!module.hasExport(imported)) {
+      report(node, imported === 'default' ? `模块 '${specifier}' 没有默认导出` : `模块 '${specifier}' 没有导出 ${imported}`);
+      return undefined;
+    }
+    return imported === 'default' ? module.getDefault() : module.getExport(imported);
+  }, node);
+
+  const declareVariables = declaration => {
+    const names = [];
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type === 'Identifier' && declarator.init) {
+        bindings.set(declarator.id.name, evaluateNode(declarator.init));
+        names.push(declarator.id.name);
+      }
+    }
+    return names;
+  };
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        if (statement.importKind === 'type') break;
+        for (const specifier of statement.specifiers) {
+          const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+            : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+              : (specifier.imported.name || specifier.imported.value);
+          bindings.set(specifier.local.name, fromImport(statement.source.value, imported, specifier));
+        }
+        break;
+      case 'VariableDeclaration':
+        declareVariables(statement);
+        break;
+      case 'ExportNamedDeclaration':
+        if (statement.declaration && statement.declaration.type === 'VariableDeclaration') {
+          for (const name of declareVariables(statement.declaration)) {
+            exportGetters.set(name, () => bindings.get(name)());
+          }
+        }
+        for (const specifier of statement.specifiers || []) {
+          const exported = specifier.exported.name || specifier.exported.value;
+          if (statement.source) {
+            const imported = specifier.type === 'ExportNamespaceSpecifier' ? '*' : specifier.local.name;
+            exportGetters.set(exported, fromImport(statement.source.value, imported, specifier));
+          } else {
+            const local = specifier.local.name;
+            exportGetters.set(exported, () => {
+              if (bindings.has(local)) return bindings.get(local)();
+              report(specifier, `未定义的变量 ${local}`);
+              return undefined;
+            });
+          }
+        }
+        break;
+      case 'ExportDefaultDeclaration':
+        exportGetters.set('default', evaluateNode(statement.declaration));
+        break;
+      case 'ExportAllDeclaration':
+        starExports.push(statement.source.value);
+        if (!resolveModulePath(statement.source.value, filePath)) {
+          report(statement, `找不到模块 '${statement.source.value}'`);
+        }
+        break;
+      case 'ExpressionStatement': {
+        const { expression } = statement;
+        if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') break;
+        const { left, right } = expression;
+        if (isModuleExports(left)) {
+          commonjsExports = evaluateNode(right);
+        } else if (
+          left.type === 'MemberExpression' && !left.computed && left.property.type === 'Identifier' &&
+          ((left.object.type === 'Identifier' && left.object.name === 'exports') || isModuleExports(left.object))
+        ) {
+          commonjsNamed.set(left.property.name, evaluateNode(right));
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 对表达式静态求值，无法解析的部分记录诊断信息并返回 undefined
+   * @param {Object} node
+   * @returns {*}
+   */
+  function evaluate(node) {
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'TemplateLiteral':
+        return evaluateTemplate(node);
+      case 'BinaryExpression':
+        // 字符串拼接：'订单' + '列表'、PREFIX + '列表'
+        if (node.operator === '+') return evaluateConcatenation(node);
+        break;
+      case 'ObjectExpression':
+        return evaluateObject(node);
+      case 'ArrayExpression':
+        return node.elements.map(element => (element ? evaluate(element) : undefined));
+      case 'Identifier':
+        if (bindings.has(node.name)) return bindings.get(node.name)();
+        report(node, `未定义的变量 ${node.name}`);
+        return undefined;
+      case 'MemberExpression':
+        return evaluateMember(node);
+      case 'CallExpression':
+        // require('./order')：CommonJS 模块得到 module.exports，ES 模块得到全部导出（包括 default）
+        if (
+          node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+          node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral'
+        ) {
+          return fromImport(node.arguments[0].value, 'require', node)();
+        }
+        break;
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+      case 'TSNonNullExpression':
+      case 'TSTypeAssertion':
+      case 'ParenthesizedExpression':
+        return evaluate(node.expression);
+      default:
+        break;
+    }
+
+    report(node, `无法静态求值: ${getSnippet(source, node)}`);
+    return undefined;
+  }
+
+  /**
+   * 模板字符串：插值都是常量时拼接为字符串
+   * @param {Object} node
+   * @returns {string|undefined}
+   */
+  function evaluateTemplate(node) {
+    let result = node.quasis[0].value.cooked;
+    for (let i = 0; i < node.expressions.length; i++) {
+      const value = evaluate(node.expressions[i]);
+      if (value === undefined) return undefined;
+      if (!isPrimitive(value)) {
+        report(node.expressions[i], `插值不是常量: ${getSnippet(source, node.expressions[i])}`);
+        return undefined;
+      }
+      result += String(value) + node.quasis[i + 1].value.cooked;
+    }
+    return result;
+  }
+
+  function evaluateConcatenation(node) {
+    const left = evaluate(node.left);
+    const right = evaluate(node.right);
+    if (left === undefined || right === undefined) return undefined;
+    if (!isPrimitive(left) || !isPrimitive(right)) {
+      report(node, `拼接的值不是常量: ${getSnippet(source, node)}`);
+      return undefined;
+    }
+    return left + right;
+  }
+
+  function evaluateMember(node) {
+    const object = evaluate(node.object);
+    if (object === undefined) return undefined;
+
+    const property = node.computed ? evaluate(node.property) : node.property.name;
+    if (property === undefined) return undefined;
+
+    if (object === null || typeof object !== 'object' || !(property in object)) {
+      report(node, `属性不存在: ${getSnippet(source, node)}`);
+      return undefined;
+    }
+    return object[property];
+  }
+
+  function evaluateObject(node) {
+    const result = {};
+    for (const property of node.properties) {
+      if (property.type === 'SpreadElement') {
+        const value = evaluate(property.argument);
+        if (isPlainObject(value)) {
+          Object.assign(result, value);
+        } else if (value !== undefined) {
+          report(property, `展开的值不是对象: ${getSnippet(source, property)}`);
+        }
+        continue;
+      }
+
+      if (property.type !== 'ObjectProperty') {
+        report(property, `无法静态求值: ${getSnippet(source, property)}`);
+        continue;
+      }
+
+      // 计算属性名（[KEYS.title]）需要是常量
+      const name = property.computed ? evaluate(property.key) : getPropertyName(property);
+      if (name === undefined) continue;
+      if (typeof name !== 'string' && typeof name !== 'number') {
+        report(property.key, `属性名不是常量: ${getSnippet(source, property.key)}`);
+        continue;
+      }
+
+      // 简写属性 { order } 的值是同名绑定
+      const value = evaluate(property.value);
+      if (value !== undefined) {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+
+  const getExport = name => {
+    if (exportGetters.has(name)) return exportGetters.get(name)();
+    if (commonjsNamed.has(name)) return commonjsNamed.get(name)();
+    if (commonjsExports) {
+      const value = commonjsExports();
+      return isPlainObject(value) ? value[name] : undefined;
+    }
+    for (const specifier of starExports) {
+      const module = importModule(specifier, filePath, context);
+      const value = module && name !== 'default' ? module.getExport(name) : undefined;
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  };
+
+  const hasExport = name => {
+    if (name === 'default') {
+      return Boolean(commonjsExports) || exportGetters.has('default') || commonjsNamed.size > 0;
+    }
+    if (exportGetters.has(name) || commonjsNamed.has(name)) return true;
+    if (commonjsExports) {
+      const value = commonjsExports();
+      return isPlainObject(value) && name in value;
+    }
+    return starExports.some(specifier => {
+      const module = importModule(specifier, filePath, context);
+      return Boolean(module) && module.hasExport(name);
+    });
+  };
+
+  return {
+    getDefault() {
+      if (commonjsExports) return commonjsExports();
+      if (exportGetters.has('default')) return exportGetters.get('default')();
+      if (commonjsNamed.size > 0) {
+        return Object.fromEntries([...commonjsNamed].map(([name, getter]) => [name, getter()]));
+      }
+      return undefined;
+    },
+    hasExport,
+    getExport,
+    getNamespace() {
+      const namespace = {};
+      // export * 不包含默认导出
+      for (const specifier of starExports) {
+        const module = importModule(specifier, filePath, context);
+        const { default: _default, ...named } = module ? module.getNamespace() : {};
+        Object.assign(namespace, named);
+      }
+      for (const name of [...exportGetters.keys(), ...commonjsNamed.keys()]) {
+        namespace[name] = getExport(name);
+      }
+      return namespace;
+    },
+    getRequired() {
+      const isCommonJS = Boolean(commonjsExports) || commonjsNamed.size > 0;
+      return isCommonJS ? this.getDefault() : this.getNamespace();
+    }
+  };
+}
+
+module.exports = {
+  LOCALE_EXTENSIONS,
+  isLocaleFile,
+  loadLocaleMessages
+};
@@ -0,0 +1,171 @@
+/**
+ * 同步其他语言的语言包（如 en.js、ja.js、en.json）
+ * 转换中使用的 key 在其他语言包中不存在时按 zh.js 补充占位文本，已有的翻译保持不变
+ */
+const fs = require('fs');
+const { addLocaleEntries, readLocaleEntries, getLocaleFileType } = require('./localeWriter');
+const { createUnifiedDiff } = require('./diff');
+const { loadLocaleMessages } = require('./localeLoader');
+const { flattenLocaleTexts } = require('./utils');
+
+/**
+ * 补充的 key 使用的占位文本
+ * - todo：'TODO: 中文'
+ * - source：中文原文
+ * - empty：空字符串
+ */
+const TRANSLATION_PLACEHOLDERS = ['todo', 'source', 'empty'];
+
+/**
+ * 生成占位文本
+ * @param {string} text - 中文原文
+ * @param {string} placeholder - 见 TRANSLATION_PLACEHOLDERS
+ * @returns {string}
+ */
+function getPlaceholderValue(text, placeholder) {
+  if (placeholder === 'source') return text;
+  if (placeholder === 'empty') return '';
+  return `TODO: ${text}`;
+}
+
+/**
+ * 检查译文是否未翻译（缺少、为空、TODO 标记或与中文原文相同）
+ * @param {string|undefined} value - 译文
+ * @param {string} text - 中文原文
+ * @returns {boolean}
+ */
+function isUntranslated(value, text) {
+  return value === undefined || value === '' || value === text || value.startsWith('TODO:');
+}
+
+/**
+ * 检查语言包能否同步（只支持单个 js/ts 或 JSON 文件），不支持时返回错误信息
+ * @param {string} localePath
+ * @returns {string|null}
+ */
+function getUnsupportedSyncReason(localePath) {
+  if (getLocaleFileType(localePath)) return null;
+  return `不支持同步该格式的语言包: ${localePath}（只支持单个 js/ts 或 JSON 文件，YAML 和目录形式的语言包需要手动同步）`;
+}
+
+/**
+ * 读取语言包条目，无法读取时返回 null 并输出警告
+ * @param {string} localePath
+ * @returns {Object|null} { source, fileType, entries }
+ */
+function readLocaleFile(localePath) {
+  const unsupported = getUnsupportedSyncReason(localePath);
+  if (unsupported) {
+    console.warn(`⚠ ${unsupported}`);
+    return null;
+  }
+  if (!fs.existsSync(localePath)) {
+    console.warn(`⚠ 语言包文件不存在: ${localePath}`);
+    return null;
+  }
+  try {
+    const source = fs.readFileSync(localePath, 'utf-8');
+    const fileType = getLocaleFileType(localePath);
+    return { source, fileType, entries: readLocaleEntries(source, fileType) };
+  } catch (error) {
+    console.warn(`⚠ 无法解析语言包: ${localePath}\n错误信息: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 读取主语言包的全部条目（支持 localeLoader 的所有格式），无法读取时返回空表并输出警告
+ * @param {string} primaryPath
+ * @returns {Map} key 路径 → 文本
+ */
+function readPrimaryEntries(primaryPath) {
+  try {
+    return flattenLocaleTexts(loadLocaleMessages(primaryPath).messages);
+  } catch (error) {
+    console.warn(`⚠ 无法解析语言包: ${primaryPath}\n错误信息: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * 向其他语言包补充转换中使用的 key，并统计未翻译的 key
+ * @param {Object} options
+ * @param {Array<string>} options.localePaths - 其他语言包的路径
+ * @param {string|null} options.primaryPath - 主语言包的路径（提供中文原文，可以是 JSON、YAML 或目录）
+ * @param {Map} options.usedKeys - 转换中使用的 key → 中文文本
+ * @param {string} options.placeholder - 占位文本（见 TRANSLATION_PLACEHOLDERS，默认 'todo'）
+ * @param {boolean} options.preview - 只生成 diff，不写入文件
+ * @returns {Array<Object>} [{ localePath, added: 补充的 key, untranslated: 未翻译的 key, diff }]
+ */
+function syncLocales(options) {
+  const { localePaths, primaryPath, usedKeys, placeholder = 'todo', preview = false } = options;
+
+  // zh.js 中的全部条目，加上本次生成但尚未写入（预览模式）的条目
+  const primaryEntries = primaryPath ? readPrimaryEntries(primaryPath) : new Map();
+  for (const [key, text] of usedKeys) {
+    if (!primaryEntries.has(key)) primaryEntries.set(key, text);
+  }
+
+  const results = [];
+  for (const localePath of localePaths) {
+    const locale = readLocaleFile(localePath);
+    if (!locale) continue;
+
+    const added = [...usedKeys.keys()]
+      .filter(key => !locale.entries.has(key))
+      .map(key => ({ key, text: getPlaceholderValue(primaryEntries.get(key), placeholder) }));
+
+    let updated = locale.source;
+    try {
+      updated = addLocaleEntries(locale.source, added, locale.fileType);
+    } catch (error) {
+      console.warn(`⚠ 无法向语言包写入新的 key: ${localePath}\n错误信息: ${error.message}`);
+      continue;
+    }
+
+    let diff = '';
+    if (preview) {
+      diff = createUnifiedDiff(localePath, locale.source, updated);
+    } else if (updated !== locale.source) {
+      fs.writeFileSync(localePath, updated, 'utf-8');
+    }
+
+    const values = new Map([...locale.entries, ...added.map(({ key, text }) => [key, text])]);
+    const untranslated = [...primaryEntries.keys()].filter(key => isUntranslated(values.get(key), primaryEntries.get(key)));
+
+    results.push({ localePath, added: added.map(({ key }) => key), untranslated, diff });
+  }
+  return results;
+}
+
+/**
+ * 单个语言包最多列出的未翻译 key 数
+ */
+const MAX_LISTED_KEYS = 20;
+
+/**
+ * 输出各语言包的同步结果和未翻译的 key
+ * @param {Array<Object>} results - syncLocales 的结果
+ * @param {boolean} preview - 是否是预览模式
+ */
+function printLocaleReport(results, preview = false) {
+  if (results.length === 0) return;
+
+  console.log('\n========== 其他语言包 ==========');
+  for (const { localePath, added, untranslated } of results) {
+    console.log(`${localePath}: ${preview ? '将补充' : '已补充'} ${added.length} 个 key，未翻译 ${untranslated.length} 个`);
+    for (const key of untranslated.slice(0, MAX_LISTED_KEYS)) {
+      console.log(`  - ${key}`);
+    }
+    if (untranslated.length > MAX_LISTED_KEYS) {
+      console.log(`  ... 以及另外 ${untranslated.length - MAX_LISTED_KEYS} 个`);
+    }
+  }
+}
+
+module.exports = {
+  TRANSLATION_PLACEHOLDERS,
+  getUnsupportedSyncReason,
+  syncLocales,
+  printLocaleReport
+};
@@ -0,0 +1,398 @@
+/**
+ * 语言包写入：将新的 key 插入 zh.js 的语言包对象
+ * js/ts 语言包只在对象末尾插入新的源码片段，原有内容（格式、注释、引号风格）保持不变；JSON 语言包按原来的缩进重新输出
+ */
+const path = require('path');
+const { parse } = require('@babel/parser');
+
+/**
+ * 可以读取和写入的语言包文件扩展名 → 文件类型
+ */
+const LOCALE_FILE_TYPES = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.ts': 'ts',
+  '.json': 'json'
+};
+
+/**
+ * 根据文件扩展名获取语言包的文件类型
+ * @param {string} filePath
+ * @returns {string|null} 'js'、'ts' 或 'json'，不支持的类型（YAML、目录等）返回 null
+ */
+function getLocaleFileType(filePath) {
+  return LOCALE_FILE_TYPES[path.extname(filePath)] || null;
+}
+
+/**
+ * 去掉 TypeScript 的类型断言：{...} as const、{...} satisfies Messages、<Messages>{...}
+ * @param {Object|null} node
+ * @returns {Object|null}
+ */
+function unwrapTypeAssertion(node) {
+  while (node && ['TSAsExpression', 'TSSatisfiesExpression', 'TSTypeAssertion'].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+/**
+ * 解析语言包源码，找到导出的语言包对象
+ * 支持 export default {...}、module.exports = {...}，以及导出先声明的变量（const zh = {...}; export default zh）
+ * @param {string} source
+ * @param {string} fileType - 语言包的文件类型（见 getLocaleFileType），'ts' 时支持类型标注和类型断言
+ * @returns {Object} ObjectExpression 节点
+ */
+function findLocaleObject(source, fileType = 'js') {
+  const ast = parse(source, { sourceType: 'module', plugins: fileType === 'ts' ? ['typescript'] : [] });
+  const body = ast.program.body;
+
+  let exported = null;
+  for (const statement of body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      exported = unwrapTypeAssertion(statement.declaration);
+    } else if (
+      statement.type === 'ExpressionStatement' &&
+      statement.expression.type === 'AssignmentExpression' &&
+      isModuleExports(statement.expression.left)
+    ) {
+      exported = unwrapTypeAssertion(statement.expression.right);
+    }
+  }
+
+  // 导出的是变量时，查找变量的初始值
+  if (exported && exported.type === 'Identifier') {
+    const name = exported.name;
+    exported = null;
+    for (const statement of body) {
+      if (statement.type !== 'VariableDeclaration') continue;
+      const declarator = statement.declarations.find(item => item.id.type === 'Identifier' && item.id.name === name);
+      if (declarator) exported = unwrapTypeAssertion(declarator.init);
+    }
+  }
+
+  if (!exported || exported.type !== 'ObjectExpression') {
+    throw new Error('语言包中没有找到导出的对象（支持 export default {...} 和 module.exports = {...}）');
+  }
+  return exported;
+}
+
+/**
+ * 检查节点是否是 module.exports
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.type === 'Identifier' && node.property.name === 'exports';
+}
+
+/**
+ * 获取对象属性的名称（标识符或字符串），计算属性返回 null
+ * @param {Object} property
+ * @returns {string|null}
+ */
+function getPropertyKey(property) {
+  if (property.type !== 'ObjectProperty' || property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral') return property.key.value;
+  return null;
+}
+
+/**
+ * 解析 JSON 语言包，顶层需要是对象
+ * @param {string} source
+ * @returns {Object}
+ */
+function parseJsonLocale(source) {
+  const messages = JSON.parse(source);
+  if (!isPlainObject(messages)) {
+    throw new Error('JSON 语言包的顶层需要是对象');
+  }
+  return messages;
+}
+
+/**
+ * 检查值是否是普通对象（不是数组和 null）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 读取语言包中的条目（只读取字符串值，不执行代码）
+ * @param {string} source - 语言包源码
+ * @param {string} fileType - 语言包的文件类型（见 getLocaleFileType）
+ * @returns {Map} key 路径 → 文本
+ */
+function readLocaleEntries(source, fileType = 'js') {
+  const entries = new Map();
+  if (fileType === 'json') {
+    const collectJson = (object, prefix) => {
+      for (const [key, value] of Object.entries(object)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+          collectJson(value, keyPath);
+        } else if (typeof value === 'string') {
+          entries.set(keyPath, value);
+        }
+      }
+    };
+    collectJson(parseJsonLocale(source), '');
+    return entries;
+  }
+
+  const collect = (object, prefix) => {
+    for (const property of object.properties) {
+      const key = getPropertyKey(property);
+      if (key === null) continue;
+
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      const { value } = property;
+      if (value.type === 'ObjectExpression') {
+        collect(value, keyPath);
+      } else if (value.type === 'StringLiteral') {
+        entries.set(keyPath, value.value);
+      } else if (value.type === 'TemplateLiteral' && value.expressions.length === 0) {
+        entries.set(keyPath, value.quasis[0].value.cooked);
+      }
+    }
+  };
+
+  collect(findLocaleObject(source, fileType), '');
+  return entries;
+}
+
+/**
+ * 检测语言包的格式：缩进单位、引号和是否使用尾逗号
+ * @param {string} source
+ * @param {Object} root - 语言包对象节点
+ * @returns {Object} { indentUnit, quote, trailingComma }
+ */
+function detectFormat(source, root) {
+  const indents = source.split('\n')
+    .map(line => line.match(/^[ \t]+(?=\S)/))
+    .filter(Boolean)
+    .map(match => match[0]);
+  const indentUnit = indents.length > 0
+    ? indents.reduce((shortest, indent) => (indent.length < shortest.length ? indent : shortest))
+    : '  ';
+
+  const literal = source.match(/:\s*(['"])/);
+  const quote = literal ? literal[1] : '\'';
+
+  const lastProperty = root.properties[root.properties.length - 1];
+  const trailingComma = Boolean(lastProperty) && /^\s*,/.test(stripComments(source.substring(lastProperty.end, root.end - 1)));
+
+  return { indentUnit, quote, trailingComma };
+}
+
+/**
+ * 去掉代码片段中的注释（用于检查属性后面是否有逗号）
+ * @param {string} code
+ * @returns {string}
+ */
+function stripComments(code) {
+  return code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/[^\n]*/g, '');
+}
+
+/**
+ * 获取偏移量所在行的缩进
+ * @param {string} source
+ * @param {number} offset
+ * @returns {string}
+ */
+function getIndentAt(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  return source.substring(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * 生成属性名（不是合法标识符时加引号）
+ * @param {string} key
+ * @param {string} quote
+ * @returns {string}
+ */
+function formatKey(key, quote) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatString(key, quote);
+}
+
+/**
+ * 生成字符串字面量
+ * @param {string} value
+ * @param {string} quote
+ * @returns {string}
+ */
+function formatString(value, quote) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .split(quote).join(`\\${quote}`);
+  return quote + escaped + quote;
+}
+
+/**
+ * 生成新增的属性源码
+ * @param {Map} tree - 属性名 → 文本或子树
+ * @param {string} indent - 属性的缩进
+ * @param {Object} format - detectFormat 的结果
+ * @returns {Array<string>} 每个属性的源码（不含分隔的逗号）
+ */
+function formatProperties(tree, indent, format) {
+  const properties = [];
+  for (const [key, value] of tree) {
+    if (typeof value === 'string') {
+      properties.push(`${indent}${formatKey(key, format.quote)}: ${formatString(value, format.quote)}`);
+    } else {
+      const children = formatProperties(value, indent + format.indentUnit, format);
+      properties.push(`${indent}${formatKey(key, format.quote)}: {\n${children.join(',\n')}${format.trailingComma ? ',' : ''}\n${indent}}`);
+    }
+  }
+  return properties;
+}
+
+/**
+ * 将 key 列表整理为树：'a.b.c' → Map { a → Map { b → Map { c → text } } }
+ * @param {Array<Object>} entries - [{ key, text }]
+ * @returns {Map}
+ */
+function buildEntryTree(entries) {
+  const tree = new Map();
+  for (const { key, text } of entries) {
+    const segments = key.split('.');
+    let node = tree;
+    segments.slice(0, -1).forEach(segment => {
+      if (!node.has(segment)) node.set(segment, new Map());
+      node = node.get(segment);
+      if (typeof node === 'string') {
+        throw new Error(`key 冲突: ${key}`);
+      }
+    });
+    node.set(segments[segments.length - 1], text);
+  }
+  return tree;
+}
+
+/**
+ * 收集在对象中插入属性的编辑
+ * 已存在的嵌套对象继续向下查找，不存在的属性插入到对象末尾
+ * @param {string} source
+ * @param {Object} object - ObjectExpression 节点
+ * @param {Map} tree - 需要插入的属性树
+ * @param {Object} format
+ * @param {Array<Object>} edits - [{ offset, code }]
+ * @param {string} path - 对象的 key 路径（用于错误信息）
+ */
+function collectInsertEdits(source, object, tree, format, edits, path) {
+  const missing = new Map();
+  for (const [key, value] of tree) {
+    const property = object.properties.find(item => getPropertyKey(item) === key);
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!property) {
+      missing.set(key, value);
+    } else if (typeof value !== 'string' && property.value.type === 'ObjectExpression') {
+      collectInsertEdits(source, property.value, value, format, edits, keyPath);
+    } else {
+      throw new Error(`key 已存在: ${keyPath}`);
+    }
+  }
+  if (missing.size === 0) return;
+
+  const closeBrace = object.end - 1;
+  const lastProperty = object.properties[object.properties.length - 1];
+  const lineStart = source.lastIndexOf('\n', closeBrace - 1) + 1;
+  const closeOnOwnLine = !source.substring(lineStart, closeBrace).trim();
+
+  // 单行对象（如 {} 或 { a: '1' }）：在闭合括号前插入
+  if (!closeOnOwnLine) {
+    const objectIndent = getIndentAt(source, object.start);
+    const properties = formatProperties(missing, objectIndent + format.indentUnit, format);
+    if (!lastProperty) {
+      edits.push({ offset: object.start + 1, end: closeBrace, code: `\n${properties.join(',\n')}${format.trailingComma ? ',' : ''}\n${objectIndent}` });
+    } else {
+      edits.push({ offset: lastProperty.end, code: `, ${properties.map(item => item.trim()).join(', ')}` });
+    }
+    return;
+  }
+
+  // 多行对象：新属性插入到闭合括号所在行之前，保留最后一个属性后面的注释
+  const propertyIndent = lastProperty ? getIndentAt(source, lastProperty.start) : getIndentAt(source, closeBrace) + format.indentUnit;
+  const properties = formatProperties(missing, propertyIndent, format);
+  if (lastProperty && !/^\s*,/.test(stripComments(source.substring(lastProperty.end, closeBrace)))) {
+    edits.push({ offset: lastProperty.end, code: ',' });
+  }
+  edits.push({ offset: lineStart, code: `${properties.join(',\n')}${format.trailingComma ? ',' : ''}\n` });
+}
+
+/**
+ * 将属性树插入 JSON 语言包对象（规则同 collectInsertEdits）
+ * @param {Object} object
+ * @param {Map} tree - 需要插入的属性树
+ * @param {string} path - 对象的 key 路径（用于错误信息）
+ */
+function insertJsonEntries(object, tree, path) {
+  for (const [key, value] of tree) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(object, key)) {
+      object[key] = typeof value === 'string' ? value : {};
+      if (typeof value !== 'string') insertJsonEntries(object[key], value, keyPath);
+    } else if (typeof value !== 'string' && isPlainObject(object[key])) {
+      insertJsonEntries(object[key], value, keyPath);
+    } else {
+      throw new Error(`key 已存在: ${keyPath}`);
+    }
+  }
+}
+
+/**
+ * 将新的条目插入 JSON 语言包，按原来的缩进和结尾换行重新输出
+ * @param {string} source
+ * @param {Array<Object>} entries
+ * @returns {string}
+ */
+function addJsonLocaleEntries(source, entries) {
+  const messages = parseJsonLocale(source);
+  if (entries.length === 0) return source;
+
+  insertJsonEntries(messages, buildEntryTree(entries), '');
+  const indent = source.match(/^[ \t]+(?=")/m);
+  const newline = source.match(/\r?\n\s*$/);
+  return JSON.stringify(messages, null, indent ? indent[0] : '  ') + (newline ? newline[0] : '');
+}
+
+/**
+ * 将新的条目插入语言包源码
+ * @param {string} source - 语言包源码（zh.js）
+ * @param {Array<Object>} entries - [{ key: 'generated.order.text1', text: '提交订单' }]
+ * @param {string} fileType - 语言包的文件类型（见 getLocaleFileType）
+ * @returns {string} 插入后的源码
+ */
+function addLocaleEntries(source, entries, fileType = 'js') {
+  if (fileType === 'json') return addJsonLocaleEntries(source, entries);
+
+  const root = findLocaleObject(source, fileType);
+  if (entries.length === 0) return source;
+
+  const format = detectFormat(source, root);
+  const edits = [];
+  collectInsertEdits(source, root, buildEntryTree(entries), format, edits, '');
+
+  // 从后向前替换，避免偏移量失效
+  let result = source;
+  for (const { offset, end = offset, code } of edits.sort((a, b) => b.offset - a.offset)) {
+    result = result.substring(0, offset) + code + result.substring(end);
+  }
+  return result;
+}
+
+module.exports = {
+  getLocaleFileType,
+  addLocaleEntries,
+  readLocaleEntries
+};
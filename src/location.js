@@ -0,0 +1,55 @@
+/**
+ * 位置计算：将代码块内的位置换算为文件中的行号和列号
+ */
+
+/**
+ * 将代码块内的位置换算为文件中的位置
+ * @param {Object} blockStart - 代码块内容的起始位置 { line, column }（来自 descriptor 的 loc.start）
+ * @param {number} line - 块内行号（从 1 开始）
+ * @param {number} column - 块内列号（从 0 开始）
+ * @returns {Object} { line, column } 文件中的行号和列号（均从 1 开始）
+ */
+function toFilePosition(blockStart, line, column) {
+  return {
+    line: blockStart.line + line - 1,
+    column: (line === 1 ? blockStart.column - 1 + column : column) + 1
+  };
+}
+
+/**
+ * 根据偏移量计算行号和列号
+ * @param {string} content
+ * @param {number} offset
+ * @returns {Object} { line, column }（line 从 1 开始，column 从 0 开始）
+ */
+function offsetToLineColumn(content, offset) {
+  const before = content.substring(0, offset);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length };
+}
+
+/**
+ * 在内容中查找文本的下一处独立出现（前后不紧邻中文或字母数字）
+ * 找不到独立出现时退回普通查找
+ * @param {string} content
+ * @param {string} text
+ * @param {number} fromIndex
+ * @returns {number} 偏移量，找不到时返回 -1
+ */
+function findTextOccurrence(content, text, fromIndex) {
+  const isWordChar = (char) => Boolean(char) && /[\u4e00-\u9fa5\w]/.test(char);
+  let index = content.indexOf(text, fromIndex);
+  while (index !== -1) {
+    if (!isWordChar(content[index - 1]) && !isWordChar(content[index + text.length])) {
+      return index;
+    }
+    index = content.indexOf(text, index + 1);
+  }
+  return content.indexOf(text, fromIndex);
+}
+
+module.exports = {
+  toFilePosition,
+  offsetToLineColumn,
+  findTextOccurrence
+};
@@ -5,59 +5,494 @@ const fs = require('fs');
 const path = require('path');
 const { parse } = require('@vue/compiler-sfc');
 const { convertTemplate } = require('./templateParser');
-const { convertScript } = require('./scriptParser');
-const { loadI18nMap, setConvertOptions, resetUnmatchedTexts, saveUnmatchedKeys } = require('./utils');
+const { convertPugTemplate } = require('./pugParser');
+const { convertScript, addI18nImport } = require('./scriptParser');
+const { rekeyTemplate, rekeyPugTemplate, rekeyScript } = require('./rekey');
+const { revertTemplate, revertPugTemplate, revertScript } = require('./revert');
+const { createUnifiedDiff, writePatchFile } = require('./diff');
+const { toFilePosition, offsetToLineColumn, findTextOccurrence } = require('./location');
+const { createKeyGenerator } = require('./keyGenerator');
+const { addLocaleEntries, getLocaleFileType } = require('./localeWriter');
+const { syncLocales, printLocaleReport } = require('./localeSync');
+const { isLocaleFile } = require('./localeLoader');
+const { createReportRows, saveReport } = require('./report');
+const {
+  loadI18nMap,
+  getLocaleFiles,
+  setConvertOptions,
+  resetConversionStats,
+  getConversionStats,
+  setTextCollector,
+  setKeyGenerator,
+  setCurrentFile,
+  getI18nKeys,
+  getI18nCallNames
+} = require('./utils');
 
 /**
- * 解析并转换 Vue 文件
- * @param {string} filePath - Vue 文件路径
- * @returns {string} 转换后的文件内容
+ * 可以直接转换的独立脚本文件扩展名
  */
-function parseVueFile(filePath) {
-  // 读取文件
-  const source = fs.readFileSync(filePath, 'utf-8');
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx'];
+
+/**
+ * JSX/TSX 组件文件扩展名（与 .vue 中的 script 一样根据上下文选择 i18n 调用）
+ */
+const JSX_EXTENSIONS = ['.jsx', '.tsx'];
+
+/**
+ * 检查是否是支持转换的文件（.vue 或独立脚本）
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isSupportedFile(filePath) {
+  return filePath.endsWith('.vue') || SCRIPT_EXTENSIONS.includes(path.extname(filePath));
+}
+
+/**
+ * 运行单个代码块的转换，并收集其中检测到的中文
+ * @param {Function} convert - convertTemplate 或 convertScript
+ * @param {string} content - 代码块内容
+ * @param {Object} options - 传给转换函数的选项（如 { lang: 'ts' }）
+ * @returns {Object} { code: 转换后的内容, records: [{ text, key, matched, kind, loc }] }
+ */
+function convertBlock(convert, content, options = {}) {
+  const records = [];
+  const previousCollector = setTextCollector(record => {
+    records.push(record);
+    if (previousCollector) previousCollector(record);
+  });
+  try {
+    return { code: convert(content, options), records };
+  } finally {
+    setTextCollector(previousCollector);
+  }
+}
+
+/**
+ * 将块内记录的位置换算为文件中的位置
+ * 没有位置信息的检测结果（如 pug 模板）按出现顺序在原内容中查找
+ * @param {Object} block - descriptor 中的代码块
+ * @param {string} blockName - 'template'、'script' 或 'scriptSetup'
+ * @param {Array<Object>} records - convertBlock 收集的记录
+ * @returns {Array<Object>} [{ text, key, matched, kind, block, line, column }]
+ */
+function locateRecords(block, blockName, records) {
+  const searchFrom = new Map();
+
+  return records.map(({ loc, ...record }) => {
+    let position = loc;
+    if (!position) {
+      const index = findTextOccurrence(block.content, record.text, searchFrom.get(record.text) || 0);
+      searchFrom.set(record.text, index === -1 ? 0 : index + record.text.length);
+      position = offsetToLineColumn(block.content, Math.max(index, 0));
+    }
+    return { ...record, block: blockName, ...toFilePosition(block.loc.start, position.line, position.column) };
+  });
+}
 
+/**
+ * 各模式下代码块的转换函数
+ * - convert：将中文转换为 i18n 调用
+ * - rekey：将以中文作为 key 的 i18n 调用更新为语言包中的 key（见 rekey.js）
+ * - revert：将 i18n 调用还原为语言包中的文本（见 revert.js）
+ */
+const BLOCK_TRANSFORMERS = {
+  convert: { template: convertTemplate, pug: convertPugTemplate, script: convertScript },
+  rekey: { template: rekeyTemplate, pug: rekeyPugTemplate, script: rekeyScript },
+  revert: { template: revertTemplate, pug: revertPugTemplate, script: revertScript }
+};
+
+/**
+ * 根据 template 的 lang 属性选择转换函数
+ * @param {Object|null} template - descriptor 中的 template 块
+ * @param {Object} transformers - BLOCK_TRANSFORMERS 中的一组转换函数
+ * @returns {Function}
+ */
+function getTemplateConverter(template, transformers) {
+  return template && template.lang === 'pug' ? transformers.pug : transformers.template;
+}
+
+/**
+ * 转换 Vue 文件内容（不读写文件）
+ * @param {string} source - Vue 文件内容
+ * @param {string} mode - 'convert'（默认）、'rekey' 或 'revert'（见 BLOCK_TRANSFORMERS）
+ * @returns {Object} { code: 转换后的内容, records: 检测到的中文及其在文件中的位置 }
+ */
+function transformVueSource(source, mode = 'convert') {
+  const transformers = BLOCK_TRANSFORMERS[mode];
   // 使用 @vue/compiler-sfc 解析
   const { descriptor, errors } = parse(source);
 
   if (errors && errors.length > 0) {
-    console.error('解析 Vue 文件失败:', errors);
-    throw new Error('Vue 文件格式错误');
+    throw new Error(`Vue 文件格式错误: ${errors.map(error => error.message).join('; ')}`);
   }
 
+  // 需要转换的代码块：template、script 和 script setup（可以同时存在）
+  const blocks = [
+    { name: 'template', block: descriptor.template, convert: getTemplateConverter(descriptor.template, transformers) },
+    { name: 'script', block: descriptor.script, convert: transformers.script },
+    { name: 'scriptSetup', block: descriptor.scriptSetup, convert: transformers.script }
+  ]
+    .filter(({ block }) => block)
+    .sort((a, b) => a.block.loc.start.offset - b.block.loc.start.offset);
+
   let result = '';
   let currentIndex = 0;
+  const records = [];
+
+  for (const { name, block, convert } of blocks) {
+    // 使用块的原始内容（非 html 的 template，如 pug，在 content 中会被去掉公共缩进）
+    const content = block.loc.source;
+    const converted = convertBlock(convert, content, { lang: block.lang, setup: name === 'scriptSetup' });
+    records.push(...locateRecords({ ...block, content }, name, converted.records));
+
+    // 按 descriptor 记录的偏移量拼接，避免相同内容出现在其他位置时定位错误
+    const { start, end } = block.loc;
+    result += source.substring(currentIndex, start.offset) + converted.code;
+    currentIndex = end.offset;
+  }
+
+  // 添加剩余部分（如 style 等）
+  result += source.substring(currentIndex);
+
+  return { code: result, records };
+}
+
+/**
+ * 根据扩展名获取独立脚本的语言（.js/.jsx 等按 JavaScript 处理，解析器本身支持 JSX）
+ * @param {string} extension - 文件扩展名
+ * @returns {string|undefined} 'ts'、'tsx' 或 undefined
+ */
+function getModuleLang(extension) {
+  if (extension === '.ts') return 'ts';
+  if (extension === '.tsx') return 'tsx';
+  return undefined;
+}
+
+/**
+ * 根据文件扩展名获取模块格式（.mjs、.cjs），其他文件返回 undefined（根据代码判断，见 addI18nImport）
+ * @param {string} extension
+ * @returns {string|undefined}
+ */
+function getModuleType(extension) {
+  if (extension === '.mjs') return 'module';
+  if (extension === '.cjs') return 'commonjs';
+  return undefined;
+}
 
-  // 处理 template
-  if (descriptor.template) {
-    const templateBlock = descriptor.template;
-    const originalContent = templateBlock.content;
-    const convertedContent = convertTemplate(originalContent);
+/**
+ * 转换独立的 js/ts 模块内容（不读写文件）
+ * 有转换时自动添加 i18n 实例的导入；JSX/TSX 组件与 .vue 中的 script 相同，根据上下文选择调用
+ * @param {string} source - 模块内容
+ * @param {Object} options
+ * @param {string} options.lang - 模块语言（如 'ts'、'tsx'）
+ * @param {boolean} options.jsx - 是否是 .jsx/.tsx 组件（组件方法使用 this.$t，setup() 使用 useI18n() 的 t）
+ * @param {string} options.moduleType - 模块格式（见 getModuleType）
+ * @param {string} options.mode - 'convert'（默认）、'rekey' 或 'revert'（见 BLOCK_TRANSFORMERS，只有 convert 添加导入）
+ * @returns {Object} { code: 转换后的内容, records: 检测到的中文及其在文件中的位置 }
+ */
+function transformScriptSource(source, options = {}) {
+  const { moduleI18nCall, i18nImportPath } = getI18nCallNames();
+  const mode = options.mode || 'convert';
+  // 不固定调用时由 convertScript 按实际使用的调用添加导入和 useI18n()
+  const i18nCall = options.jsx ? null : moduleI18nCall;
+  const converted = convertBlock(BLOCK_TRANSFORMERS[mode].script, source, { lang: options.lang, i18nCall, moduleType: options.moduleType });
 
-    // 获取 template 标签的位置
-    const templateStart = source.indexOf(originalContent, currentIndex);
-    const beforeTemplate = source.substring(0, templateStart);
-    result += beforeTemplate + convertedContent;
-    currentIndex = templateStart + originalContent.length;
+  let code = converted.code;
+  if (mode === 'convert' && i18nCall && code !== source) {
+    code = addI18nImport(code, { lang: options.lang, i18nCall: moduleI18nCall, importPath: i18nImportPath, moduleType: options.moduleType });
   }
 
-  // 处理 script
-  if (descriptor.script || descriptor.scriptSetup) {
-    const scriptBlock = descriptor.script || descriptor.scriptSetup;
-    const originalContent = scriptBlock.content;
-    const convertedContent = convertScript(originalContent);
+  // 整个文件视为一个从第 1 行第 1 列开始的代码块
+  const block = { content: source, loc: { start: { line: 1, column: 1, offset: 0 } } };
+  return { code, records: locateRecords(block, 'script', converted.records) };
+}
 
-    // 找到 script 内容的位置
-    const scriptStart = source.indexOf(originalContent, currentIndex);
-    const beforeScript = source.substring(currentIndex, scriptStart);
-    result += beforeScript + convertedContent;
-    currentIndex = scriptStart + originalContent.length;
+/**
+ * 根据文件扩展名转换文件内容（不读写文件）
+ * @param {string} source - 文件内容
+ * @param {string} filePath - 文件路径（用于判断文件类型和选择离文件最近的命名空间）
+ * @param {string} mode - 'convert'（默认）、'rekey' 或 'revert'（见 BLOCK_TRANSFORMERS）
+ * @returns {Object} { code, records }
+ */
+function transformSource(source, filePath, mode = 'convert') {
+  const extension = path.extname(filePath);
+  const previousFile = setCurrentFile(filePath);
+  try {
+    if (SCRIPT_EXTENSIONS.includes(extension)) {
+      return transformScriptSource(source, {
+        lang: getModuleLang(extension),
+        jsx: JSX_EXTENSIONS.includes(extension),
+        moduleType: getModuleType(extension),
+        mode
+      });
+    }
+    return transformVueSource(source, mode);
+  } finally {
+    setCurrentFile(previousFile);
   }
+}
 
-  // 添加剩余部分（如 style 等）
-  result += source.substring(currentIndex);
+/**
+ * 解析并转换 Vue 文件（也支持独立的 js/ts 模块）
+ * @param {string} filePath - 文件路径
+ * @returns {string} 转换后的文件内容
+ */
+function parseVueFile(filePath) {
+  // 读取文件
+  const source = fs.readFileSync(filePath, 'utf-8');
+  return transformSource(source, filePath).code;
+}
+
+/**
+ * 自动查找时使用的语言包名称（按优先级排列），zh 为按模块拆分的语言包目录
+ */
+const LOCALE_NAMES = ['zh.js', 'zh.ts', 'zh.json', 'zh.yaml', 'zh.yml', 'zh'];
+
+/**
+ * 查找 Vue 文件对应的语言包路径
+ * @param {string} filePath - Vue 文件路径
+ * @param {string} zhFilePath - 指定的语言包文件或目录（可选）
+ * @returns {string|null} 语言包的绝对路径，找不到时返回 null
+ */
+function resolveZhFilePath(filePath, zhFilePath) {
+  if (zhFilePath) {
+    // 如果提供了语言包路径
+    const absoluteZhPath = path.resolve(zhFilePath);
+    if (fs.existsSync(absoluteZhPath)) {
+      return absoluteZhPath;
+    }
+    console.warn(`⚠ 语言包文件不存在: ${zhFilePath}`);
+    return null;
+  }
+
+  // 尝试在当前目录和父目录查找语言包
+  const vueFileDir = path.dirname(path.resolve(filePath));
+  const searchDirs = [vueFileDir, path.join(vueFileDir, '..'), path.join(vueFileDir, '../..'), process.cwd()];
+
+  for (const dir of searchDirs) {
+    for (const name of LOCALE_NAMES) {
+      const possiblePath = path.join(dir, name);
+      if (!fs.existsSync(possiblePath)) continue;
+      // 同名目录只有包含语言文件时才视为语言包
+      if (fs.statSync(possiblePath).isDirectory() && !fs.readdirSync(possiblePath).some(isLocaleFile)) continue;
+      return possiblePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * 可以写入新 key 的语言包文件扩展名（见 localeWriter）
+ */
+const WRITABLE_LOCALE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts'];
+
+/**
+ * 是否只预览不写入（--dry-run 或 --diff-out）
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function isPreviewOnly(options) {
+  return Boolean(options.dryRun || options.diffOut);
+}
+
+/**
+ * 开始为未匹配的文本生成 key（--generate-keys），每个语言包使用一个生成器
+ * @param {Object} options - 转换选项
+ * @param {string} options.keyStrategy - key 生成方式（'path'、'hash' 或 'pinyin'）
+ * @param {string} options.keyNamespace - 新 key 所在的命名空间
+ * @returns {Object} { use(zhPath, filePath): 切换到当前文件及其语言包（语言包需已加载）,
+ *   discardFile(): 丢弃当前文件生成的 key（文件转换失败时）, finish(): 结束生成，返回 Map<语言包路径, 生成器> }
+ */
+function startKeyGeneration(options) {
+  const generators = new Map();
+  let currentGenerator = null;
+  let currentFile = null;
+  let fileStart = 0;
+  const previousGenerator = setKeyGenerator(text => (currentGenerator ? currentGenerator.generate(text, currentFile) : null));
 
-  return result;
+  return {
+    use(zhPath, filePath) {
+      currentFile = filePath;
+      if (zhPath && !generators.has(zhPath)) {
+        // 语言包无法写入时不生成 key，文本按未匹配处理
+        let generator = null;
+        try {
+          if (!WRITABLE_LOCALE_EXTENSIONS.includes(path.extname(zhPath))) {
+            throw new Error('只支持写入单个 js/ts 语言包文件，JSON、YAML 和目录形式的语言包需要手动添加 key');
+          }
+          addLocaleEntries(fs.readFileSync(zhPath, 'utf-8'), [], getLocaleFileType(zhPath));
+          generator = createKeyGenerator({ strategy: options.keyStrategy, namespace: options.keyNamespace, existingKeys: getI18nKeys() });
+        } catch (error) {
+          console.warn(`⚠ 无法向语言包写入新的 key: ${zhPath}\n错误信息: ${error.message}`);
+        }
+        generators.set(zhPath, generator);
+      }
+      currentGenerator = zhPath ? generators.get(zhPath) : null;
+      fileStart = currentGenerator ? currentGenerator.entries.length : 0;
+    },
+    discardFile() {
+      if (currentGenerator) currentGenerator.discard(fileStart);
+    },
+    finish() {
+      setKeyGenerator(previousGenerator);
+      return generators;
+    }
+  };
+}
+
+/**
+ * 将生成的 key 写入对应的语言包；预览模式下只生成语言包的 diff
+ * @param {Map} generators - startKeyGeneration 的结果
+ * @param {Object} options - 转换选项（dryRun、diffOut）
+ * @returns {Array<string>} 预览模式下语言包的 diff
+ */
+function writeGeneratedKeys(generators, options = {}) {
+  const diffs = [];
+  for (const [zhPath, generator] of generators) {
+    if (!generator || generator.entries.length === 0) continue;
+
+    const source = fs.readFileSync(zhPath, 'utf-8');
+    const updated = addLocaleEntries(source, generator.entries, getLocaleFileType(zhPath));
+
+    if (isPreviewOnly(options)) {
+      const diff = createUnifiedDiff(zhPath, source, updated);
+      if (options.dryRun) {
+        process.stdout.write(diff);
+      }
+      diffs.push(diff);
+    } else {
+      fs.writeFileSync(zhPath, updated, 'utf-8');
+      console.log(`✓ 已将 ${generator.entries.length} 个新 key 写入语言包: ${zhPath}`);
+    }
+  }
+  return diffs;
+}
+
+/**
+ * 获取需要同步的其他语言包路径（--sync-locale）
+ * @param {Object} options - 转换选项
+ * @returns {Array<string>} 绝对路径
+ */
+function getSyncLocalePaths(options) {
+  return (options.syncLocales || []).map(localePath => path.resolve(localePath));
+}
+
+/**
+ * 检查文件是否是语言包本身（包括拆分语言包中的各个文件）或需要同步的其他语言包，遍历 js/ts 时跳过这些文件
+ * @param {string} filePath
+ * @param {string|null} zhPath - resolveZhFilePath 的结果
+ * @param {Set<string>} localeFiles - 语言包读取过的文件（绝对路径）
+ * @param {Array<string>} syncLocalePaths - getSyncLocalePaths 的结果
+ * @returns {boolean}
+ */
+function isLocaleSourceFile(filePath, zhPath, localeFiles, syncLocalePaths) {
+  const absolutePath = path.resolve(filePath);
+  return absolutePath === zhPath || localeFiles.has(absolutePath) || syncLocalePaths.includes(absolutePath);
+}
+
+/**
+ * 开始收集转换中使用的 key（用于同步其他语言包）
+ * 未匹配且没有生成 key 的文本（以中文作为 key）不计入
+ * @returns {Object} { keys: Map<key, 中文文本>, startFile(): 开始处理下一个文件, discardFile(): 丢弃当前文件新收集的 key, finish(): 停止收集 }
+ */
+function startKeyCollection() {
+  const keys = new Map();
+  let fileKeys = [];
+  const previousCollector = setTextCollector(record => {
+    if (record.key !== null && (record.matched || record.key !== record.text) && !keys.has(record.key)) {
+      keys.set(record.key, record.text);
+      fileKeys.push(record.key);
+    }
+    if (previousCollector) previousCollector(record);
+  });
+
+  return {
+    keys,
+    startFile() {
+      fileKeys = [];
+    },
+    discardFile() {
+      fileKeys.forEach(key => keys.delete(key));
+      fileKeys = [];
+    },
+    finish() {
+      setTextCollector(previousCollector);
+    }
+  };
+}
+
+/**
+ * 向其他语言包补充使用的 key，并输出未翻译的 key
+ * @param {string|null} primaryPath - zh.js 的路径
+ * @param {Map} usedKeys - startKeyCollection 收集的 key
+ * @param {Object} options - 转换选项（syncLocales、translationPlaceholder、dryRun、diffOut）
+ * @returns {Array<string>} 预览模式下语言包的 diff
+ */
+function syncSecondaryLocales(primaryPath, usedKeys, options) {
+  const preview = isPreviewOnly(options);
+  const results = syncLocales({
+    localePaths: getSyncLocalePaths(options),
+    primaryPath,
+    usedKeys,
+    placeholder: options.translationPlaceholder,
+    preview
+  });
+
+  const diffs = results.map(result => result.diff).filter(Boolean);
+  if (options.dryRun) {
+    diffs.forEach(diff => process.stdout.write(diff));
+  }
+  printLocaleReport(results, preview);
+  return diffs;
+}
+
+/**
+ * 获取实际使用的转换选项：rekey 时语言包中找不到的文本保持原来的调用不变
+ * @param {Object} options
+ * @returns {Object}
+ */
+function getModeOptions(options) {
+  return options.mode === 'rekey' ? { ...options, skipUnmatched: true } : options;
+}
+
+/**
+ * 转换单个 Vue 文件并写回（语言包和选项需已设置好）
+ * @param {string} filePath - Vue 文件路径
+ * @param {Object} options
+ * @param {string} options.mode - 'convert'（默认）、'rekey' 或 'revert'（见 BLOCK_TRANSFORMERS）
+ * @param {boolean} options.dryRun - 只输出 diff，不写入文件
+ * @param {string} options.diffOut - 将 diff 写入该 patch 文件，不写入源文件
+ * @returns {Object} { changed: 文件内容是否有变化, converted: 转换的文本数, unmatched: 未匹配的文本数, generated: 生成 key 的文本数, diff: 预览模式下的 diff 文本, reportRows: 转换报告中的行 }
+ */
+function convertFile(filePath, options = {}) {
+  const before = getConversionStats();
+  const source = fs.readFileSync(filePath, 'utf-8');
+
+  // 解析并转换
+  const { code: convertedContent, records } = transformSource(source, filePath, options.mode);
+  const changed = convertedContent !== source;
+
+  let diff = '';
+  if (isPreviewOnly(options)) {
+    diff = createUnifiedDiff(filePath, source, convertedContent);
+    if (options.dryRun && diff) {
+      process.stdout.write(diff);
+    }
+  } else if (changed) {
+    // 写回文件
+    fs.writeFileSync(filePath, convertedContent, 'utf-8');
+  }
+
+  const after = getConversionStats();
+  return {
+    changed,
+    converted: after.converted - before.converted,
+    unmatched: after.unmatched - before.unmatched,
+    generated: after.generated - before.generated,
+    diff,
+    reportRows: createReportRows(filePath, source, records)
+  };
 }
 
 /**
@@ -65,7 +500,18 @@ function parseVueFile(filePath) {
  * @param {string} filePath - Vue 文件路径
  * @param {string} zhFilePath - zh.js 语言包文件路径（可选）
  * @param {Object} options - 转换选项
+ * @param {string} options.mode - 'convert'（默认）、'rekey'（更新以中文作为 key 的调用，见 rekey.js）或 'revert'（将 i18n 调用还原为文本，见 revert.js）
  * @param {boolean} options.skipUnmatched - 是否跳过未匹配的文本
+ * @param {boolean} options.dryRun - 只输出 diff，不写入任何文件
+ * @param {string} options.diffOut - 将 diff 写入该 patch 文件，不修改源文件
+ * @param {string} options.reportDir - 转换报告的输出目录（默认为当前工作目录）
+ * @param {string} options.reportFormat - 转换报告的格式：'json'（默认）、'csv' 或 'html'
+ * @param {boolean} options.generateKeys - 为未匹配的文本生成 key 并写入语言包
+ * @param {string} options.keyStrategy - key 生成方式：'path'（默认）、'hash' 或 'pinyin'
+ * @param {string} options.keyNamespace - 新 key 所在的命名空间
+ * @param {Array<string>} options.syncLocales - 需要同步的其他语言包（如 en.js、ja.js）
+ * @param {string} options.translationPlaceholder - 补充到其他语言包的占位文本：'todo'（默认）、'source' 或 'empty'
+ * @returns {boolean} 是否处理成功（文件不存在、类型不支持或解析失败时返回 false）
  */
 function convertVueFile(filePath, zhFilePath, options = {}) {
   try {
@@ -74,72 +520,186 @@ function convertVueFile(filePath, zhFilePath, options = {}) {
     // 检查文件是否存在
     if (!fs.existsSync(filePath)) {
       console.error(`错误: 文件不存在 - ${filePath}`);
-      return;
+      return false;
     }
 
-    // 检查是否是 .vue 文件
-    if (!filePath.endsWith('.vue')) {
-      console.error('错误: 请提供 .vue 文件');
-      return;
+    // 检查是否是支持的文件类型
+    if (!isSupportedFile(filePath)) {
+      console.error(`错误: 请提供 .vue 文件或 ${SCRIPT_EXTENSIONS.join('/')} 模块`);
+      return false;
     }
 
-    // 重置未匹配文本集合（每次转换前清空）
-    resetUnmatchedTexts();
-
     // 设置转换选项
-    setConvertOptions(options);
+    setConvertOptions(getModeOptions(options));
 
     // 加载语言包文件
-    if (zhFilePath) {
-      // 如果提供了语言包路径
-      const absoluteZhPath = path.resolve(zhFilePath);
-      if (fs.existsSync(absoluteZhPath)) {
-        loadI18nMap(absoluteZhPath);
-      } else {
-        console.warn(`⚠ 语言包文件不存在: ${zhFilePath}`);
+    const resolvedZhPath = resolveZhFilePath(filePath, zhFilePath);
+    if (resolvedZhPath) {
+      loadI18nMap(resolvedZhPath);
+    } else if (!zhFilePath) {
+      console.log('ℹ 未找到 zh.js 语言包，将使用中文作为 key');
+    }
+
+    const keyGeneration = options.generateKeys ? startKeyGeneration(options) : null;
+    if (keyGeneration) {
+      if (!resolvedZhPath) console.warn('⚠ 没有语言包，无法生成 key');
+      keyGeneration.use(resolvedZhPath, filePath);
+    }
+
+    const keyCollection = getSyncLocalePaths(options).length > 0 ? startKeyCollection() : null;
+
+    let result;
+    let generators = null;
+    try {
+      result = convertFile(filePath, options);
+    } finally {
+      if (keyGeneration) generators = keyGeneration.finish();
+      if (keyCollection) keyCollection.finish();
+    }
+    const localeDiffs = generators ? writeGeneratedKeys(generators, options) : [];
+    if (keyCollection) {
+      localeDiffs.push(...syncSecondaryLocales(resolvedZhPath, keyCollection.keys, options));
+    }
+
+    if (isPreviewOnly(options)) {
+      if (options.diffOut) {
+        writePatchFile(options.diffOut, [result.diff, ...localeDiffs]);
       }
-    } else {
-      // 尝试在当前目录和父目录查找 zh.js
-      const vueFileDir = path.dirname(path.resolve(filePath));
-      const possiblePaths = [
-        path.join(vueFileDir, 'zh.js'),
-        path.join(vueFileDir, '../zh.js'),
-        path.join(vueFileDir, '../../zh.js'),
-        path.join(process.cwd(), 'zh.js')
-      ];
-
-      let found = false;
-      for (const possiblePath of possiblePaths) {
-        if (fs.existsSync(possiblePath)) {
-          loadI18nMap(possiblePath);
-          found = true;
-          break;
+      console.log(result.changed ? `✓ 预览完成（未写入文件）: ${filePath}` : `ℹ 没有需要转换的内容: ${filePath}`);
+      return true;
+    }
+
+    console.log(`✓ 转换完成: ${filePath}`);
+
+    // 合并到转换报告（默认输出到项目根目录）
+    saveReport(result.reportRows, options);
+    return true;
+  } catch (error) {
+    console.error(`处理失败: ${filePath}: ${error.message}`);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+/**
+ * 批量转换多个 Vue 文件，结束后输出一份汇总
+ * 相同的语言包只加载一次，转换报告在全部文件处理完后统一保存
+ * @param {Array<string>} filePaths - Vue 文件路径列表
+ * @param {string} zhFilePath - zh.js 语言包文件路径（可选）
+ * @param {Object} options - 转换选项（同 convertVueFile）
+ * @returns {Object} 汇总结果 { total, changed, converted, unmatched, generated, failed: [{ filePath, message }] }
+ */
+function convertFiles(filePaths, zhFilePath, options = {}) {
+  const summary = { total: filePaths.length, changed: 0, converted: 0, unmatched: 0, generated: 0, failed: [] };
+
+  resetConversionStats();
+  setConvertOptions(getModeOptions(options));
+
+  const diffs = [];
+  const reportRows = [];
+  let loadedZhPath;
+  const keyGeneration = options.generateKeys ? startKeyGeneration(options) : null;
+  const syncLocalePaths = getSyncLocalePaths(options);
+  const keyCollection = syncLocalePaths.length > 0 ? startKeyCollection() : null;
+  let warnedMissingLocale = false;
+  for (const filePath of filePaths) {
+    try {
+      // 语言包按文件位置查找，路径不变时不重复加载
+      const resolvedZhPath = resolveZhFilePath(filePath, zhFilePath);
+
+      if (resolvedZhPath !== loadedZhPath) {
+        if (resolvedZhPath) {
+          loadI18nMap(resolvedZhPath);
+        } else {
+          loadI18nMap(null);
+          console.log(`ℹ 未找到 zh.js 语言包，将使用中文作为 key: ${filePath}`);
         }
+        loadedZhPath = resolvedZhPath;
+      }
+
+      // 遍历 js/ts 时跳过语言包本身（包括拆分语言包中的各个文件）
+      if (isLocaleSourceFile(filePath, resolvedZhPath, getLocaleFiles(), syncLocalePaths)) {
+        summary.total--;
+        continue;
       }
 
-      if (!found) {
-        console.log('ℹ 未找到 zh.js 语言包，将使用中文作为 key');
+      if (keyGeneration) {
+        if (!resolvedZhPath && !warnedMissingLocale) {
+          console.warn('⚠ 没有语言包，无法生成 key');
+          warnedMissingLocale = true;
+        }
+        keyGeneration.use(resolvedZhPath, filePath);
       }
+      if (keyCollection) keyCollection.startFile();
+
+      const result = convertFile(filePath, options);
+      if (result.diff) diffs.push(result.diff);
+      reportRows.push(...result.reportRows);
+      if (result.changed) summary.changed++;
+      summary.converted += result.converted;
+      summary.unmatched += result.unmatched;
+      summary.generated += result.generated;
+    } catch (error) {
+      // 文件没有被改写，丢弃转换过程中为它生成和收集的 key
+      if (keyGeneration) keyGeneration.discardFile();
+      if (keyCollection) keyCollection.discardFile();
+      summary.failed.push({ filePath, message: error.message });
     }
+  }
 
-    // 解析并转换
-    const convertedContent = parseVueFile(filePath);
+  if (keyGeneration) {
+    diffs.push(...writeGeneratedKeys(keyGeneration.finish(), options));
+  }
 
-    // 写回文件
-    fs.writeFileSync(filePath, convertedContent, 'utf-8');
+  printSummary(summary, options);
 
-    console.log(`✓ 转换完成: ${filePath}`);
+  if (keyCollection) {
+    keyCollection.finish();
+    diffs.push(...syncSecondaryLocales(loadedZhPath || null, keyCollection.keys, options));
+  }
 
-    // 保存未匹配的文本到 nomatch.txt（追加模式，输出到项目根目录）
-    const outputDir = process.cwd();
-    saveUnmatchedKeys(outputDir);
-  } catch (error) {
-    console.error(`处理失败: ${error.message}`);
-    console.error(error.stack);
+  if (isPreviewOnly(options)) {
+    if (options.diffOut) {
+      writePatchFile(options.diffOut, diffs);
+    }
+  } else {
+    saveReport(reportRows, options);
+  }
+
+  return summary;
+}
+
+/**
+ * 输出批量转换汇总
+ * @param {Object} summary - convertFiles 的汇总结果
+ * @param {Object} options - 转换选项
+ */
+function printSummary(summary, options = {}) {
+  const previewOnly = isPreviewOnly(options);
+  console.log(previewOnly ? '\n========== 预览汇总（未写入文件） ==========' : '\n========== 转换汇总 ==========');
+  console.log(`处理文件: ${summary.total}`);
+  console.log(`${previewOnly ? '将修改文件' : '已修改文件'}: ${summary.changed}`);
+  console.log(`转换文本: ${summary.converted}`);
+  console.log(`未匹配文本: ${summary.unmatched}`);
+  if (options.generateKeys) {
+    console.log(`生成 key: ${summary.generated}`);
+  }
+  console.log(`失败文件: ${summary.failed.length}`);
+  for (const { filePath, message } of summary.failed) {
+    console.error(`  ✗ ${filePath}: ${message}`);
   }
 }
 
 module.exports = {
+  SCRIPT_EXTENSIONS,
+  isSupportedFile,
+  transformVueSource,
+  transformScriptSource,
+  transformSource,
   parseVueFile,
-  convertVueFile
+  resolveZhFilePath,
+  getSyncLocalePaths,
+  isLocaleSourceFile,
+  convertVueFile,
+  convertFiles
 };
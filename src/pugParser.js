@@ -0,0 +1,209 @@
+/**
+ * Pug template 解析和转换（<template lang="pug">）
+ * 使用 pug-lexer 定位文本、插值和属性，只替换对应的源码片段，缩进保持不变
+ */
+const lex = require('pug-lexer');
+const {
+  SKIPPED_DIRECTIVES,
+  convertExpression,
+  convertInterpolations,
+  convertTextContent,
+  convertAttribute,
+  replaceExpressionCalls,
+  escapeTemplateText,
+  getDirectiveName
+} = require('./templateParser');
+const { getExpressionStringParts } = require('./scriptParser');
+const { logDiagnostic, isIgnoredComponent } = require('./utils');
+
+/**
+ * 获取内容的公共缩进（空行不计入）
+ * SFC 中 pug template 的整体缩进会导致 pug-lexer 报错，需要先去掉
+ * @param {Array<string>} lines
+ * @returns {number}
+ */
+function getCommonIndent(lines) {
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  return indents.length > 0 ? Math.min(...indents) : 0;
+}
+
+/**
+ * 转换单个 token 对应的源码，不需要转换时返回 null
+ * @param {Object} token - pug-lexer 的 token
+ * @param {string} source - token 在模板中的原始内容
+ * @returns {string|null}
+ */
+function convertToken(token, source) {
+  if (token.type === 'text') {
+    // 源码与 token 值不同时（如包含转义），不做处理
+    if (source !== token.val) return null;
+    const withInterpolations = convertInterpolations(source);
+    const converted = convertTextContent(withInterpolations);
+    if (converted !== null) return converted;
+    return withInterpolations !== source ? withInterpolations : null;
+  }
+
+  if (token.type === 'interpolated-code') {
+    // #{'文本'} 是 pug 编译期的插值，转换为 Vue 的插值表达式
+    const converted = convertExpression(token.val);
+    return converted !== null ? `{{ ${converted} }}` : null;
+  }
+
+  if (token.type === 'attribute' && typeof token.val === 'string') {
+    // pug 的属性值是 JavaScript 表达式，只处理字符串形式的值
+    const quoted = token.val.match(/^(["'])([\s\S]*)\1$/);
+    if (!quoted) return null;
+    const converted = convertAttribute(token.name, quoted[2]);
+    return converted !== null ? `${converted.name}="${converted.value}"` : null;
+  }
+
+  return null;
+}
+
+/**
+ * 替换单个 token 中已有的 i18n 调用（文本中的 {{ }} 插值和指令属性），不需要替换时返回 null
+ * @param {Object} token - pug-lexer 的 token
+ * @param {string} source - token 在模板中的原始内容
+ * @param {Function} replaceCall - 见 scriptParser 中的 replaceI18nCalls
+ * @param {Object} options - 同 replacePugI18nCalls
+ * @returns {string|null}
+ */
+function replaceTokenCalls(token, source, replaceCall, options = {}) {
+  const { inlineStrings } = options;
+
+  if (token.type === 'text') {
+    if (source !== token.val) return null;
+    let changed = false;
+    const replaced = source.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => {
+      const code = replaceExpressionCalls(expression, replaceCall, { inlineStrings });
+      if (code === null) return match;
+      changed = true;
+      // 替换结果是字符串时写回为文本（同 template）
+      const parts = inlineStrings ? getExpressionStringParts(code) : null;
+      if (!parts) return `{{${code}}}`;
+      return parts.map(part => (part.expression ? `{{ ${part.expression} }}` : escapeTemplateText(part.text))).join('');
+    });
+    return changed ? replaced : null;
+  }
+
+  if (token.type === 'attribute' && typeof token.val === 'string') {
+    const directive = getDirectiveName(token.name);
+    const quoted = token.val.match(/^(["'])([\s\S]*)\1$/);
+    if (directive === null || SKIPPED_DIRECTIVES.includes(directive) || !quoted) return null;
+    // 属性值外层是单引号时，生成的调用使用双引号
+    const code = replaceExpressionCalls(quoted[2], replaceCall, { quote: quoted[1] === '\'' ? '"' : '\'', statements: directive === 'on', inlineStrings });
+    if (code === null) return null;
+
+    // 没有修饰符的绑定，值是没有插值的字符串时写回为静态属性：:title="'用户名'" → title="用户名"
+    const attributeName = inlineStrings ? token.name.match(/^(?::|v-bind:)([\w-]+)$/) : null;
+    const parts = attributeName ? getExpressionStringParts(code) : null;
+    if (parts && parts.every(part => !part.expression)) {
+      return `${attributeName[1]}=${JSON.stringify(parts.map(part => part.text).join(''))}`;
+    }
+    return `${token.name}=${quoted[1]}${code}${quoted[1]}`;
+  }
+
+  return null;
+}
+
+/**
+ * 处理 pug template 中的中文
+ * 支持文本、管道文本（| 文本）、#{} 插值和属性，输出 pug 可用的 $t() 语法
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function convertPugTemplate(templateContent) {
+  return transformPugTemplate(templateContent, convertToken);
+}
+
+/**
+ * 替换 pug template 中已有的 i18n 调用，用于 rekey 和 revert 命令
+ * @param {string} templateContent
+ * @param {Function} replaceCall - (node, meta) => 替换后的节点，不需要替换时返回 null（见 scriptParser 中的 replaceI18nCalls）
+ * @param {Object} options
+ * @param {boolean} options.inlineStrings - 替换结果是字符串时写回为文本和静态属性（revert 命令使用）
+ * @returns {string}
+ */
+function replacePugI18nCalls(templateContent, replaceCall, options = {}) {
+  return transformPugTemplate(templateContent, (token, source) => replaceTokenCalls(token, source, replaceCall, options));
+}
+
+/**
+ * 使用 pug-lexer 遍历 pug template，按 token 替换对应的源码片段（忽略注释和忽略的组件中的内容保持原样）
+ * @param {string} templateContent
+ * @param {Function} transformToken - (token, source) => 替换后的源码，不需要替换时返回 null
+ * @returns {string}
+ */
+function transformPugTemplate(templateContent, transformToken) {
+  if (!templateContent) return '';
+
+  const lines = templateContent.split('\n');
+  const indent = getCommonIndent(lines);
+  const dedented = lines.map(line => line.slice(Math.min(indent, line.match(/^[ \t]*/)[0].length))).join('\n');
+
+  let tokens;
+  try {
+    tokens = lex(dedented);
+  } catch (error) {
+    logDiagnostic('error', `Pug 模板解析失败: ${error.message}`);
+    return templateContent;
+  }
+
+  // 每行在原始内容中的起始偏移量
+  const lineOffsets = [0];
+  for (const line of lines) {
+    lineOffsets.push(lineOffsets[lineOffsets.length - 1] + line.length + 1);
+  }
+  const toOffset = ({ line, column }) => lineOffsets[line - 1] + indent + column - 1;
+
+  const dedentedLines = dedented.split('\n');
+  const getLineIndent = line => dedentedLines[line - 1].match(/^[ \t]*/)[0].length;
+
+  // 被忽略的块：从 line 行开始，到缩进不大于 indent 的下一行为止
+  let ignored = null;
+  let ignoreNextLine = false;
+
+  const replacements = [];
+  for (const token of tokens) {
+    const { line } = token.loc.start;
+    if (ignored && line > ignored.line && getLineIndent(line) <= ignored.indent) {
+      ignored = null;
+    }
+    if (['newline', 'indent', 'outdent', 'eos'].includes(token.type)) continue;
+
+    // //- i18n-ignore 忽略下一行及其子节点
+    if (token.type === 'comment' && token.val.trim() === 'i18n-ignore') {
+      ignoreNextLine = true;
+      continue;
+    }
+    if (ignoreNextLine && !ignored) {
+      ignored = { line, indent: getLineIndent(line) };
+    }
+    ignoreNextLine = false;
+    if (!ignored && token.type === 'tag' && isIgnoredComponent(token.val)) {
+      ignored = { line, indent: token.loc.start.column - 1 };
+    }
+    if (ignored) continue;
+
+    const start = toOffset(token.loc.start);
+    const end = toOffset(token.loc.end);
+    const converted = transformToken(token, templateContent.substring(start, end));
+    if (converted !== null) {
+      replacements.push({ start, end, code: converted });
+    }
+  }
+
+  // 从后向前替换，避免偏移量失效
+  let result = templateContent;
+  for (const { start, end, code } of replacements.reverse()) {
+    result = result.substring(0, start) + code + result.substring(end);
+  }
+  return result;
+}
+
+module.exports = {
+  convertPugTemplate,
+  replacePugI18nCalls
+};
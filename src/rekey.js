@@ -0,0 +1,126 @@
+/**
+ * rekey：将以中文作为 key 的 i18n 调用更新为语言包中的 key
+ * 未匹配的文本会转换为 $t('中文')，语言包补充了对应的条目后，可以重新运行 rekey 更新这些调用
+ * 如 $t('用户名') → $t('user.name')，i18n.t("共{n}条", { n: total }) → i18n.t("order.total", { total: total })
+ */
+const { builders: b } = require('recast').types;
+const { isOnlyChinese, getKeyForChinese, getLocalePlaceholderNames, splitAffixes } = require('./utils');
+const { replaceI18nCalls, buildI18nCallee } = require('./scriptParser');
+const { replaceTemplateI18nCalls } = require('./templateParser');
+const { replacePugI18nCalls } = require('./pugParser');
+
+/**
+ * 获取字符串参数的值（字符串字面量或没有插值的模板字符串）
+ * @param {Object} node - 参数节点
+ * @returns {string|null}
+ */
+function getStringArgument(node) {
+  if (!node) return null;
+  if ((node.type === 'Literal' || node.type === 'StringLiteral') && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * 按语言包中的占位符名称重命名参数对象的属性（文本按占位符结构匹配到条目时）
+ * @param {Object} params - 调用的第二个参数
+ * @param {string} text - 调用中的中文
+ * @param {string} key - 匹配到的 key
+ * @returns {Object} 参数节点
+ */
+function renameParams(params, text, key) {
+  const localeNames = getLocalePlaceholderNames(text, key);
+  if (!localeNames || params.type !== 'ObjectExpression') return params;
+
+  for (const property of params.properties) {
+    // 展开（...）和计算属性保持不变
+    if (!property.key || property.computed) continue;
+    const name = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+    const localeName = localeNames.get(name);
+    if (localeName && localeName !== name) {
+      property.key = b.identifier(localeName);
+      property.shorthand = false;
+    }
+  }
+  return params;
+}
+
+/**
+ * 更新单个以中文作为 key 的调用
+ * 文本按词缀规则拆分（见 splitAffixes），如 $t('用户名：') → $t('user.name') + '：'；插值参数和其余参数保留在核心文本的调用中
+ * @param {Object} node - CallExpression
+ * @param {Object} meta - { kind, loc, callName }（见 replaceI18nCalls）
+ * @returns {Object|null} 替换后的节点，第一个参数不是中文或语言包中没有对应的 key 时返回 null
+ */
+function rekeyCall(node, meta) {
+  const [textArgument, params, ...restArguments] = node.arguments;
+  const text = getStringArgument(textArgument);
+  if (text === null || !isOnlyChinese(text)) return null;
+
+  const { callName, ...keyMeta } = meta;
+  const expressions = [];
+  for (const part of splitAffixes(text)) {
+    if (!part.translate) {
+      expressions.push(b.literal(part.text));
+      continue;
+    }
+
+    const key = getKeyForChinese(part.text, { ...keyMeta, sourceText: text });
+    if (key === null) return null;
+
+    const args = [b.literal(key)];
+    if (part.core && params) {
+      args.push(renameParams(params, part.text, key), ...restArguments);
+    }
+    expressions.push(b.callExpression(buildI18nCallee(callName), args));
+  }
+
+  return expressions.reduce((left, right) => b.binaryExpression('+', left, right));
+}
+
+/**
+ * 更新 template 中以中文作为 key 的调用
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function rekeyTemplate(templateContent) {
+  return replaceTemplateI18nCalls(templateContent, rekeyCall);
+}
+
+/**
+ * 更新 pug template 中以中文作为 key 的调用
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function rekeyPugTemplate(templateContent) {
+  return replacePugI18nCalls(templateContent, rekeyCall);
+}
+
+/**
+ * 更新 script 中以中文作为 key 的调用
+ * @param {string} scriptContent
+ * @param {Object} options
+ * @param {string} options.lang - script 的 lang 属性（如 'ts'）
+ * @returns {string} 更新后的代码（解析失败时抛出异常）
+ */
+function rekeyScript(scriptContent, options = {}) {
+  if (!scriptContent) return '';
+
+  try {
+    const code = replaceI18nCalls(scriptContent, rekeyCall, { lang: options.lang });
+    return code !== null ? code : scriptContent;
+  } catch (error) {
+    throw new Error(`Script 解析失败: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getStringArgument,
+  rekeyTemplate,
+  rekeyPugTemplate,
+  rekeyScript
+};
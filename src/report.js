@@ -0,0 +1,394 @@
+/**
+ * 转换报告：记录每一处检测到的中文（文件、位置、类型、使用的 key 或未匹配的原因）
+ * 支持 JSON、CSV 和 HTML 格式；多次运行的结果合并到同一份报告中，不会重复记录
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 支持的报告格式
+ */
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+/**
+ * 报告文件名（不含扩展名）
+ */
+const REPORT_FILE_NAME = 'i18n-report';
+
+/**
+ * 报告中的列（CSV 的列顺序）
+ */
+const REPORT_COLUMNS = [
+  'file', 'line', 'column', 'kind', 'attribute', 'text', 'status', 'key', 'localeText', 'reason', 'candidates', 'selectedBy',
+  'rejected', 'suggestions', 'context', 'occurrence', 'lastSeen'
+];
+
+/**
+ * 未匹配原因的说明（HTML 报告中显示）
+ * - not-found：语言包中没有该文本
+ * - match-path：语言包中有该文本，但 key 不在 --match-path 指定的路径下
+ * - no-locale：没有加载语言包
+ * - key-not-found、dynamic-key、params：revert 时语言包中没有该 key、key 不是字符串、参数无法还原为文本
+ */
+const REASON_LABELS = {
+  'not-found': '语言包中没有该文本',
+  'match-path': 'key 不在 --match-path 指定的路径下',
+  'no-locale': '没有加载语言包',
+  'key-not-found': '语言包中没有该 key',
+  'dynamic-key': 'key 不是字符串，无法还原',
+  params: '参数无法还原（不是对象字面量、缺少占位符对应的属性或有其他参数）'
+};
+
+/**
+ * 同一文本对应多个 key 时选择依据的说明（HTML 报告中显示，见 utils 中的 selectKey）
+ */
+const SELECTION_LABELS = {
+  nearest: '离文件最近的命名空间',
+  priority: 'namespacePriority 中的命名空间',
+  'match-path': '--match-path 指定的路径',
+  first: '语言包中第一个出现的 key'
+};
+
+/**
+ * 上下文（所在行的源码）的最大长度
+ */
+const MAX_CONTEXT_LENGTH = 120;
+
+/**
+ * 转换为相对于工作目录的 POSIX 路径
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toRelativePath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * 获取报告文件路径
+ * @param {string} reportDir - 输出目录
+ * @param {string} format - 报告格式（见 REPORT_FORMATS）
+ * @returns {string}
+ */
+function getReportPath(reportDir, format) {
+  return path.join(reportDir, `${REPORT_FILE_NAME}.${format}`);
+}
+
+/**
+ * 将单个文件的检测记录整理为报告行
+ * @param {string} filePath - 文件路径
+ * @param {string} source - 转换前的文件内容（用于提取上下文）
+ * @param {Array<Object>} records - transformSource 返回的记录
+ * @returns {Array<Object>} 报告行（按位置排序）
+ */
+function createReportRows(filePath, source, records) {
+  const file = toRelativePath(filePath);
+  const lines = source.split('\n');
+  const lastSeen = new Date().toISOString();
+  // 同一文件中相同的文本按出现顺序编号，用于在多次运行之间识别同一处文本
+  const occurrences = new Map();
+
+  return records
+    .slice()
+    .sort((a, b) => a.line - b.line || a.column - b.column)
+    .map(record => {
+      const identity = [record.kind, record.attribute || '', record.text].join('\u0000');
+      const occurrence = (occurrences.get(identity) || 0) + 1;
+      occurrences.set(identity, occurrence);
+
+      const context = (lines[record.line - 1] || '').trim();
+      return {
+        file,
+        line: record.line,
+        column: record.column,
+        kind: record.kind,
+        attribute: record.attribute || '',
+        text: record.text,
+        status: record.matched ? 'matched' : record.generated ? 'generated' : 'unmatched',
+        key: record.matched || record.generated ? record.key : '',
+        localeText: record.matched ? record.localeText || '' : '',
+        reason: record.matched || record.generated ? '' : record.reason,
+        candidates: record.candidates || [],
+        // 有多个候选 key 时的选择依据和没有选择的 key
+        selectedBy: record.matched ? record.selectedBy || '' : '',
+        rejected: record.matched ? record.rejected || [] : [],
+        suggestions: record.suggestions || [],
+        context: context.length > MAX_CONTEXT_LENGTH ? `${context.slice(0, MAX_CONTEXT_LENGTH)}…` : context,
+        occurrence,
+        lastSeen
+      };
+    });
+}
+
+/**
+ * 报告行的唯一标识（文件 + 类型 + 属性 + 文本 + 出现序号），不含行列号，代码移动后仍能对应
+ * @param {Object} row
+ * @returns {string}
+ */
+function getRowIdentity(row) {
+  return [row.file, row.kind, row.attribute, row.text, row.occurrence].join('\u0000');
+}
+
+/**
+ * 合并报告：本次检测到的行替换已有报告中的同一处文本，其他行保留
+ * @param {Array<Object>} existingRows
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>}
+ */
+function mergeReportRows(existingRows, rows) {
+  const merged = new Map(existingRows.map(row => [getRowIdentity(row), row]));
+  for (const row of rows) {
+    merged.set(getRowIdentity(row), row);
+  }
+  return [...merged.values()].sort((a, b) =>
+    a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * 统计各状态的行数
+ * @param {Array<Object>} rows
+ * @returns {Object} { total, matched, generated, unmatched, ambiguous: 从多个 key 中选择的行数 }
+ */
+function summarizeRows(rows) {
+  const summary = { total: rows.length, matched: 0, generated: 0, unmatched: 0, ambiguous: 0 };
+  for (const row of rows) {
+    summary[row.status]++;
+    if (row.selectedBy) summary.ambiguous++;
+  }
+  return summary;
+}
+
+/**
+ * 转义 CSV 字段
+ * @param {string} name - 列名
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvField(name, value) {
+  let text;
+  if (name === 'suggestions') {
+    // 每条建议一行：key: 文本
+    text = value.map(({ key, text: suggestion }) => `${key}: ${suggestion}`).join('\n');
+  } else {
+    text = Array.isArray(value) ? value.join(' ') : String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 解析 CSV 内容（支持引号包裹的字段）
+ * @param {string} content
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 转义 HTML 文本
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 生成 HTML 报告（报告数据同时嵌入页面，用于下次运行时合并）
+ * @param {Array<Object>} rows
+ * @param {Object} summary
+ * @param {string} updatedAt
+ * @returns {string}
+ */
+function formatHtml(rows, summary, updatedAt) {
+  const tableRows = rows.map(row => `
+      <tr class="${row.status}${row.selectedBy ? ' ambiguous' : ''}">
+        <td>${escapeHtml(row.file)}:${row.line}:${row.column}</td>
+        <td>${escapeHtml(row.kind)}${row.attribute ? ` <code>${escapeHtml(row.attribute)}</code>` : ''}</td>
+        <td>${escapeHtml(row.text)}</td>
+        <td>${row.key ? `<code>${escapeHtml(row.key)}</code>` : escapeHtml(REASON_LABELS[row.reason] || row.reason)}${row.localeText ? `<br>匹配: ${escapeHtml(row.localeText)}` : ''}${row.selectedBy ? `<br>依据: ${escapeHtml(SELECTION_LABELS[row.selectedBy] || row.selectedBy)}<br>未选择: ${row.rejected.map(key => `<code>${escapeHtml(key)}</code>`).join(' ')}` : ''}</td>
+        <td>${row.candidates.map(key => `<code>${escapeHtml(key)}</code>`).join(' ')}</td>
+        <td>${row.suggestions.map(({ key, text }) => `<code>${escapeHtml(key)}</code> ${escapeHtml(text)}`).join('<br>')}</td>
+        <td><code>${escapeHtml(row.context)}</code></td>
+      </tr>`).join('');
+
+  // 嵌入的 JSON 中不能出现 </script>
+  const data = JSON.stringify({ updatedAt, items: rows }).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8">
+  <title>i18n 转换报告</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    tr.unmatched td { background: #fff4f4; }
+    tr.generated td { background: #f4f8ff; }
+    tr.ambiguous td { background: #fffbe8; }
+  </style>
+</head>
+<body>
+  <h1>i18n 转换报告</h1>
+  <p>更新时间: ${escapeHtml(updatedAt)}，共 ${summary.total} 处：已匹配 ${summary.matched}（其中从多个 key 中选择 ${summary.ambiguous}），生成 key ${summary.generated}，未匹配 ${summary.unmatched}</p>
+  <table>
+    <thead>
+      <tr><th>位置</th><th>类型</th><th>文本</th><th>key / 未匹配原因</th><th>候选 key</th><th>相近的条目</th><th>上下文</th></tr>
+    </thead>
+    <tbody>${tableRows}
+    </tbody>
+  </table>
+  <script type="application/json" id="${REPORT_FILE_NAME}-data">${data}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 补全旧版本报告中缺少的字段
+ * @param {Object} row
+ * @returns {Object}
+ */
+function withDefaults(row) {
+  return { attribute: '', localeText: '', reason: '', candidates: [], selectedBy: '', rejected: [], suggestions: [], ...row };
+}
+
+/**
+ * 读取已有的报告
+ * @param {string} reportPath
+ * @param {string} format
+ * @returns {Array<Object>} 报告行，文件不存在时返回空数组
+ */
+function readReport(reportPath, format) {
+  if (!fs.existsSync(reportPath)) {
+    return [];
+  }
+  const content = fs.readFileSync(reportPath, 'utf-8').replace(/^\ufeff/, '');
+
+  if (format === 'json') {
+    return JSON.parse(content).items.map(withDefaults);
+  }
+
+  if (format === 'html') {
+    const match = content.match(new RegExp(`<script type="application/json" id="${REPORT_FILE_NAME}-data">([\\s\\S]*?)</script>`));
+    if (!match) throw new Error('报告中没有找到数据');
+    return JSON.parse(match[1]).items.map(withDefaults);
+  }
+
+  const [header, ...records] = parseCsv(content);
+  return records.map(values => {
+    const row = Object.fromEntries(header.map((name, index) => [name, values[index] || '']));
+    return withDefaults({
+      ...row,
+      line: Number(row.line),
+      column: Number(row.column),
+      occurrence: Number(row.occurrence),
+      candidates: row.candidates ? row.candidates.split(' ') : [],
+      rejected: row.rejected ? row.rejected.split(' ') : [],
+      suggestions: row.suggestions ? row.suggestions.split('\n').map(line => {
+        const separator = line.indexOf(': ');
+        return { key: line.slice(0, separator), text: line.slice(separator + 2) };
+      }) : []
+    });
+  });
+}
+
+/**
+ * 生成报告内容
+ * @param {Array<Object>} rows
+ * @param {string} format
+ * @returns {string}
+ */
+function formatReport(rows, format) {
+  const updatedAt = new Date().toISOString();
+  const summary = summarizeRows(rows);
+
+  if (format === 'csv') {
+    // 带 BOM，Excel 可以直接识别 UTF-8 中文
+    const lines = [REPORT_COLUMNS.join(','), ...rows.map(row => REPORT_COLUMNS.map(name => toCsvField(name, row[name])).join(','))];
+    return `\ufeff${lines.join('\n')}\n`;
+  }
+  if (format === 'html') {
+    return formatHtml(rows, summary, updatedAt);
+  }
+  return `${JSON.stringify({ updatedAt, summary, items: rows }, null, 2)}\n`;
+}
+
+/**
+ * 将本次检测到的文本合并到报告文件中
+ * @param {Array<Object>} rows - createReportRows 的结果
+ * @param {Object} options
+ * @param {string} options.reportDir - 输出目录（默认当前工作目录）
+ * @param {string} options.reportFormat - 报告格式（见 REPORT_FORMATS，默认 'json'）
+ * @returns {string|null} 报告文件路径，没有检测到文本时返回 null
+ */
+function saveReport(rows, options = {}) {
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const format = options.reportFormat || 'json';
+  const reportDir = options.reportDir || process.cwd();
+  const reportPath = getReportPath(reportDir, format);
+
+  let existingRows = [];
+  try {
+    existingRows = readReport(reportPath, format);
+  } catch (error) {
+    console.warn(`⚠ 无法读取已有的报告，将重新生成: ${reportPath}\n错误信息: ${error.message}`);
+  }
+
+  const merged = mergeReportRows(existingRows, rows);
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(reportPath, formatReport(merged, format), 'utf-8');
+
+  const { unmatched, ambiguous } = summarizeRows(rows);
+  console.log(`✓ 已更新转换报告: ${reportPath}（本次 ${rows.length} 处，未匹配 ${unmatched} 处，从多个 key 中选择 ${ambiguous} 处）`);
+  return reportPath;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  createReportRows,
+  saveReport
+};
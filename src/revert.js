@@ -0,0 +1,150 @@
+/**
+ * revert：将 i18n 调用还原为语言包中的文本（convert 的逆操作）
+ * 如 $t('user.name') + '：' → '用户名：'，i18n.t('order.total', { total: count }) → `共${count}条`，
+ * template 中的 {{ $t('user.name') }} → 用户名，:title="$t('user.name')" → title="用户名"
+ * 无法还原的调用（语言包中没有该 key、动态 key、参数无法还原）保持不变，并记录到转换报告
+ */
+const recast = require('recast');
+const { getTextForKey, recordRevertedKey } = require('./utils');
+const { replaceI18nCalls, getStringParts, buildStringExpression } = require('./scriptParser');
+const { replaceTemplateI18nCalls } = require('./templateParser');
+const { replacePugI18nCalls } = require('./pugParser');
+const { getStringArgument } = require('./rekey');
+
+/**
+ * 获取参数对象中占位符对应的表达式
+ * @param {Object} params - 调用的第二个参数（对象字面量或数组字面量，数组对应 {0}、{1} 等占位符）
+ * @returns {Map|null} 占位符名称 → 表达式节点，参数不是对象或数组字面量时返回 null
+ */
+function getParamExpressions(params) {
+  if (params.type === 'ArrayExpression') {
+    return new Map(params.elements.map((element, index) => [String(index), element]).filter(([, element]) => element && element.type !== 'SpreadElement'));
+  }
+  if (params.type !== 'ObjectExpression') return null;
+
+  const expressions = new Map();
+  for (const property of params.properties) {
+    // 展开（...）、计算属性和方法无法对应到占位符
+    if (!property.key || property.computed || property.kind === 'get' || property.kind === 'set' || property.method) continue;
+    if (property.type !== 'Property' && property.type !== 'ObjectProperty') continue;
+    const name = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+    expressions.set(name, property.value);
+  }
+  return expressions;
+}
+
+/**
+ * 获取占位符对应的参数写回后的组成部分：字符串和数字字面量直接作为文本（{ page: 1 } → 第1页）
+ * @param {Object} expression - 参数的值
+ * @returns {Array<Object>}
+ */
+function getParamParts(expression) {
+  if ((expression.type === 'Literal' || expression.type === 'NumericLiteral') && typeof expression.value === 'number') {
+    return [{ text: String(expression.value) }];
+  }
+  return getStringParts(expression) || [{ expression }];
+}
+
+/**
+ * 将语言包中的文本和调用的参数组合为字符串的组成部分：'共{total}条' + { total: count } → 共、count、条
+ * @param {string} text - 语言包中的文本
+ * @param {Object|undefined} params - 调用的第二个参数
+ * @returns {Array<Object>|null} [{ text } 或 { expression }]（见 buildStringExpression），
+ *   参数不是对象或数组字面量（如指定语言的 'en'）、占位符没有对应的参数时返回 null
+ */
+function buildTextParts(text, params) {
+  const expressions = params ? getParamExpressions(params) : new Map();
+  if (!expressions) return null;
+
+  // split 的结果中奇数位置是占位符名称
+  const segments = text.split(/\{(\w+)\}/);
+
+  const parts = [];
+  for (let index = 0; index < segments.length; index++) {
+    if (index % 2 === 0) {
+      if (segments[index]) parts.push({ text: segments[index] });
+      continue;
+    }
+    const expression = expressions.get(segments[index]);
+    if (!expression) return null;
+    parts.push(...getParamParts(expression));
+  }
+  return parts;
+}
+
+/**
+ * 还原单个 i18n 调用
+ * 替换结果是字符串，相邻的字符串（如词缀 '：'）在 replaceI18nCalls 中合并
+ * @param {Object} node - CallExpression
+ * @param {Object} meta - { kind, loc, callName }（见 replaceI18nCalls）
+ * @returns {Object|null} 替换后的节点，无法还原时返回 null
+ */
+function revertCall(node, meta) {
+  const [keyArgument, params, ...restArguments] = node.arguments;
+  if (!keyArgument) return null;
+
+  const { callName, ...recordMeta } = meta;
+  const key = getStringArgument(keyArgument);
+  if (key === null) {
+    recordRevertedKey(recast.print(keyArgument).code, null, 'dynamic-key', recordMeta);
+    return null;
+  }
+
+  const text = getTextForKey(key);
+  if (text === null) {
+    recordRevertedKey(key, null, 'key-not-found', recordMeta);
+    return null;
+  }
+
+  // 指定语言等其他参数无法还原
+  const parts = restArguments.length === 0 ? buildTextParts(text, params) : null;
+  if (parts === null) {
+    recordRevertedKey(key, null, 'params', recordMeta);
+    return null;
+  }
+
+  recordRevertedKey(key, text, null, recordMeta);
+  return buildStringExpression(parts);
+}
+
+/**
+ * 还原 template 中的 i18n 调用
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function revertTemplate(templateContent) {
+  return replaceTemplateI18nCalls(templateContent, revertCall, { inlineStrings: true });
+}
+
+/**
+ * 还原 pug template 中的 i18n 调用
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function revertPugTemplate(templateContent) {
+  return replacePugI18nCalls(templateContent, revertCall, { inlineStrings: true });
+}
+
+/**
+ * 还原 script 中的 i18n 调用（i18n 的导入和 useI18n() 保持不变）
+ * @param {string} scriptContent
+ * @param {Object} options
+ * @param {string} options.lang - script 的 lang 属性（如 'ts'）
+ * @returns {string} 还原后的代码（解析失败时抛出异常）
+ */
+function revertScript(scriptContent, options = {}) {
+  if (!scriptContent) return '';
+
+  try {
+    const code = replaceI18nCalls(scriptContent, revertCall, { lang: options.lang, inlineStrings: true });
+    return code !== null ? code : scriptContent;
+  } catch (error) {
+    throw new Error(`Script 解析失败: ${error.message}`);
+  }
+}
+
+module.exports = {
+  revertTemplate,
+  revertPugTemplate,
+  revertScript
+};
@@ -2,354 +2,597 @@
  * Script 解析和转换（使用 Recast 保留代码格式）
  */
 const recast = require('recast');
-const { visit, builders: b } = recast.types;
-const { isOnlyChinese, cleanString, extractTemplateVars, getKeyForChinese, detectColonSuffix } = require('./utils');
+const { visit, builders: b, namedTypes } = recast.types;
+const { isOnlyChinese, cleanString, extractTemplateVars, assignPlaceholderNames, getLocalePlaceholderNames, getKeyForChinese, splitAffixes, getI18nCallNames, logDiagnostic, isIgnoredCallee, getIgnoreRules } = require('./utils');
+
+/**
+ * TSX 解析器（recast 自带的 typescript 解析器不支持 JSX）
+ */
+const tsxParser = {
+  parse(source, options) {
+    const babelOptions = require('recast/parsers/_babel_options').default(options);
+    babelOptions.plugins.push('jsx', 'typescript');
+    return require('recast/parsers/babel').parser.parse(source, babelOptions);
+  }
+};
+
+/**
+ * 根据代码块的语言选择解析器
+ * @param {string} lang - script 的 lang 属性（如 'ts'、'tsx'），默认为 JavaScript（包含 JSX）
+ * @returns {Object} Recast 可用的解析器
+ */
+function getScriptParser(lang) {
+  if (lang === 'ts') {
+    return require('recast/parsers/typescript');
+  }
+  if (lang === 'tsx') {
+    return tsxParser;
+  }
+  return require('recast/parsers/babel');
+}
 
 /**
  * 处理 script 中的中文
+ * 没有固定的 i18n 调用时，根据文本所在的上下文选择调用，并补充缺少的导入和 useI18n()
  * @param {string} scriptContent
- * @returns {string}
+ * @param {Object} options
+ * @param {string} options.lang - script 的 lang 属性（如 'ts'）
+ * @param {string} options.i18nCall - 固定使用的 i18n 调用（默认取转换选项中的 i18nCall）
+ * @param {boolean} options.setup - 是否是 <script setup>
+ * @param {string} options.moduleType - 模块格式（见 addI18nImport）
+ * @returns {string} 转换后的代码（解析失败时抛出异常，整个文件按失败处理）
  */
-function convertScript(scriptContent) {
+function convertScript(scriptContent, options = {}) {
   if (!scriptContent) return '';
 
+  const callNames = getI18nCallNames();
+  const fixedCallName = options.i18nCall || callNames.i18nCall;
+
   try {
     // 使用 Recast 解析为 AST（保留原始格式信息）
     const ast = recast.parse(scriptContent, {
-      parser: require('recast/parsers/babel')
+      parser: getScriptParser(options.lang)
     });
 
-    // 用于标记已经被处理过的节点，避免重复处理
-    const processedNodes = new WeakSet();
+    const usedCallNames = transformAst(ast, {
+      callName: fixedCallName || (path => CONTEXT_CALL_NAMES[getI18nContext(path, options.setup)](callNames))
+    });
 
-    // 遍历 AST
-    visit(ast, {
-      // 处理二元表达式（字符串拼接）
-      visitBinaryExpression(path) {
-        const node = path.node;
+    // 使用 Recast 生成代码（保留原始格式）
+    const output = recast.print(ast, {
+      quote: 'double',
+      trailingComma: false
+    });
 
-        // 如果已经被处理过，跳过
-        if (processedNodes.has(node)) {
-          this.traverse(path);
-          return;
-        }
+    let code = output.code;
+    if (!fixedCallName && usedCallNames.has(callNames.moduleI18nCall)) {
+      code = addI18nImport(code, {
+        lang: options.lang,
+        i18nCall: callNames.moduleI18nCall,
+        importPath: callNames.i18nImportPath,
+        moduleType: options.moduleType
+      });
+    }
+    if (!fixedCallName && usedCallNames.has(callNames.setupI18nCall)) {
+      code = addUseI18n(code, {
+        lang: options.lang,
+        setupI18nCall: callNames.setupI18nCall,
+        importPath: callNames.useI18nImportPath,
+        setup: options.setup
+      });
+    }
+    return code;
+  } catch (error) {
+    throw new Error(`Script 解析失败: ${error.message}`);
+  }
+}
 
-        // 只处理 + 操作符
-        if (node.operator !== '+') {
-          this.traverse(path);
-          return;
-        }
+/**
+ * 处理 template 中的 JavaScript 表达式（绑定属性、指令、事件处理和插值）
+ * @param {string} expression - 表达式源码
+ * @param {Object} options
+ * @param {string} options.i18nCall - 使用的 i18n 调用（默认取转换选项中的 templateCall）
+ * @param {string} options.quote - 生成代码使用的引号：'single'（默认）或 'double'
+ * @param {boolean} options.statements - 按语句解析（v-on 的事件处理代码可以包含多条语句）
+ * @param {Object} options.loc - 表达式在 template 中的起始位置 { line, column }
+ * @returns {string} 转换后的表达式（解析失败时抛出异常）
+ */
+function convertTemplateExpression(expression, options = {}) {
+  const callName = options.i18nCall || getI18nCallNames().templateCall;
 
-        // 跳过 console.* 调用
-        if (isInConsoleCall(path)) {
-          this.traverse(path);
-          return;
-        }
+  // 表达式加上括号解析，避免对象字面量被当作代码块、单独的字符串被当作指令
+  const prefix = options.statements ? '' : '(';
+  const code = options.statements ? expression : `(${expression})`;
+  const baseLoc = options.loc ? { line: options.loc.line, column: options.loc.column - prefix.length } : undefined;
 
-        // 跳过已经是 i18n 的调用
-        if (isInI18nCall(path)) {
-          this.traverse(path);
-          return;
-        }
+  const ast = recast.parse(code, { parser: getScriptParser() });
+  transformAst(ast, { callName, baseLoc });
 
-        // 尝试收集字符串拼接的所有部分
-        const parts = collectBinaryParts(node);
+  let output = recast.print(ast, {
+    quote: options.quote || 'single',
+    trailingComma: false
+  }).code;
 
-        // 检查是否包含字符串字面量
-        const hasStringLiteral = parts.some(part => part.type === 'string');
-        if (!hasStringLiteral) {
-          this.traverse(path);
-          return;
-        }
+  if (!options.statements) {
+    output = output.slice(1, -1);
+  }
 
-        // 提取字符串内容和变量
-        let templateText = '';
-        const variables = [];
-
-        for (const part of parts) {
-          if (part.type === 'string') {
-            templateText += part.value;
-          } else {
-            // 表达式，生成占位符
-            const paramName = `param${variables.length + 1}`;
-            templateText += `{${paramName}}`;
-            variables.push({
-              name: paramName,
-              expression: part.node
-            });
-          }
-        }
+  // 单行表达式中新生成的参数对象保持单行
+  if (!expression.includes('\n')) {
+    output = output.replace(/\s*\n\s*/g, ' ');
+  }
+  return output;
+}
 
-        // 清理并检查是否包含中文
-        const cleaned = cleanString(templateText);
-        if (!isOnlyChinese(cleaned)) {
-          this.traverse(path);
-          return;
-        }
+/**
+ * 替换代码中已有的 i18n 调用（rekey、revert 命令使用），只重新生成替换过的节点，其余代码保持原样
+ * @param {string} code - script 内容或 template 中的表达式
+ * @param {Function} replaceCall - (node, meta) => 替换后的节点，不需要替换时返回 null
+ *   node 为 CallExpression，meta 为 { kind: 'i18n-call', loc, callName }
+ * @param {Object} options
+ * @param {string} options.lang - script 的 lang 属性（如 'ts'）
+ * @param {boolean} options.expression - 是否是 template 中的表达式（同 convertTemplateExpression，加上括号解析）
+ * @param {boolean} options.statements - 按语句解析（v-on 的事件处理代码）
+ * @param {string} options.quote - 生成代码使用的引号：'single' 或 'double'（默认 script 为 'double'，表达式为 'single'）
+ * @param {Object} options.loc - 表达式在 template 中的起始位置 { line, column }
+ * @param {boolean} options.inlineStrings - 替换结果是字符串时，与相邻的字符串合并（如 '用户名' + '：' → '用户名：'），
+ *   JSX 中的字符串写回为文本和字符串属性
+ * @returns {string|null} 替换后的代码，没有替换时返回 null（解析失败时抛出异常）
+ */
+function replaceI18nCalls(code, replaceCall, options = {}) {
+  const wrapped = options.expression && !options.statements;
+  const baseLoc = options.loc ? { line: options.loc.line, column: options.loc.column - (wrapped ? 1 : 0) } : undefined;
+
+  const ast = recast.parse(wrapped ? `(${code})` : code, { parser: getScriptParser(options.lang) });
+  let replaced = false;
+  // 替换生成的节点（以及由它们合并出的字符串）
+  const replacedNodes = new WeakSet();
+  visit(ast, {
+    visitCallExpression(path) {
+      // 先处理参数中嵌套的调用
+      this.traverse(path);
+
+      const callName = getCalleeName(path.node.callee);
+      if (!isI18nCallName(callName)) return;
+
+      // 没有位置的 template 表达式（如 pug 中的表达式）不记录位置
+      const meta = options.expression && !options.loc ? { kind: 'i18n-call', loc: null } : getNodeMeta(path.node, 'i18n-call', baseLoc);
+      const replacement = replaceCall(path.node, { ...meta, callName });
+      if (replacement) {
+        path.replace(replacement);
+        replacedNodes.add(replacement);
+        replaced = true;
+      }
+    },
+
+    visitBinaryExpression(path) {
+      this.traverse(path);
+      const { node } = path;
+      if (!options.inlineStrings || node.operator !== '+' || !(replacedNodes.has(node.left) || replacedNodes.has(node.right))) return;
+
+      const left = getStringParts(node.left);
+      const right = getStringParts(node.right);
+      if (left && right) {
+        const folded = buildStringExpression([...left, ...right]);
+        replacedNodes.add(folded);
+        path.replace(folded);
+      }
+    },
+
+    // 模板字符串中插值的替换结果是字符串时并入文本：`${'用户名'}：` → '用户名：'
+    visitTemplateLiteral(path) {
+      this.traverse(path);
+      const { node } = path;
+      if (!options.inlineStrings || !node.expressions.some(expression => replacedNodes.has(expression))) return;
+
+      const parts = getStringParts(node);
+      if (!parts) return;
+      const folded = buildStringExpression(parts.flatMap(part =>
+        (part.expression && replacedNodes.has(part.expression) ? getStringParts(part.expression) || [part] : [part])));
+      replacedNodes.add(folded);
+      path.replace(folded);
+    },
+
+    visitJSXExpressionContainer(path) {
+      this.traverse(path);
+      const { node, parent } = path;
+      if (!options.inlineStrings || !replacedNodes.has(node.expression)) return;
+
+      const parts = getStringParts(node.expression);
+      if (!parts || parts.some(part => part.expression)) return;
+      const text = parts.map(part => part.text).join('');
+
+      // JSX 文本中不能出现 {}<>，首尾的空白会被去掉；属性值中不能转义引号
+      if (parent.node.type === 'JSXAttribute') {
+        if (!/["\\]/.test(text)) path.replace(b.stringLiteral(text));
+      } else if (!/[{}<>]/.test(text) && text === text.trim()) {
+        path.replace(b.jsxText(text));
+      }
+    }
+  });
+  if (!replaced) return null;
+
+  let output = recast.print(ast, {
+    quote: options.quote || (options.expression ? 'single' : 'double'),
+    trailingComma: false
+  }).code;
+  if (wrapped) {
+    output = output.slice(1, -1);
+  }
+  if (options.expression && !code.includes('\n')) {
+    output = output.replace(/\s*\n\s*/g, ' ');
+  }
+  return output;
+}
 
-        // 检测冒号后缀
-        const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-        const finalText = hasColonSuffix ? textWithoutColon : cleaned;
+/**
+ * 获取字符串字面量或模板字符串的组成部分
+ * @param {Object} node
+ * @returns {Array<Object>|null} [{ text } 或 { expression: 插值表达式节点 }]，不是字符串时返回 null
+ */
+function getStringParts(node) {
+  if ((node.type === 'Literal' || node.type === 'StringLiteral') && typeof node.value === 'string') {
+    return [{ text: node.value }];
+  }
+  if (node.type !== 'TemplateLiteral' || node.quasis.some(quasi => quasi.value.cooked == null)) {
+    return null;
+  }
 
-        // 获取对应的 key
-        const key = getKeyForChinese(finalText);
+  const parts = [];
+  node.quasis.forEach((quasi, index) => {
+    if (quasi.value.cooked) parts.push({ text: quasi.value.cooked });
+    if (index < node.expressions.length) parts.push({ expression: node.expressions[index] });
+  });
+  return parts;
+}
+
+/**
+ * 根据组成部分生成字符串：只有文本时生成字符串字面量，有插值表达式时生成模板字符串
+ * @param {Array<Object>} parts - [{ text } 或 { expression }]（见 getStringParts）
+ * @returns {Object} Literal 或 TemplateLiteral 节点
+ */
+function buildStringExpression(parts) {
+  const quasis = [''];
+  const expressions = [];
+  for (const part of parts) {
+    if (part.expression) {
+      expressions.push(part.expression);
+      quasis.push('');
+    } else {
+      quasis[quasis.length - 1] += part.text;
+    }
+  }
 
-        // 无论是否匹配，都标记节点为已处理，避免子节点被单独转换
-        markProcessedNodes(node, processedNodes);
+  if (expressions.length === 0) {
+    return b.literal(quasis[0]);
+  }
+  return b.templateLiteral(
+    quasis.map((cooked, index) => b.templateElement({ cooked, raw: cooked.replace(/\\|`|\$\{/g, match => `\\${match}`) }, index === quasis.length - 1)),
+    expressions
+  );
+}
 
-        if (key === null) {
-          this.traverse(path);
-          return; // 跳过未匹配的文本
-        }
+/**
+ * 解析 template 中的表达式，获取字符串的组成部分（revert 命令将字符串写回为 template 文本）
+ * @param {string} expression
+ * @returns {Array<Object>|null} [{ text } 或 { expression: 插值表达式的源码 }]，不是字符串或解析失败时返回 null
+ */
+function getExpressionStringParts(expression) {
+  let node;
+  try {
+    node = recast.parse(`(${expression})`, { parser: getScriptParser() }).program.body[0].expression;
+  } catch (error) {
+    return null;
+  }
 
-        // 如果有变量，构建带参数的 i18n 调用
-        if (variables.length > 0) {
-          const properties = variables.map(v => {
-            return b.property(
-              'init',
-              b.identifier(v.name),
-              v.expression
-            );
-          });
+  const parts = getStringParts(node);
+  return parts && parts.map(part => (part.expression ? { expression: recast.print(part.expression).code } : part));
+}
+
+/**
+ * 检查调用名称是否是 i18n 调用：配置中的各调用名称，以及 $t、this.$t、i18n.t、$i18n.t、this.$i18n.t 等
+ * @param {string|null} callName - getCalleeName 的结果
+ * @returns {boolean}
+ */
+function isI18nCallName(callName) {
+  if (!callName) return false;
+  const { i18nCall, templateCall, componentI18nCall, setupI18nCall, moduleI18nCall } = getI18nCallNames();
+  if ([i18nCall, templateCall, componentI18nCall, setupI18nCall, moduleI18nCall].includes(callName)) return true;
+  return /(^|\.)\$t$/.test(callName) || /(^|\.)\$?i18n\.t$/.test(callName);
+}
+
+/**
+ * 遍历 AST，将中文字符串替换为 i18n 调用
+ * @param {Object} ast - Recast 解析结果
+ * @param {Object} options
+ * @param {string|Function} options.callName - i18n 调用名称，或根据节点路径返回调用名称的函数
+ * @param {Object} options.baseLoc - 代码在所属代码块中的起始位置（用于换算检测结果的位置）
+ * @returns {Set<string>} 实际生成过的 i18n 调用名称
+ */
+function transformAst(ast, options) {
+  const resolveCallName = typeof options.callName === 'function' ? options.callName : () => options.callName;
+  const usedCallNames = new Set();
+  const directives = collectIgnoreDirectives(ast);
+  const isIgnored = (path) => isIgnoredByDirective(path, directives) || isIgnoredByRule(path);
+
+  // 用于标记已经被处理过的节点，避免重复处理
+  const processedNodes = new WeakSet();
+
+  // 遍历 AST
+  visit(ast, {
+    // 处理二元表达式（字符串拼接）
+    visitBinaryExpression(path) {
+      const node = path.node;
+      const callName = resolveCallName(path);
+
+      // 如果已经被处理过，跳过
+      if (processedNodes.has(node)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 只处理 + 操作符
+      if (node.operator !== '+') {
+        this.traverse(path);
+        return;
+      }
+
+      // 跳过 console.* 调用
+      if (isInConsoleCall(path)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 跳过 i18n-ignore 注释和忽略规则命中的内容
+      if (isIgnored(path)) {
+        this.traverse(path);
+        return;
+      }
 
-          const i18nCall = b.callExpression(
-            b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-            [b.literal(key), b.objectExpression(properties)]
-          );
-
-          // 如果有冒号后缀，添加 + '：'
-          if (hasColonSuffix) {
-            const binaryExpr = b.binaryExpression(
-              '+',
-              i18nCall,
-              b.literal(colonChar)
-            );
-            path.replace(binaryExpr);
-          } else {
-            path.replace(i18nCall);
-          }
+      // 跳过已经是 i18n 的调用
+      if (isInI18nCall(path, callName)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 尝试收集字符串拼接的所有部分
+      const parts = collectBinaryParts(node);
+
+      // 检查是否包含字符串字面量
+      const hasStringLiteral = parts.some(part => part.type === 'string');
+      if (!hasStringLiteral) {
+        this.traverse(path);
+        return;
+      }
+
+      // 提取字符串内容和变量
+      let templateText = '';
+      const variables = [];
+
+      // 表达式按源码生成占位符名称（见 assignPlaceholderNames）
+      const expressionParts = parts.filter(part => part.type !== 'string');
+      const paramNames = assignPlaceholderNames(expressionParts.map(part => recast.print(part.node).code));
+
+      for (const part of parts) {
+        if (part.type === 'string') {
+          templateText += part.value;
         } else {
-          // 没有变量，构建简单的 i18n 调用
-          const i18nCall = b.callExpression(
-            b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-            [b.literal(key)]
-          );
-
-          // 如果有冒号后缀，添加 + '：'
-          if (hasColonSuffix) {
-            const binaryExpr = b.binaryExpression(
-              '+',
-              i18nCall,
-              b.literal(colonChar)
-            );
-            path.replace(binaryExpr);
-          } else {
-            path.replace(i18nCall);
-          }
+          const paramName = paramNames[variables.length];
+          templateText += `{${paramName}}`;
+          variables.push({
+            name: paramName,
+            expression: part.node
+          });
         }
+      }
 
-        // 不再继续遍历子节点，避免重复处理
-        return false;
-      },
+      // 清理并检查是否包含中文
+      const cleaned = cleanString(templateText);
+      if (!isOnlyChinese(cleaned)) {
+        this.traverse(path);
+        return;
+      }
 
-      // 处理字符串字面量
-      visitLiteral(path) {
-        const node = path.node;
+      // 按词缀规则构建 i18n 调用（有变量时核心文本带参数）
+      const i18nExpression = buildI18nExpression(cleaned, getNodeMeta(node, 'concatenation', options.baseLoc), callName, variables);
 
-        // 只处理字符串类型
-        if (typeof node.value !== 'string') {
-          this.traverse(path);
-          return;
-        }
+      // 无论是否匹配，都标记节点为已处理，避免子节点被单独转换
+      markProcessedNodes(node, processedNodes);
 
-        // 如果已经被处理过（作为二元表达式的一部分），跳过
-        if (processedNodes.has(node)) {
-          this.traverse(path);
-          return;
-        }
+      if (i18nExpression === null) {
+        this.traverse(path);
+        return; // 跳过未匹配的文本
+      }
+      usedCallNames.add(callName);
+      path.replace(i18nExpression);
 
-        // 如果父节点是二元表达式，跳过（会被 visitBinaryExpression 处理）
-        if (path.parent && path.parent.node && path.parent.node.type === 'BinaryExpression' && path.parent.node.operator === '+') {
-          this.traverse(path);
-          return;
-        }
+      // 不再继续遍历子节点，避免重复处理
+      return false;
+    },
 
-        // 跳过对象属性的键
-        if (isObjectPropertyKey(path)) {
-          this.traverse(path);
-          return;
-        }
+    // 处理字符串字面量
+    visitLiteral(path) {
+      const node = path.node;
+      const callName = resolveCallName(path);
 
-        // 跳过 console.* 调用
-        if (isInConsoleCall(path)) {
-          this.traverse(path);
-          return;
-        }
+      // 只处理字符串类型
+      if (typeof node.value !== 'string') {
+        this.traverse(path);
+        return;
+      }
 
-        // 跳过已经是 i18n 的调用
-        if (isInI18nCall(path)) {
-          this.traverse(path);
-          return;
-        }
+      // 如果已经被处理过（作为二元表达式的一部分），跳过
+      if (processedNodes.has(node)) {
+        this.traverse(path);
+        return;
+      }
 
-        const value = node.value;
-        const cleaned = cleanString(value);
-
-        if (isOnlyChinese(cleaned)) {
-          // 检测冒号后缀
-          const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-
-          if (hasColonSuffix) {
-            // 获取去掉冒号的文本对应的 key
-            const key = getKeyForChinese(textWithoutColon);
-            if (key === null) {
-              this.traverse(path);
-              return; // 跳过未匹配的文本
-            }
-
-            // 替换为 $i18n.t('key') + '：'
-            const i18nCall = b.callExpression(
-              b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-              [b.literal(key)]
-            );
-            const binaryExpr = b.binaryExpression(
-              '+',
-              i18nCall,
-              b.literal(colonChar)
-            );
-            path.replace(binaryExpr);
-          } else {
-            // 没有冒号后缀，正常处理
-            const key = getKeyForChinese(cleaned);
-            if (key === null) {
-              this.traverse(path);
-              return; // 跳过未匹配的文本
-            }
-
-            // 替换为 $i18n.t('key')
-            const i18nCall = b.callExpression(
-              b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-              [b.literal(key)]
-            );
-            path.replace(i18nCall);
-          }
-        }
+      // 如果父节点是二元表达式，跳过（会被 visitBinaryExpression 处理）
+      if (path.parent && path.parent.node && path.parent.node.type === 'BinaryExpression' && path.parent.node.operator === '+') {
+        this.traverse(path);
+        return;
+      }
 
+      // JSX 属性值由 visitJSXAttribute 处理
+      if (path.parent && path.parent.node && path.parent.node.type === 'JSXAttribute') {
         this.traverse(path);
-      },
+        return;
+      }
 
-      // 处理模板字符串
-      visitTemplateLiteral(path) {
-        const node = path.node;
+      // 跳过对象属性的键
+      if (isObjectPropertyKey(path)) {
+        this.traverse(path);
+        return;
+      }
 
-        // 跳过 console.* 调用
-        if (isInConsoleCall(path)) {
-          this.traverse(path);
-          return;
-        }
+      // 跳过 TypeScript 类型位置和枚举成员（必须保持为字面量）
+      if (isInTypeScriptConstant(path)) {
+        this.traverse(path);
+        return;
+      }
 
-        // 跳过已经是 i18n 的调用
-        if (isInI18nCall(path)) {
-          this.traverse(path);
-          return;
-        }
+      // 跳过 console.* 调用
+      if (isInConsoleCall(path)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 跳过 i18n-ignore 注释和忽略规则命中的内容
+      if (isIgnored(path)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 跳过已经是 i18n 的调用
+      if (isInI18nCall(path, callName)) {
+        this.traverse(path);
+        return;
+      }
 
-        // 获取模板字符串的原始文本
-        const templateText = getTemplateString(node);
-        const cleaned = cleanString(templateText);
+      const value = node.value;
+      const cleaned = cleanString(value);
 
-        // 只处理包含中文的模板字符串
-        if (!isOnlyChinese(cleaned)) {
+      if (isOnlyChinese(cleaned)) {
+        const i18nExpression = buildI18nExpression(cleaned, getNodeMeta(node, 'literal', options.baseLoc), callName);
+        if (i18nExpression === null) {
           this.traverse(path);
-          return;
+          return; // 跳过未匹配的文本
         }
+        usedCallNames.add(callName);
+        path.replace(i18nExpression);
+      }
 
-        // 如果有插值表达式
-        if (node.expressions && node.expressions.length > 0) {
-          // 提取变量，转换为 {param1}, {param2}...
-          const { text, params } = extractTemplateVars(templateText);
-
-          // 检测冒号后缀
-          const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(text);
-          const finalText = hasColonSuffix ? textWithoutColon : text;
-
-          // 获取对应的 key
-          const key = getKeyForChinese(finalText);
-          if (key === null) {
-            this.traverse(path);
-            return; // 跳过未匹配的文本
-          }
-
-          // 构建参数对象 {param1: xxx, param2: yyy}
-          const properties = params.map((param, index) => {
-            return b.property(
-              'init',
-              b.identifier(param.name),
-              node.expressions[index]
-            );
-          });
+      this.traverse(path);
+    },
 
-          // 构建 $i18n.t('key', {param1: xxx})
-          const i18nCall = b.callExpression(
-            b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-            [b.literal(key), b.objectExpression(properties)]
-          );
-
-          // 如果有冒号后缀，添加 + '：'
-          if (hasColonSuffix) {
-            const binaryExpr = b.binaryExpression(
-              '+',
-              i18nCall,
-              b.literal(colonChar)
-            );
-            path.replace(binaryExpr);
-          } else {
-            path.replace(i18nCall);
-          }
-        } else {
-          // 没有插值表达式，直接替换为普通字符串的 i18n 调用
-          const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-          const finalText = hasColonSuffix ? textWithoutColon : cleaned;
-
-          const key = getKeyForChinese(finalText);
-          if (key === null) {
-            this.traverse(path);
-            return; // 跳过未匹配的文本
-          }
-
-          const i18nCall = b.callExpression(
-            b.memberExpression(b.identifier('$i18n'), b.identifier('t')),
-            [b.literal(key)]
-          );
-
-          // 如果有冒号后缀，添加 + '：'
-          if (hasColonSuffix) {
-            const binaryExpr = b.binaryExpression(
-              '+',
-              i18nCall,
-              b.literal(colonChar)
-            );
-            path.replace(binaryExpr);
-          } else {
-            path.replace(i18nCall);
-          }
-        }
+    // 处理模板字符串
+    visitTemplateLiteral(path) {
+      const node = path.node;
+      const callName = resolveCallName(path);
 
+      // 跳过 console.* 调用
+      if (isInConsoleCall(path)) {
         this.traverse(path);
+        return;
       }
-    });
 
-    // 使用 Recast 生成代码（保留原始格式）
-    const output = recast.print(ast, {
-      quote: 'double',
-      trailingComma: false
-    });
+      // 跳过 i18n-ignore 注释和忽略规则命中的内容
+      if (isIgnored(path)) {
+        this.traverse(path);
+        return;
+      }
 
-    return output.code;
-  } catch (error) {
-    console.error('Script 解析失败:', error.message);
-    return scriptContent;
-  }
+      // 跳过已经是 i18n 的调用
+      if (isInI18nCall(path, callName)) {
+        this.traverse(path);
+        return;
+      }
+
+      // 获取模板字符串的原始文本
+      const templateText = getTemplateString(node);
+      const cleaned = cleanString(templateText);
+
+      // 只处理包含中文的模板字符串
+      if (!isOnlyChinese(cleaned)) {
+        this.traverse(path);
+        return;
+      }
+
+      let i18nExpression;
+      if (node.expressions && node.expressions.length > 0) {
+        // 提取变量，转换为 {username}、{orderNo}、{param1}...，构建 $i18n.t('key', {username: xxx})
+        const { text, params } = extractTemplateVars(templateText);
+        const variables = params.map((param, index) => ({ name: param.name, expression: node.expressions[index] }));
+        i18nExpression = buildI18nExpression(text, getNodeMeta(node, 'template-literal', options.baseLoc), callName, variables);
+      } else {
+        // 没有插值表达式，按普通字符串处理
+        i18nExpression = buildI18nExpression(cleaned, getNodeMeta(node, 'template-literal', options.baseLoc), callName);
+      }
+
+      if (i18nExpression === null) {
+        this.traverse(path);
+        return; // 跳过未匹配的文本
+      }
+      usedCallNames.add(callName);
+      path.replace(i18nExpression);
+
+      this.traverse(path);
+    },
+
+    // 处理 JSX 文本：<span>删除</span> → <span>{$i18n.t("key")}</span>
+    visitJSXText(path) {
+      const node = path.node;
+      const callName = resolveCallName(path);
+      const cleaned = cleanString(node.value);
+
+      if (!isOnlyChinese(cleaned) || isIgnored(path)) {
+        return false;
+      }
+
+      const i18nExpression = buildI18nExpression(cleaned, getNodeMeta(node, 'jsx-text', options.baseLoc), callName);
+      if (i18nExpression === null) {
+        return false; // 跳过未匹配的文本
+      }
+      usedCallNames.add(callName);
+
+      // 保留文本两侧的空白（同一行内的空格在 JSX 中有意义）
+      const leading = node.value.match(/^\s*/)[0];
+      const trailing = node.value.match(/\s*$/)[0];
+      const replacement = [b.jsxExpressionContainer(i18nExpression)];
+      if (leading) replacement.unshift(b.jsxText(leading));
+      if (trailing) replacement.push(b.jsxText(trailing));
+      path.replace(...replacement);
+
+      return false;
+    },
+
+    // 处理 JSX 字符串属性：title="删除" → title={$i18n.t("key")}
+    visitJSXAttribute(path) {
+      const value = path.node.value;
+      const callName = resolveCallName(path);
+
+      if (!value || (value.type !== 'Literal' && value.type !== 'StringLiteral') || typeof value.value !== 'string') {
+        this.traverse(path);
+        return;
+      }
+
+      const cleaned = cleanString(value.value);
+      if (!isOnlyChinese(cleaned) || isIgnored(path)) {
+        return false;
+      }
+
+      const meta = { ...getNodeMeta(value, 'jsx-attribute', options.baseLoc), attribute: getJSXAttributeName(path.node) };
+      const i18nExpression = buildI18nExpression(cleaned, meta, callName);
+      if (i18nExpression !== null) {
+        usedCallNames.add(callName);
+        path.get('value').replace(b.jsxExpressionContainer(i18nExpression));
+      }
+
+      return false;
+    }
+  });
+
+  return usedCallNames;
 }
 
 /**
@@ -441,6 +684,327 @@ function markProcessedNodes(node, processedNodes) {
   }
 }
 
+/**
+ * 各上下文使用的 i18n 调用
+ */
+const CONTEXT_CALL_NAMES = {
+  component: callNames => callNames.componentI18nCall,
+  setup: callNames => callNames.setupI18nCall,
+  module: callNames => callNames.moduleI18nCall
+};
+
+/**
+ * 创建组件的函数（参数是组件选项对象）
+ */
+const COMPONENT_FACTORIES = ['defineComponent', 'Vue.extend', 'Vue.component'];
+
+/**
+ * <script setup> 中的编译宏，参数会被提升到 setup() 之外，不能使用 useI18n() 的结果
+ */
+const SETUP_MACROS = ['defineProps', 'withDefaults', 'defineEmits', 'defineOptions', 'defineModel', 'defineSlots'];
+
+/**
+ * 判断节点所在的上下文
+ * - component：Options API 组件的方法（data、methods、computed、watch 等），使用 this.$t
+ * - setup：<script setup> 或组件的 setup()，使用 useI18n() 的 t（setup 需要有函数体，用于插入 useI18n()，见 addUseI18n）
+ * - module：其他位置（模块顶层、普通函数），使用导入的 i18n 实例
+ * @param {Object} path - 节点路径
+ * @param {boolean} isScriptSetup - 是否在 <script setup> 中
+ * @returns {string} 'component'、'setup' 或 'module'
+ */
+function getI18nContext(path, isScriptSetup) {
+  if (isScriptSetup) {
+    return isInSetupMacro(path) ? 'module' : 'setup';
+  }
+
+  // this 由最近的非箭头函数决定；setup() 中的 t 在其内部的所有函数中都可以使用
+  let checkedThis = false;
+  for (let current = path.parent; current; current = current.parent) {
+    if (!namedTypes.Function.check(current.node)) continue;
+
+    const memberName = getComponentMemberName(current);
+    // 箭头函数直接返回的 setup（setup: () => () => <div />）中无法声明 t，按模块处理
+    if (memberName === 'setup' && current.node.body.type === 'BlockStatement') {
+      return 'setup';
+    }
+    if (!checkedThis && current.node.type !== 'ArrowFunctionExpression') {
+      checkedThis = true;
+      if (memberName !== null) {
+        return 'component';
+      }
+    }
+  }
+  return 'module';
+}
+
+/**
+ * 检查节点是否在 <script setup> 的编译宏参数中（如 defineProps({ title: { default: '标题' } })）
+ * @param {Object} path
+ * @returns {boolean}
+ */
+function isInSetupMacro(path) {
+  for (let current = path.parent; current; current = current.parent) {
+    if (current.node.type === 'CallExpression' && SETUP_MACROS.includes(getCalleeName(current.node.callee))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 如果函数是组件选项中的成员（可以嵌套在 methods、computed、watch 等对象中），返回其所在的顶层选项名称
+ * 如 methods: { save() {} } 中的 save 返回 'methods'，setup() {} 返回 'setup'
+ * @param {Object} functionPath - 函数节点路径
+ * @returns {string|null} 不是组件成员时返回 null
+ */
+function getComponentMemberName(functionPath) {
+  let member = functionPath;
+  // 函数表达式作为属性值：save: function () {}
+  if (member.node.type !== 'ObjectMethod') {
+    const parent = member.parent;
+    if (!parent || !isObjectMember(parent.node) || parent.node.value !== member.node) return null;
+    member = parent;
+  } else if (!isObjectMember(member.node)) {
+    return null;
+  }
+
+  // 逐层向上穿过对象字面量，直到组件选项对象
+  while (member && isObjectMember(member.node)) {
+    const object = member.parent;
+    if (!object || object.node.type !== 'ObjectExpression') return null;
+    if (isComponentOptions(object)) {
+      return getPropertyName(member.node);
+    }
+    member = object.parent;
+    if (member && member.node.value !== object.node) return null;
+  }
+  return null;
+}
+
+/**
+ * 检查节点是否是对象的属性或方法
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isObjectMember(node) {
+  return node.type === 'ObjectMethod' || node.type === 'ObjectProperty' || node.type === 'Property';
+}
+
+/**
+ * 获取对象属性的名称（计算属性名返回 null）
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function getPropertyName(node) {
+  if (node.computed) return null;
+  if (node.key.type === 'Identifier') return node.key.name;
+  if (typeof node.key.value === 'string') return node.key.value;
+  return null;
+}
+
+/**
+ * 检查对象字面量是否是组件选项（export default {} 或 defineComponent({}) 等的参数）
+ * @param {Object} objectPath
+ * @returns {boolean}
+ */
+function isComponentOptions(objectPath) {
+  const parent = objectPath.parent && objectPath.parent.node;
+  if (!parent) return false;
+  if (parent.type === 'ExportDefaultDeclaration') return true;
+  return parent.type === 'CallExpression' &&
+    COMPONENT_FACTORIES.includes(getCalleeName(parent.callee)) &&
+    parent.arguments[parent.arguments.length - 1] === objectPath.node;
+}
+
+/**
+ * 构建文本的 i18n 调用表达式：按词缀规则拆分文本（见 splitAffixes），
+ * 需要翻译的部分生成 i18n 调用，其余部分保留为字符串，用 + 连接
+ * @param {string} text - 清理后的中文文本（变量已替换为 {name} 占位符）
+ * @param {Object} meta - 传给 getKeyForChinese 的类型和位置信息
+ * @param {string} callName - i18n 调用名称
+ * @param {Array<Object>} variables - 占位符对应的变量 [{ name, expression }]，作为核心文本的参数
+ * @returns {Object|null} CallExpression 或 BinaryExpression，有部分未匹配时返回 null
+ */
+function buildI18nExpression(text, meta, callName, variables = []) {
+  const expressions = [];
+  for (const part of splitAffixes(text)) {
+    if (!part.translate) {
+      expressions.push(b.literal(part.text));
+      continue;
+    }
+
+    const key = getKeyForChinese(part.text, { ...meta, sourceText: text });
+    if (key === null) return null;
+
+    const args = [b.literal(key)];
+    if (part.core && variables.length > 0) {
+      args.push(buildParamsObject(variables, part.text, key));
+    }
+    expressions.push(b.callExpression(buildI18nCallee(callName), args));
+  }
+
+  return expressions.reduce((left, right) => b.binaryExpression('+', left, right));
+}
+
+/**
+ * 获取节点的类型和位置信息（传给 getKeyForChinese）
+ * @param {Object} node - AST 节点
+ * @param {string} kind - 文本类型：'literal'、'template-literal'、'concatenation'、'jsx-text' 或 'jsx-attribute'
+ * @param {Object} baseLoc - 代码在所属代码块中的起始位置，没有时位置相对于代码本身
+ * @returns {Object} { kind, loc: { line, column } }
+ */
+function getNodeMeta(node, kind, baseLoc) {
+  if (!node.loc) {
+    return { kind, loc: null };
+  }
+
+  const { line, column } = node.loc.start;
+  if (!baseLoc) {
+    return { kind, loc: { line, column } };
+  }
+  return {
+    kind,
+    loc: {
+      line: baseLoc.line + line - 1,
+      column: line === 1 ? baseLoc.column + column : column
+    }
+  };
+}
+
+/**
+ * 根据调用名称（如 '$i18n.t'、'this.$t'、'i18n.global.t'）构建 callee 节点
+ * @param {string} callName
+ * @returns {Object} Identifier 或 MemberExpression 节点
+ */
+function buildI18nCallee(callName) {
+  const [first, ...rest] = callName.split('.');
+  const object = first === 'this' ? b.thisExpression() : b.identifier(first);
+  return rest.reduce((callee, name) => b.memberExpression(callee, b.identifier(name)), object);
+}
+
+/**
+ * 获取 JSX 属性名（带命名空间的属性如 xlink:title 保留前缀）
+ * @param {Object} node - JSXAttribute 节点
+ * @returns {string}
+ */
+function getJSXAttributeName(node) {
+  const { name } = node;
+  return name.type === 'JSXNamespacedName' ? `${name.namespace.name}:${name.name.name}` : name.name;
+}
+
+/**
+ * 将 callee 节点还原为调用名称（如 '$i18n.t'），无法还原时返回 null
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function getCalleeName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+    const objectName = getCalleeName(node.object);
+    return objectName ? `${objectName}.${node.property.name}` : null;
+  }
+  return null;
+}
+
+/**
+ * 构建 i18n 调用的参数对象 {username: xxx}
+ * 相同名称的占位符只保留一个；按占位符结构匹配到语言包条目时，使用语言包中的占位符名称
+ * @param {Array<Object>} variables - [{ name, expression }]
+ * @param {string} text - 生成 key 时使用的文本
+ * @param {string} key
+ * @returns {Object} ObjectExpression
+ */
+function buildParamsObject(variables, text, key) {
+  const localeNames = getLocalePlaceholderNames(text, key);
+  const properties = [];
+  const addedNames = new Set();
+
+  for (const { name, expression } of variables) {
+    if (addedNames.has(name)) continue;
+    addedNames.add(name);
+    properties.push(b.property('init', b.identifier(localeNames ? localeNames.get(name) : name), expression));
+  }
+
+  return b.objectExpression(properties);
+}
+
+/**
+ * 收集代码中的忽略注释
+ * - // i18n-ignore-next-line：忽略下一行
+ * - /* i18n-ignore *\/：忽略紧跟在注释后面的表达式或语句
+ * @param {Object} ast - Recast 解析结果（包含 tokens）
+ * @returns {Object} { lines: 被忽略的行号, starts: 被忽略节点的起始偏移量 }
+ */
+function collectIgnoreDirectives(ast) {
+  const lines = new Set();
+  const starts = new Set();
+  const tokens = ast.tokens || [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'CommentLine' && token.type !== 'CommentBlock') return;
+
+    const directive = token.value.trim();
+    if (directive === 'i18n-ignore-next-line') {
+      lines.add(token.loc.end.line + 1);
+    } else if (directive === 'i18n-ignore') {
+      const next = tokens.slice(index + 1).find(t => t.type !== 'CommentLine' && t.type !== 'CommentBlock');
+      if (next) starts.add(next.start);
+    }
+  });
+
+  return { lines, starts };
+}
+
+/**
+ * 检查节点是否被忽略注释覆盖（节点本身或其所在的表达式、语句紧跟在 i18n-ignore 注释后面）
+ * @param {Object} path
+ * @param {Object} directives - collectIgnoreDirectives 的结果
+ * @returns {boolean}
+ */
+function isIgnoredByDirective(path, directives) {
+  const node = path.node;
+  if (node.loc && directives.lines.has(node.loc.start.line)) {
+    return true;
+  }
+  for (let current = path; current; current = current.parent) {
+    if (directives.starts.has(current.node.start)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 检查节点是否命中配置的忽略规则
+ * - 传给 ignoreCallees 中函数的参数（包括 new RegExp('...')）
+ * - ===、!==、==、!= 比较中的字符串
+ * - switch 的 case 值
+ * @param {Object} path
+ * @returns {boolean}
+ */
+function isIgnoredByRule(path) {
+  const { ignoreComparisons, ignoreSwitchCases } = getIgnoreRules();
+  const node = path.node;
+  const parent = path.parent && path.parent.node;
+
+  if (parent && ignoreComparisons && parent.type === 'BinaryExpression' && ['===', '!==', '==', '!='].includes(parent.operator)) {
+    return true;
+  }
+  if (parent && ignoreSwitchCases && parent.type === 'SwitchCase' && parent.test === node) {
+    return true;
+  }
+
+  for (let current = path.parent; current; current = current.parent) {
+    const ancestor = current.node;
+    if ((ancestor.type === 'CallExpression' || ancestor.type === 'NewExpression') && isIgnoredCallee(getCalleeName(ancestor.callee))) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * 检查节点是否在 console.* 调用中
  */
@@ -464,9 +1028,9 @@ function isInConsoleCall(path) {
 }
 
 /**
- * 检查节点是否已经在 i18n.t() 或 $i18n.t() 或 $t() 调用中
+ * 检查节点是否已经在 i18n.t() 或 $i18n.t() 或 $t() 或配置的 i18n 调用中
  */
-function isInI18nCall(path) {
+function isInI18nCall(path, callName) {
   if (!path.parent || !path.parent.node) {
     return false;
   }
@@ -474,6 +1038,11 @@ function isInI18nCall(path) {
   const parent = path.parent.node;
   if (parent.type === 'CallExpression') {
     const callee = parent.callee;
+    // 配置的 i18n 调用（包括其他上下文中使用的调用）
+    const { templateCall, componentI18nCall, setupI18nCall, moduleI18nCall } = getI18nCallNames();
+    if ([callName, templateCall, componentI18nCall, setupI18nCall, moduleI18nCall].includes(getCalleeName(callee))) {
+      return true;
+    }
     if (callee && callee.type === 'MemberExpression') {
       // i18n.t() 或 $i18n.t()
       if ((callee.object && (callee.object.name === 'i18n' || callee.object.name === '$i18n')) && callee.property && callee.property.name === 't') {
@@ -509,6 +1078,22 @@ function isObjectPropertyKey(path) {
   return false;
 }
 
+/**
+ * 检查节点是否位于 TypeScript 的类型注解或枚举成员中
+ * 类型中的字面量（如 type Status = '启用' | '停用'）和枚举值不能替换为函数调用
+ */
+function isInTypeScriptConstant(path) {
+  let currentPath = path.parent;
+  while (currentPath && currentPath.node) {
+    const type = currentPath.node.type;
+    if (type === 'TSEnumMember' || type === 'TSLiteralType' || type === 'TSTypeAnnotation') {
+      return true;
+    }
+    currentPath = currentPath.parent;
+  }
+  return false;
+}
+
 /**
  * 获取模板字符串的原始文本（包含 ${} 占位符）
  */
@@ -531,6 +1116,256 @@ function getTemplateString(node) {
   return result;
 }
 
+/**
+ * 检查模块顶层是否已经声明或导入了指定的标识符
+ * @param {Object} program - Program 节点
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasTopLevelBinding(program, name) {
+  return program.body.some(statement => {
+    if (statement.type === 'ImportDeclaration') {
+      return statement.specifiers.some(specifier => specifier.local.name === name);
+    }
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration) return false;
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations.some(declarator => patternDeclares(declarator.id, name));
+    }
+    if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+      return Boolean(declaration.id) && declaration.id.name === name;
+    }
+    return false;
+  });
+}
+
+/**
+ * 检查代码是否使用了 CommonJS 的 require、module.exports 或 exports.xxx
+ * @param {Object} program - Program 节点
+ * @returns {boolean}
+ */
+function usesCommonJS(program) {
+  let found = false;
+  visit(program, {
+    visitCallExpression(path) {
+      if (path.node.callee.type === 'Identifier' && path.node.callee.name === 'require') {
+        found = true;
+        return false;
+      }
+      this.traverse(path);
+    },
+    visitMemberExpression(path) {
+      const { object, property, computed } = path.node;
+      const isModuleExports = object.type === 'Identifier' && object.name === 'module' &&
+        !computed && property.type === 'Identifier' && property.name === 'exports';
+      if (isModuleExports || (object.type === 'Identifier' && object.name === 'exports')) {
+        found = true;
+        return false;
+      }
+      this.traverse(path);
+    }
+  });
+  return found;
+}
+
+/**
+ * 为独立的 js/ts 模块添加 i18n 实例的导入（已导入或已声明时不重复添加）
+ * ES 模块使用 import，CommonJS 模块使用 require：
+ * 模块格式由扩展名确定（.mjs、.cjs），否则没有 import/export 且使用了 require、module.exports 或 exports.xxx 时按 CommonJS 处理
+ * CommonJS 模块的导入路径是别名（如 '@/i18n'）时给出警告
+ * @param {string} code - 转换后的模块代码
+ * @param {Object} options
+ * @param {string} options.lang - 模块语言（如 'ts'）
+ * @param {string} options.i18nCall - 模块中使用的 i18n 调用（如 'i18n.t'），导入其第一段标识符
+ * @param {string} options.importPath - i18n 实例的导入路径（如 '@/i18n'）
+ * @param {string} options.moduleType - 'module' 或 'commonjs'，不设置时根据代码判断
+ * @returns {string}
+ */
+function addI18nImport(code, options) {
+  const name = options.i18nCall.split('.')[0];
+  if (name === 'this') {
+    return code;
+  }
+
+  const ast = recast.parse(code, { parser: getScriptParser(options.lang) });
+  const program = ast.program;
+
+  if (hasTopLevelBinding(program, name)) {
+    return code;
+  }
+
+  const isCommonJS = options.moduleType
+    ? options.moduleType === 'commonjs'
+    : !program.body.some(statement => /^(Import|Export)/.test(statement.type)) && usesCommonJS(program);
+
+  // '@/i18n' 等别名只有打包工具能解析，直接用 Node 运行的 CommonJS 模块中 require 会失败
+  if (isCommonJS && /^[@~#]\//.test(options.importPath)) {
+    logDiagnostic('warning', `CommonJS 模块中的 require("${options.importPath}") 使用了路径别名，Node 无法直接解析，可以通过 i18nImportPath 配置相对路径`);
+  }
+
+  const importStatement = isCommonJS
+    ? b.variableDeclaration('const', [
+      b.variableDeclarator(b.identifier(name), b.callExpression(b.identifier('require'), [b.literal(options.importPath)]))
+    ])
+    : b.importDeclaration([b.importDefaultSpecifier(b.identifier(name))], b.literal(options.importPath));
+
+  return insertAfterImports(code, program, recast.print(importStatement, { quote: 'double' }).code, isCommonJS);
+}
+
+/**
+ * 在最后一条 import / require 语句之后插入代码，没有时插入到 'use strict' 等指令之后
+ * 直接拼接源码而不是重新打印整个 AST，避免改动文件其他部分的格式
+ * @param {string} code
+ * @param {Object} program - code 解析后的 Program 节点
+ * @param {string} statementCode - 要插入的语句
+ * @param {boolean} isCommonJS - 是否把 require 语句视为导入
+ * @returns {string}
+ */
+function insertAfterImports(code, program, statementCode, isCommonJS = false) {
+  const isImportStatement = (statement) => statement.type === 'ImportDeclaration' ||
+    (isCommonJS && statement.type === 'VariableDeclaration' && /\brequire\s*\(/.test(recast.print(statement).code));
+
+  const anchors = (program.directives || []).concat(program.body.filter(isImportStatement));
+
+  if (anchors.length === 0) {
+    // 保留开头的空行（如 <script> 标签后的换行）
+    const leading = code.match(/^\s*/)[0];
+    return `${leading}${statementCode}\n${code.slice(leading.length)}`;
+  }
+  const insertOffset = Math.max(...anchors.map(node => node.end));
+  return `${code.slice(0, insertOffset)}\n${statementCode}${code.slice(insertOffset)}`;
+}
+
+/**
+ * 为使用 useI18n() 的代码添加导入和 const { t } = useI18n() 声明（已存在时不重复添加）
+ * <script setup> 中声明添加到顶层，Options API 的 setup() 中添加到函数体开头
+ * @param {string} code - 转换后的代码
+ * @param {Object} options
+ * @param {string} options.lang - script 的 lang 属性
+ * @param {string} options.setupI18nCall - setup 中使用的 i18n 调用（需要是单个标识符，如 't'）
+ * @param {string} options.importPath - useI18n 的导入路径（如 'vue-i18n'）
+ * @param {boolean} options.setup - 是否是 <script setup>
+ * @returns {string}
+ */
+function addUseI18n(code, options) {
+  const name = options.setupI18nCall;
+  if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+    return code;
+  }
+
+  const ast = recast.parse(code, { parser: getScriptParser(options.lang) });
+  const program = ast.program;
+  const declaration = name === 't' ? 'const { t } = useI18n();' : `const { t: ${name} } = useI18n();`;
+
+  // setup() 函数体开头的声明（从后向前插入，避免偏移量失效）
+  let result = code;
+  if (!options.setup) {
+    const insertions = [];
+    visit(ast, {
+      visitFunction(path) {
+        const body = path.node.body;
+        if (getComponentMemberName(path) === 'setup' && body.type === 'BlockStatement' &&
+          usesIdentifierCall(body, name) && !declaresName(body, name)) {
+          const indent = body.body.length > 0 ? getLineIndent(code, body.body[0].start) : '  ';
+          insertions.push({ offset: body.start + 1, text: `\n${indent}${declaration}` });
+        }
+        this.traverse(path);
+      }
+    });
+    for (const { offset, text } of insertions.sort((a, b) => b.offset - a.offset)) {
+      result = result.slice(0, offset) + text + result.slice(offset);
+    }
+  }
+
+  const statements = [];
+  if (!hasTopLevelBinding(program, 'useI18n')) {
+    statements.push(`import { useI18n } from "${options.importPath}";`);
+  }
+  if (options.setup && !hasTopLevelBinding(program, name)) {
+    statements.push(declaration);
+  }
+  if (statements.length === 0) {
+    return result;
+  }
+
+  // 函数体中的插入都在 import 之后，不影响 import 的位置
+  return insertAfterImports(result, program, statements.join('\n'));
+}
+
+/**
+ * 获取某个位置所在行的缩进
+ * @param {string} code
+ * @param {number} offset
+ * @returns {string}
+ */
+function getLineIndent(code, offset) {
+  const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+  return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * 检查代码块中是否调用了指定名称的函数（如 t('key')）
+ * @param {Object} node
+ * @param {string} name
+ * @returns {boolean}
+ */
+function usesIdentifierCall(node, name) {
+  let found = false;
+  visit(node, {
+    visitCallExpression(path) {
+      if (path.node.callee.type === 'Identifier' && path.node.callee.name === name) {
+        found = true;
+        return false;
+      }
+      this.traverse(path);
+    }
+  });
+  return found;
+}
+
+/**
+ * 检查函数体的顶层是否声明了指定名称（包括解构，如 const { t } = useI18n()）
+ * @param {Object} body - BlockStatement 节点
+ * @param {string} name
+ * @returns {boolean}
+ */
+function declaresName(body, name) {
+  return body.body.some(statement => statement.type === 'VariableDeclaration' &&
+    statement.declarations.some(declarator => patternDeclares(declarator.id, name)));
+}
+
+/**
+ * 检查变量声明的左侧（标识符或解构）是否声明了指定名称
+ * @param {Object} pattern - Identifier、ObjectPattern 或 ArrayPattern 节点
+ * @param {string} name
+ * @returns {boolean}
+ */
+function patternDeclares(pattern, name) {
+  if (!pattern) return false;
+  switch (pattern.type) {
+    case 'Identifier':
+      return pattern.name === name;
+    case 'ObjectPattern':
+      return pattern.properties.some(property => patternDeclares(property.type === 'RestElement' ? property.argument : property.value, name));
+    case 'ArrayPattern':
+      return pattern.elements.some(element => patternDeclares(element, name));
+    case 'AssignmentPattern':
+      return patternDeclares(pattern.left, name);
+    case 'RestElement':
+      return patternDeclares(pattern.argument, name);
+    default:
+      return false;
+  }
+}
+
 module.exports = {
-  convertScript
+  convertScript,
+  convertTemplateExpression,
+  replaceI18nCalls,
+  buildI18nCallee,
+  getStringParts,
+  buildStringExpression,
+  getExpressionStringParts,
+  addUseI18n,
+  addI18nImport
 };
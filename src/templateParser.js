@@ -1,258 +1,518 @@
 /**
  * Template 解析和转换
+ * 基于 @vue/compiler-dom 的 AST，按节点的源码位置替换，未转换的部分保持原样
  */
-const { isOnlyChinese, cleanString, getKeyForChinese, detectColonSuffix, extractTemplateVars } = require('./utils');
+const { parse, NodeTypes } = require('@vue/compiler-dom');
+const { isOnlyChinese, cleanString, getKeyForChinese, splitAffixes, getI18nCallNames, logDiagnostic, isIgnoredAttribute, isIgnoredComponent } = require('./utils');
+const { convertTemplateExpression, replaceI18nCalls, getExpressionStringParts } = require('./scriptParser');
+const { offsetToLineColumn } = require('./location');
 
 /**
- * 转换中文文本为 i18n 格式（带冒号后缀处理）
+ * 生成字符串字面量（未匹配的文本直接作为 key 时可能包含引号）
+ * @param {string} value
+ * @param {string} quote - 使用的引号
+ * @returns {string}
+ */
+function toStringLiteral(value, quote) {
+  return quote + value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`) + quote;
+}
+
+/**
+ * 转义写回 template 的文本和生成的代码（template 中的文本、插值和属性值都会解码实体），属性值中还需要转义双引号
+ * @param {string} text
+ * @param {boolean} isAttribute
+ * @returns {string}
+ */
+function escapeTemplateText(text, isAttribute = false) {
+  const escaped = text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  return isAttribute ? escaped.replace(/"/g, '&quot;') : escaped;
+}
+
+/**
+ * 转换中文文本为 i18n 格式（按词缀规则拆分，见 splitAffixes）
+ * 如 '用户名：' → {{ $t('用户名') }}：（属性中为 $t('用户名') + '：'），'请输入用户名' → $t('common.pleaseInput') + $t('user.name')
  * @param {string} text - 原文本
+ * @param {string} format - 输出格式：'template'（插值）或 'attr'（属性绑定）
+ * @param {Object} meta - 传给 getKeyForChinese 的附加信息
+ * @param {string} meta.kind - 文本类型（默认按 format 为 'text' 或 'attribute'）
+ * @param {Object} meta.loc - 文本在 template 中的位置 { line, column }，没有时为 null
+ * @param {string} meta.attribute - 属性名（format 为 'attr' 时）
+ * @param {string} quote - 生成的 i18n 调用中使用的引号
  * @returns {string|null} - 转换后的 i18n 调用或 null（跳过转换）
  */
-function convertToI18n(text, format = 'template') {
-  const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(text);
+function convertToI18n(text, format = 'template', meta = {}, quote = '\'') {
+  const { templateCall } = getI18nCallNames();
+  const { kind = format === 'attr' ? 'attribute' : 'text', loc = null, attribute } = meta;
+  const keyMeta = attribute ? { kind, loc, attribute, sourceText: text } : { kind, loc, sourceText: text };
 
-  if (hasColonSuffix) {
-    const key = getKeyForChinese(textWithoutColon);
-    if (key === null) return null; // 跳过未匹配的文本
-
-    if (format === 'template') {
-      return `{{ $t('${key}') + "${colonChar}" }}`;
-    } else if (format === 'attr') {
-      return `$t('${key}') + '${colonChar}'`;
+  const parts = [];
+  for (const part of splitAffixes(text)) {
+    if (!part.translate) {
+      parts.push({ text: part.text });
+      continue;
     }
-  } else {
-    const key = getKeyForChinese(text);
+
+    const key = getKeyForChinese(part.text, keyMeta);
     if (key === null) return null; // 跳过未匹配的文本
+    parts.push({ call: `${templateCall}(${toStringLiteral(key, quote)})` });
+  }
 
-    if (format === 'template') {
-      return `{{ $t('${key}') }}`;
-    } else if (format === 'attr') {
-      return `$t('${key}')`;
+  if (format !== 'template') {
+    return parts.map(part => part.call || toStringLiteral(part.text, quote)).join(' + ');
+  }
+
+  // 文本中保留为字符串的词缀直接作为文本输出，相邻的调用合并到同一个插值中
+  let result = '';
+  let calls = [];
+  for (const part of [...parts, { text: '' }]) {
+    if (part.call) {
+      calls.push(part.call);
+      continue;
     }
+    if (calls.length > 0) result += `{{ ${calls.join(' + ')} }}`;
+    calls = [];
+    result += part.text;
   }
-  return null;
+  return result;
 }
 
 /**
- * 处理 template 中的中文
- * @param {string} templateContent
+ * 不转换的指令（表达式不是普通的 JavaScript 表达式，或者必须保持原样）
+ */
+const SKIPPED_DIRECTIVES = ['for', 'slot', 'model'];
+
+/**
+ * 转换 template 中的 JavaScript 表达式（复用 script 中字符串、拼接和模板字符串的转换规则）
+ * 如 '删除'、row.status ? '启用' : '停用'、'共' + total + '条'
+ * @param {string} expression - JavaScript 表达式
+ * @param {Object} options
+ * @param {Object} options.loc - 表达式在 template 中的位置 { line, column }，没有时为 null
+ * @param {string} options.quote - 生成的 i18n 调用中使用的引号
+ * @param {boolean} options.statements - 是否是事件处理代码（可以包含多条语句）
+ * @returns {string|null} 转换后的表达式，不需要转换时返回 null
+ */
+function convertExpression(expression, options = {}) {
+  if (!isOnlyChinese(expression)) return null;
+
+  let converted;
+  try {
+    converted = convertTemplateExpression(expression, {
+      i18nCall: getI18nCallNames().templateCall,
+      quote: options.quote === '"' ? 'double' : 'single',
+      statements: options.statements,
+      loc: options.loc
+    });
+  } catch (error) {
+    logDiagnostic('warning', `Template 表达式解析失败，已跳过: ${expression.trim()}`);
+    return null;
+  }
+
+  return converted !== expression ? converted : null;
+}
+
+/**
+ * 替换 template 表达式中已有的 i18n 调用（见 scriptParser 中的 replaceI18nCalls）
+ * @param {string} expression - JavaScript 表达式
+ * @param {Function} replaceCall - (node, meta) => 替换后的节点，不需要替换时返回 null
+ * @param {Object} options - 同 convertExpression
+ * @param {boolean} options.inlineStrings - 合并替换后相邻的字符串（见 replaceI18nCalls）
+ * @returns {string|null} 替换后的表达式，没有替换时返回 null
+ */
+function replaceExpressionCalls(expression, replaceCall, options = {}) {
+  // rekey 只处理以中文作为 key 的调用；revert 的调用中是 key，只需要包含调用
+  if (!(options.inlineStrings ? expression.includes('(') : isOnlyChinese(expression))) return null;
+
+  try {
+    return replaceI18nCalls(expression, replaceCall, {
+      expression: true,
+      quote: options.quote === '"' ? 'double' : 'single',
+      statements: options.statements,
+      loc: options.loc,
+      inlineStrings: options.inlineStrings
+    });
+  } catch (error) {
+    logDiagnostic('warning', `Template 表达式解析失败，已跳过: ${expression.trim()}`);
+    return null;
+  }
+}
+
+/**
+ * 处理文本中插值表达式里的字符串字面量和模板字符串（pug 模板中使用）
+ * 如 {{ "文本" }} 或 {{ `请输入${type}` }}
+ * @param {string} content
  * @returns {string}
  */
-function convertTemplate(templateContent) {
-  if (!templateContent) return '';
+function convertInterpolations(content) {
+  return content.replace(/\{\{([\s\S]*?)\}\}/g, (match, expression) => {
+    const converted = convertExpression(expression);
+    return converted !== null ? `{{${converted}}}` : match;
+  });
+}
+
+/**
+ * 处理文本中的中文（pug 模板中使用）
+ * 包括混合文本（如：包装基数:{{ data.item.packqty }}）
+ * @param {string} text
+ * @returns {string|null} 转换后的文本，没有需要转换的内容时返回 null
+ */
+function convertTextContent(text) {
+  // 分割文本和插值表达式（使用非贪婪匹配，支持嵌套的 {}）
+  const parts = text.split(/(\{\{[\s\S]*?\}\})/);
+
+  let changed = false;
+  const result = parts.map(part => {
+    // 保留插值表达式
+    if (part.startsWith('{{')) return part;
 
-  let result = templateContent;
+    const cleaned = cleanString(part);
+    if (!isOnlyChinese(cleaned)) return part;
 
-  // 0. 先提取并保护 HTML 注释，避免注释中的中文被转换
-  const comments = [];
-  const commentPlaceholder = '___COMMENT_PLACEHOLDER___';
-  result = result.replace(/<!--[\s\S]*?-->/g, (match) => {
-    comments.push(match);
-    return `${commentPlaceholder}${comments.length - 1}___`;
+    const converted = convertToI18n(cleaned, 'template');
+    if (converted === null) return part;
+
+    changed = true;
+    // 前后空白保留在替换范围之外（与 collectEdits 一致）
+    const leading = part.match(/^\s*/)[0];
+    const trailing = part.slice(leading.length).match(/\s*$/)[0];
+    return leading + converted + trailing;
   });
 
-  // 1. 先处理已有插值表达式中的字符串字面量
-  // 如 {{ "文本" }} 或 {{ '文本' }}
-  result = result.replace(/\{\{\s*["']([^"']+)["']\s*\}\}/g, (match, text) => {
-    // 跳过已经包含 $t 的内容
-    if (match.includes('$t(')) {
-      return match;
+  return changed ? result.join('') : null;
+}
+
+/**
+ * 根据属性名获取指令名称（'title' 返回 null，':title' 返回 'bind'，'@click' 返回 'on'）
+ * @param {string} name - 属性名
+ * @returns {string|null}
+ */
+function getDirectiveName(name) {
+  if (name.startsWith(':')) return 'bind';
+  if (name.startsWith('@')) return 'on';
+  if (name.startsWith('#')) return 'slot';
+  const match = name.match(/^v-([a-z0-9-]+)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * 转换单个属性（pug 模板中使用）
+ * 静态属性转换为动态绑定，指令转换其中的表达式
+ * @param {string} name - 属性名（如 'title'、':title'、'@click'）
+ * @param {string} value - 静态属性的值，或指令的表达式
+ * @returns {Object|null} { name, value } 转换后的属性，不需要转换时返回 null
+ */
+function convertAttribute(name, value) {
+  if (isIgnoredAttribute(name)) return null;
+
+  const directive = getDirectiveName(name);
+  if (directive !== null) {
+    if (SKIPPED_DIRECTIVES.includes(directive)) return null;
+    const converted = convertExpression(value, { statements: directive === 'on' });
+    return converted !== null ? { name, value: converted } : null;
+  }
+
+  const cleaned = cleanString(value);
+  if (!isOnlyChinese(cleaned)) return null;
+
+  const converted = convertToI18n(cleaned, 'attr', { attribute: name });
+  return converted !== null ? { name: `:${name}`, value: converted } : null;
+}
+
+/**
+ * 收集节点及其子节点上需要替换的源码片段
+ * @param {Object} node - AST 节点
+ * @param {string} content - template 内容
+ * @param {Array<Object>} edits - [{ start, end, code }]
+ */
+function collectEdits(node, content, edits) {
+  if (node.type === NodeTypes.TEXT) {
+    // 使用解码实体后的文本匹配（a &amp; b → a & b），替换原始源码中去掉首尾空白后的部分，空白和换行保持不变
+    const text = cleanString(node.content);
+    if (!isOnlyChinese(text)) return;
+
+    const raw = node.loc.source;
+    const cleaned = cleanString(raw);
+    const start = node.loc.start.offset + raw.indexOf(cleaned);
+    const converted = convertToI18n(text, 'template', { loc: offsetToLineColumn(content, start) });
+    if (converted !== null) {
+      edits.push({ start, end: start + cleaned.length, code: escapeTemplateText(converted) });
     }
-    const cleaned = cleanString(text);
-    if (isOnlyChinese(cleaned)) {
-      const converted = convertToI18n(cleaned, 'template');
-      return converted !== null ? converted : match;
+    return;
+  }
+
+  if (node.type === NodeTypes.INTERPOLATION) {
+    const expression = node.content;
+    const converted = convertExpression(expression.content, { loc: offsetToLineColumn(content, expression.loc.start.offset) });
+    if (converted !== null) {
+      edits.push({ start: expression.loc.start.offset, end: expression.loc.end.offset, code: converted });
     }
-    return match;
-  });
+    return;
+  }
+
+  if (node.type !== NodeTypes.ELEMENT && node.type !== NodeTypes.ROOT) return;
 
-  // 1.5. 处理插值表达式中的模板字符串
-  // 如 {{ `请输入${type}` }}
-  result = result.replace(/\{\{\s*`([^`]*)`\s*\}\}/g, (match, templateContent) => {
-    // 跳过已经包含 $t 的内容
-    if (match.includes('$t(')) {
-      return match;
+  if (node.type === NodeTypes.ELEMENT) {
+    // v-pre 元素及其子节点不会被 Vue 编译，保持原样；配置忽略的组件也一样
+    if (isVPreElement(node, content) || isIgnoredComponent(node.tag)) return;
+
+    for (const prop of node.props) {
+      collectPropEdit(prop, content, edits);
     }
+  }
 
-    // 使用 extractTemplateVars 提取模板字符串中的变量
-    const { text, params, hasChinese } = extractTemplateVars(templateContent);
-
-    if (hasChinese) {
-      const cleaned = cleanString(text);
-      const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-
-      if (hasColonSuffix) {
-        const key = getKeyForChinese(textWithoutColon);
-        if (key === null) return match; // 跳过未匹配的文本
-
-        if (params.length > 0) {
-          // 有变量，构建参数对象
-          const paramsObj = params.map(p => `${p.name}: ${p.expr}`).join(', ');
-          return `{{ $t('${key}', { ${paramsObj} }) + '${colonChar}' }}`;
-        } else {
-          // 无变量
-          return `{{ $t('${key}') + '${colonChar}' }}`;
-        }
-      } else {
-        const key = getKeyForChinese(cleaned);
-        if (key === null) return match; // 跳过未匹配的文本
-
-        if (params.length > 0) {
-          // 有变量，构建参数对象
-          const paramsObj = params.map(p => `${p.name}: ${p.expr}`).join(', ');
-          return `{{ $t('${key}', { ${paramsObj} }) }}`;
-        } else {
-          // 无变量
-          return `{{ $t('${key}') }}`;
-        }
-      }
+  for (const child of getChildrenToConvert(node)) {
+    collectEdits(child, content, edits);
+  }
+}
+
+/**
+ * 获取需要处理的子节点（跳过注释、空白文本，以及 <!-- i18n-ignore --> 后面的节点）
+ * @param {Object} node - 元素或根节点
+ * @returns {Array<Object>}
+ */
+function getChildrenToConvert(node) {
+  const children = [];
+  let ignoreNext = false;
+  for (const child of node.children) {
+    // <!-- i18n-ignore --> 忽略紧跟在后面的节点（中间的空白文本不算）
+    if (child.type === NodeTypes.COMMENT) {
+      if (child.content.trim() === 'i18n-ignore') ignoreNext = true;
+      continue;
     }
-    return match;
-  });
+    if (child.type === NodeTypes.TEXT && !child.content.trim()) continue;
+    if (ignoreNext) {
+      ignoreNext = false;
+      continue;
+    }
+    children.push(child);
+  }
+  return children;
+}
 
-  // 2. 处理纯文本节点中的中文（标签之间的文本）
-  // 包括混合文本节点（如：包装基数:{{ data.item.packqty }}）
-  result = result.replace(/>([^<]+)</g, (match, text) => {
-    // 如果文本包含插值表达式 {{ }}，需要分段处理
-    if (text.includes('{{') && text.includes('}}')) {
-      // 分割文本和插值表达式
-      const parts = [];
-      let lastIndex = 0;
-
-      // 匹配所有的插值表达式（使用非贪婪匹配，支持嵌套的 {}）
-      const interpolationRegex = /\{\{[\s\S]*?\}\}/g;
-      let interpolationMatch;
-
-      while ((interpolationMatch = interpolationRegex.exec(text)) !== null) {
-        // 获取插值表达式之前的文本
-        const beforeText = text.substring(lastIndex, interpolationMatch.index);
-        if (beforeText) {
-          const cleaned = cleanString(beforeText);
-          if (isOnlyChinese(cleaned)) {
-            const converted = convertToI18n(cleaned, 'template');
-            parts.push(converted !== null ? converted : beforeText);
-          } else {
-            parts.push(beforeText);
-          }
-        }
-        // 保留插值表达式
-        parts.push(interpolationMatch[0]);
-        lastIndex = interpolationMatch.index + interpolationMatch[0].length;
-      }
+/**
+ * 检查元素是否带有 v-pre（解析结果中不保留 v-pre 指令，需要从开始标签的源码判断）
+ * @param {Object} node - 元素节点
+ * @param {string} content - template 内容
+ * @returns {boolean}
+ */
+function isVPreElement(node, content) {
+  const tagStart = node.loc.start.offset;
+  const tagEnd = node.children.length > 0 ? node.children[0].loc.start.offset : node.loc.end.offset;
+  let startTag = content.substring(tagStart, tagEnd);
 
-      // 处理最后一段文本
-      const afterText = text.substring(lastIndex);
-      if (afterText) {
-        const cleaned = cleanString(afterText);
-        if (isOnlyChinese(cleaned)) {
-          const converted = convertToI18n(cleaned, 'template');
-          parts.push(converted !== null ? converted : afterText);
-        } else {
-          parts.push(afterText);
-        }
-      }
+  // 去掉其他属性，避免属性值中的 v-pre 文本被误判
+  for (const prop of [...node.props].reverse()) {
+    const start = prop.loc.start.offset - tagStart;
+    const end = prop.loc.end.offset - tagStart;
+    startTag = startTag.substring(0, start) + ' '.repeat(end - start) + startTag.substring(end);
+  }
 
-      // 如果有转换，返回新文本
-      if (parts.length > 0 && parts.join('') !== text) {
-        return `>${parts.join('')}<`;
-      }
-      return match;
-    }
+  return /\sv-pre(?=[\s/>]|$)/.test(startTag);
+}
+
+/**
+ * 收集单个属性上需要替换的源码片段
+ * @param {Object} prop - 元素的属性或指令节点
+ * @param {string} content - template 内容
+ * @param {Array<Object>} edits
+ */
+function collectPropEdit(prop, content, edits) {
+  // 静态属性：title="删除" → :title="$t('key')"
+  if (prop.type === NodeTypes.ATTRIBUTE) {
+    if (!prop.value || isIgnoredAttribute(prop.name)) return;
 
-    // 纯文本节点，没有插值表达式
-    const cleaned = cleanString(text);
-    if (isOnlyChinese(cleaned)) {
-      const converted = convertToI18n(cleaned, 'template');
-      return converted !== null ? `>${converted}<` : match;
+    const cleaned = cleanString(prop.value.content);
+    if (!isOnlyChinese(cleaned)) return;
+
+    const converted = convertToI18n(cleaned, 'attr', { attribute: prop.name, loc: offsetToLineColumn(content, prop.value.loc.start.offset + 1) });
+    if (converted !== null) {
+      // 文本中的双引号（他说"好"）会出现在生成的字符串中
+      edits.push({ start: prop.loc.start.offset, end: prop.loc.end.offset, code: `:${prop.name}="${escapeTemplateText(converted, true)}"` });
     }
-    return match;
+    return;
+  }
+
+  // 指令：:title="'删除'"、:label="row.status ? '启用' : '停用'"、@click="$message.success('保存成功')" 等
+  if (!prop.exp || SKIPPED_DIRECTIVES.includes(prop.name)) return;
+  if (prop.name === 'bind' && prop.arg && prop.arg.isStatic && isIgnoredAttribute(prop.arg.content)) return;
+
+  const { exp } = prop;
+  // 表达式外层是单引号时，生成的调用使用双引号
+  const quote = content[exp.loc.start.offset - 1] === '\'' ? '"' : '\'';
+  const converted = convertExpression(exp.content, {
+    loc: offsetToLineColumn(content, exp.loc.start.offset),
+    quote,
+    statements: prop.name === 'on'
   });
+  if (converted !== null) {
+    edits.push({ start: exp.loc.start.offset, end: exp.loc.end.offset, code: converted });
+  }
+}
+
+/**
+ * 将字符串的组成部分写回为 template 文本，插值表达式写为 {{ }}
+ * @param {Array<Object>} parts - getExpressionStringParts 的结果
+ * @returns {string}
+ */
+function toTemplateText(parts) {
+  return parts.map(part => (part.expression ? `{{ ${part.expression} }}` : escapeTemplateText(part.text))).join('');
+}
 
-  // 3. 处理静态属性值中的中文，转换为动态绑定
-  // 匹配如 placeholder="请输入" title="标题" 等
-  result = result.replace(/\s+([a-zA-Z-:@]+)="([^"]+)"/g, (match, attrName, attrValue) => {
-    // 跳过已经是动态绑定的属性（以 : 或 v- 开头）
-    if (attrName.startsWith(':') || attrName.startsWith('v-')) {
-      return match;
+/**
+ * 获取可以写回为静态属性的属性名：没有修饰符的 v-bind（:title、v-bind:title）返回 'title'，否则返回 null
+ * @param {Object} prop - 指令节点
+ * @returns {string|null}
+ */
+function getStaticAttributeName(prop) {
+  if (prop.name !== 'bind' || !prop.arg || !prop.arg.isStatic || prop.modifiers.length > 0) return null;
+  return prop.arg.content;
+}
+
+/**
+ * 收集节点及其子节点中插值和指令表达式里 i18n 调用的替换（见 replaceTemplateI18nCalls）
+ * @param {Object} node - AST 节点
+ * @param {string} content - template 内容
+ * @param {Function} replaceCall
+ * @param {Array<Object>} edits - [{ start, end, code }]
+ * @param {Object} options - 同 replaceTemplateI18nCalls
+ */
+function collectCallEdits(node, content, replaceCall, edits, options = {}) {
+  const replaceExpression = (exp, expressionOptions) => replaceExpressionCalls(exp.content, replaceCall, {
+    ...expressionOptions,
+    loc: offsetToLineColumn(content, exp.loc.start.offset),
+    inlineStrings: options.inlineStrings
+  });
+  const addEdit = (exp, expressionOptions) => {
+    const replaced = replaceExpression(exp, expressionOptions);
+    if (replaced !== null) {
+      edits.push({ start: exp.loc.start.offset, end: exp.loc.end.offset, code: replaced });
     }
+  };
+
+  if (node.type === NodeTypes.INTERPOLATION) {
+    const replaced = replaceExpression(node.content);
+    if (replaced === null) return;
 
-    const cleaned = cleanString(attrValue);
-    if (isOnlyChinese(cleaned)) {
-      const converted = convertToI18n(cleaned, 'attr');
-      return converted !== null ? ` :${attrName}="${converted}"` : match;
+    // 替换结果是字符串时写回为文本：{{ '用户名：' }} → 用户名：，{{ `共${total}条` }} → 共{{ total }}条
+    const parts = options.inlineStrings ? getExpressionStringParts(replaced) : null;
+    if (parts) {
+      edits.push({ start: node.loc.start.offset, end: node.loc.end.offset, code: toTemplateText(parts) });
+    } else {
+      edits.push({ start: node.content.loc.start.offset, end: node.content.loc.end.offset, code: replaced });
     }
-    return match;
-  });
+    return;
+  }
+
+  if (node.type !== NodeTypes.ELEMENT && node.type !== NodeTypes.ROOT) return;
+
+  if (node.type === NodeTypes.ELEMENT) {
+    if (isVPreElement(node, content) || isIgnoredComponent(node.tag)) return;
 
-  // 4. 处理 v-bind 或 : 绑定中的字符串字面量
-  // 如 :title="'删除'" 或 :placeholder="'请输入'"
-  result = result.replace(/:([a-zA-Z-]+)=["']([^"']*["']([^"']+)["'][^"']*)["']/g, (match, attrName, fullValue, innerText) => {
-    const cleaned = cleanString(innerText);
-    if (isOnlyChinese(cleaned)) {
-      // 检查是否是简单的字符串字面量
-      if (fullValue.trim() === `'${innerText}'` || fullValue.trim() === `"${innerText}"`) {
-        const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-        if (hasColonSuffix) {
-          const key = getKeyForChinese(textWithoutColon);
-          if (key === null) return match; // 跳过未匹配的文本
-          return `:${attrName}="$t('${key}') + '${colonChar}'"`;
-        } else {
-          const key = getKeyForChinese(cleaned);
-          if (key === null) return match; // 跳过未匹配的文本
-          return `:${attrName}="$t('${key}')"`;
-        }
+    for (const prop of node.props) {
+      if (prop.type !== NodeTypes.DIRECTIVE || !prop.exp || SKIPPED_DIRECTIVES.includes(prop.name)) continue;
+      // 表达式外层是单引号时，生成的调用使用双引号
+      const expressionOptions = { quote: content[prop.exp.loc.start.offset - 1] === '\'' ? '"' : '\'', statements: prop.name === 'on' };
+      const attributeName = options.inlineStrings ? getStaticAttributeName(prop) : null;
+      if (attributeName === null) {
+        addEdit(prop.exp, expressionOptions);
+        continue;
       }
-    }
-    return match;
-  });
 
-  // 5. 处理 v-bind 或 : 绑定中的模板字符串（反引号）
-  // 如 :title="`委外${wareTypeLabel}单`"
-  result = result.replace(/:([a-zA-Z-]+)=["']`([^`]*)`["']/g, (match, attrName, templateContent) => {
-    // 使用 extractTemplateVars 提取模板字符串中的变量
-    const { text, params, hasChinese } = extractTemplateVars(templateContent);
-
-    if (hasChinese) {
-      const cleaned = cleanString(text);
-      const { hasColonSuffix, colonChar, textWithoutColon } = detectColonSuffix(cleaned);
-
-      if (hasColonSuffix) {
-        const key = getKeyForChinese(textWithoutColon);
-        if (key === null) return match; // 跳过未匹配的文本
-
-        if (params.length > 0) {
-          // 有变量，构建参数对象
-          const paramsObj = params.map(p => `${p.name}: ${p.expr}`).join(', ');
-          return `:${attrName}="$t('${key}', { ${paramsObj} }) + '${colonChar}'"`;
-        } else {
-          // 无变量
-          return `:${attrName}="$t('${key}') + '${colonChar}'"`;
-        }
+      // 绑定的值是没有插值的字符串时写回为静态属性：:title="'用户名'" → title="用户名"
+      const replaced = replaceExpression(prop.exp, expressionOptions);
+      if (replaced === null) continue;
+      const parts = getExpressionStringParts(replaced);
+      if (parts && parts.every(part => !part.expression)) {
+        const text = parts.map(part => part.text).join('');
+        edits.push({ start: prop.loc.start.offset, end: prop.loc.end.offset, code: `${attributeName}="${escapeTemplateText(text, true)}"` });
       } else {
-        const key = getKeyForChinese(cleaned);
-        if (key === null) return match; // 跳过未匹配的文本
-
-        if (params.length > 0) {
-          // 有变量，构建参数对象
-          const paramsObj = params.map(p => `${p.name}: ${p.expr}`).join(', ');
-          return `:${attrName}="$t('${key}', { ${paramsObj} })"`;
-        } else {
-          // 无变量
-          return `:${attrName}="$t('${key}')"`;
-        }
+        edits.push({ start: prop.exp.loc.start.offset, end: prop.exp.loc.end.offset, code: replaced });
       }
     }
-    return match;
-  });
+  }
+
+  for (const child of getChildrenToConvert(node)) {
+    collectCallEdits(child, content, replaceCall, edits, options);
+  }
+}
 
-  // 6. 恢复 HTML 注释
-  result = result.replace(/___COMMENT_PLACEHOLDER___(\d+)___/g, (_match, index) => {
-    return comments[parseInt(index)];
+/**
+ * 解析 template，解析失败时输出错误并返回 null
+ * @param {string} templateContent
+ * @returns {Object|null} @vue/compiler-dom 的 AST
+ */
+function parseTemplate(templateContent) {
+  const errors = [];
+  const ast = parse(templateContent, {
+    whitespace: 'preserve',
+    comments: true,
+    onError: error => errors.push(error)
   });
 
+  if (errors.length > 0) {
+    logDiagnostic('error', `Template 解析失败: ${errors.map(error => error.message).join('; ')}`);
+    return null;
+  }
+  return ast;
+}
+
+/**
+ * 按源码位置应用替换，从后向前替换，避免偏移量失效
+ * @param {string} content
+ * @param {Array<Object>} edits - [{ start, end, code }]
+ * @returns {string}
+ */
+function applyEdits(content, edits) {
+  let result = content;
+  for (const { start, end, code } of edits.sort((a, b) => b.start - a.start)) {
+    result = result.substring(0, start) + code + result.substring(end);
+  }
   return result;
 }
 
+/**
+ * 处理 template 中的中文
+ * @param {string} templateContent
+ * @returns {string}
+ */
+function convertTemplate(templateContent) {
+  if (!templateContent) return '';
+
+  const ast = parseTemplate(templateContent);
+  if (!ast) return templateContent;
+
+  const edits = [];
+  collectEdits(ast, templateContent, edits);
+  return applyEdits(templateContent, edits);
+}
+
+/**
+ * 替换 template 中已有的 i18n 调用（插值和指令中的表达式），用于 rekey 和 revert 命令
+ * @param {string} templateContent
+ * @param {Function} replaceCall - (node, meta) => 替换后的节点，不需要替换时返回 null（见 scriptParser 中的 replaceI18nCalls）
+ * @param {Object} options
+ * @param {boolean} options.inlineStrings - 替换结果是字符串时写回为文本和静态属性（revert 命令使用）
+ * @returns {string}
+ */
+function replaceTemplateI18nCalls(templateContent, replaceCall, options = {}) {
+  if (!templateContent) return '';
+
+  const ast = parseTemplate(templateContent);
+  if (!ast) return templateContent;
+
+  const edits = [];
+  collectCallEdits(ast, templateContent, replaceCall, edits, options);
+  return applyEdits(templateContent, edits);
+}
+
 module.exports = {
-  convertTemplate
+  SKIPPED_DIRECTIVES,
+  convertTemplate,
+  replaceTemplateI18nCalls,
+  convertExpression,
+  replaceExpressionCalls,
+  escapeTemplateText,
+  getDirectiveName,
+  convertInterpolations,
+  convertTextContent,
+  convertAttribute
 };
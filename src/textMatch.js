@@ -0,0 +1,107 @@
+/**
+ * 文本的宽松匹配：归一化（空白、全角/半角）、拆出结尾标点和按编辑距离查找相近的文本
+ * 归一化后相同的文本视为匹配；结尾标点保留为字符串，只匹配前面的文本（见 utils 中的 peelAffixes）；
+ * 相近的文本只作为建议写入转换报告，不会自动使用
+ */
+
+/**
+ * 折叠为半角的中文标点（全角 ASCII 字符按编码统一处理）
+ */
+const PUNCTUATION_MAP = {
+  '。': '.',
+  '、': ',',
+  '“': '"',
+  '”': '"',
+  '‘': '\'',
+  '’': '\'',
+  '【': '[',
+  '】': ']',
+  '《': '<',
+  '》': '>',
+  '…': '...'
+};
+
+/**
+ * 相近文本允许的最大编辑距离占文本长度的比例（至少为 1）
+ */
+const MAX_DISTANCE_RATIO = 0.3;
+
+/**
+ * 归一化文本
+ * - 全角字符（！，：（）Ａ１ 等）和中文标点折叠为半角
+ * - 连续空白（包括换行）合并为一个空格，中文前后的空白去掉
+ * 不去掉结尾标点等可见字符，结尾标点由 splitTrailingPunctuation 拆出后保留在转换结果中
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .replace(/[\uff01-\uff5e]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xfee0))
+    .replace(/\u3000/g, ' ')
+    .replace(/[。、“”‘’【】《》…]/g, char => PUNCTUATION_MAP[char])
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ (?=[\u4e00-\u9fa5])|(?<=[\u4e00-\u9fa5]) /g, '');
+}
+
+/**
+ * 拆出文本结尾的标点（。！？，；：… 等，全角和半角），如 '请输入用户名。' → '请输入用户名' + '。'
+ * @param {string} text
+ * @returns {Object} { core: 去掉结尾标点的文本, punctuation: 结尾的标点，没有时为空字符串 }
+ */
+function splitTrailingPunctuation(text) {
+  const match = text.match(/[。！？，；：、…～.,;:!?~]+$/);
+  if (!match || match[0] === text) return { core: text, punctuation: '' };
+  return { core: text.slice(0, -match[0].length), punctuation: match[0] };
+}
+
+/**
+ * 计算两个文本的编辑距离（Levenshtein），超过上限时提前结束
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance - 距离上限
+ * @returns {number} 编辑距离，超过上限时返回 maxDistance + 1
+ */
+function getEditDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 查找相近的文本（按编辑距离从小到大排列，距离相同时保持原顺序）
+ * @param {string} text - 归一化后的文本
+ * @param {Map} index - 归一化后的文本 → 原文本
+ * @param {number} limit - 最多返回的数量
+ * @returns {Array<Object>} [{ text: 原文本, distance }]
+ */
+function findSimilarTexts(text, index, limit) {
+  const maxDistance = Math.max(1, Math.floor(text.length * MAX_DISTANCE_RATIO));
+  const similar = [];
+  for (const [normalized, original] of index) {
+    const distance = getEditDistance(text, normalized, maxDistance);
+    if (distance > 0 && distance <= maxDistance) {
+      similar.push({ text: original, distance });
+    }
+  }
+  return similar.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+module.exports = {
+  normalizeText,
+  splitTrailingPunctuation,
+  getEditDistance,
+  findSimilarTexts
+};
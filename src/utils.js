@@ -1,6 +1,9 @@
 /**
  * 工具函数
  */
+const path = require('path');
+const { normalizeText, splitTrailingPunctuation, findSimilarTexts } = require('./textMatch');
+const { DEFAULT_OPTIONS } = require('./config');
 
 /**
  * 检测字符串是否包含中文（用于判断是否需要转换）
@@ -45,31 +48,129 @@ function isAlreadyI18n(str) {
   return str.includes('$t(') || str.includes('i18n.t(');
 }
 
+/**
+ * 根据插值表达式生成占位符名称
+ * 变量和属性访问使用最后一级的名称（username → username，row.orderNo → orderNo），xxx.length 使用 count
+ * @param {string} expression - 插值表达式的源码
+ * @returns {string|null} 复杂表达式返回 null
+ */
+function getPlaceholderName(expression) {
+  const segments = expression.trim().split(/\s*\??\.\s*/);
+  if (!segments.every(segment => /^[A-Za-z_$][\w$]*$/.test(segment))) return null;
+
+  const name = segments[segments.length - 1];
+  if (name === 'length' && segments.length > 1) return 'count';
+  return name === 'this' ? null : name;
+}
+
+/**
+ * 为插值表达式分配占位符名称
+ * 相同的表达式共用一个占位符，名称冲突时加数字后缀（name、name2），复杂表达式使用 param1、param2...
+ * @param {Array<string>} expressions - 插值表达式的源码
+ * @returns {Array<string>} 与 expressions 一一对应的占位符名称
+ */
+function assignPlaceholderNames(expressions) {
+  const namesByExpression = new Map();
+  const usedNames = new Set();
+  let paramIndex = 0;
+
+  return expressions.map(expression => {
+    const source = expression.replace(/\s+/g, '');
+    if (namesByExpression.has(source)) return namesByExpression.get(source);
+
+    const baseName = getPlaceholderName(expression);
+    let name;
+    if (baseName) {
+      name = baseName;
+      for (let index = 2; usedNames.has(name); index++) {
+        name = `${baseName}${index}`;
+      }
+    } else {
+      do {
+        name = `param${++paramIndex}`;
+      } while (usedNames.has(name));
+    }
+
+    usedNames.add(name);
+    namesByExpression.set(source, name);
+    return name;
+  });
+}
+
 /**
  * 提取模板字符串中的变量
- * 将 ${xxx} 转换为 {param1}, {param2}...
+ * 将 ${xxx} 转换为 {xxx}，占位符名称见 assignPlaceholderNames
  * @param {string} template
- * @returns {Object} { text: '转换后的文本', params: ['param1', 'param2'], hasChinese: boolean }
+ * @returns {Object} { text: '转换后的文本', params: [{ name, expr }]（与插值一一对应，相同表达式的 name 相同）, hasChinese: boolean }
  */
 function extractTemplateVars(template) {
-  let paramIndex = 1;
-  const params = [];
-
   // 先检查去除变量后的文本是否只包含中文
   const textWithoutVars = template.replace(/\$\{[^}]+\}/g, '');
   const hasChinese = isOnlyChinese(textWithoutVars);
 
   // 匹配 ${...} 格式
-  const text = template.replace(/\$\{([^}]+)\}/g, (match, expr) => {
-    const paramName = `param${paramIndex}`;
-    params.push({ name: paramName, expr: expr.trim() });
-    paramIndex++;
-    return `{${paramName}}`;
-  });
+  const expressions = [];
+  template.replace(/\$\{([^}]+)\}/g, (match, expr) => expressions.push(expr.trim()));
+  const names = assignPlaceholderNames(expressions);
+  const params = expressions.map((expr, index) => ({ name: names[index], expr }));
+
+  let paramIndex = 0;
+  const text = template.replace(/\$\{([^}]+)\}/g, () => `{${names[paramIndex++]}}`);
 
   return { text, params, hasChinese };
 }
 
+/**
+ * 将文本中的占位符替换为序号，占位符名称不同、其余部分相同的文本结果相同
+ * 如 '共{total}条，第{page}页' → '共{0}条，第{1}页'
+ * @param {string} text
+ * @returns {Object} { normalized, names: 按首次出现顺序排列的占位符名称 }
+ */
+function normalizePlaceholders(text) {
+  const names = [];
+  const normalized = text.replace(/\{([\w$]+)\}/g, (match, name) => {
+    let index = names.indexOf(name);
+    if (index === -1) {
+      index = names.push(name) - 1;
+    }
+    return `{${index}}`;
+  });
+  return { normalized, names };
+}
+
+/**
+ * 建立归一化索引：归一化的文本（占位符也统一为序号）→ 语言包中的文本
+ * 用于匹配只有空白或全角/半角不同的文本（见 textMatch）
+ * @param {Map} i18nMap - flattenI18nObject 的结果
+ * @returns {Map}
+ */
+function indexNormalizedTexts(i18nMap) {
+  const index = new Map();
+  for (const text of i18nMap.keys()) {
+    const normalized = normalizeText(normalizePlaceholders(text).normalized);
+    if (!index.has(normalized)) {
+      index.set(normalized, text);
+    }
+  }
+  return index;
+}
+
+/**
+ * 建立占位符索引：统一形式 → 语言包中的文本（用于匹配占位符名称不同的条目）
+ * @param {Map} i18nMap - flattenI18nObject 的结果
+ * @returns {Map}
+ */
+function indexPlaceholderTexts(i18nMap) {
+  const index = new Map();
+  for (const text of i18nMap.keys()) {
+    const { normalized, names } = normalizePlaceholders(text);
+    if (names.length > 0 && !index.has(normalized)) {
+      index.set(normalized, text);
+    }
+  }
+  return index;
+}
+
 /**
  * 展平嵌套对象，生成中文到 key 路径的映射
  * 当同一个中文有多个映射时，将它们都保存为数组
@@ -87,22 +188,22 @@ function flattenI18nObject(obj, prefix = '', result = new Map()) {
       // 递归处理嵌套对象
       flattenI18nObject(value, fullKey, result);
     } else if (typeof value === 'string') {
-      // 检测并去掉冒号后缀
-      const { textWithoutColon } = detectColonSuffix(value);
+      // 去掉保留为字符串的词缀（如冒号后缀）
+      const text = stripLocaleAffixes(value);
 
       // 如果该中文已存在，将新的 key 添加到数组中
-      const existing = result.get(textWithoutColon);
+      const existing = result.get(text);
       if (existing) {
         if (Array.isArray(existing)) {
           // 已经是数组，添加新的 key
           existing.push(fullKey);
         } else {
           // 转换为数组
-          result.set(textWithoutColon, [existing, fullKey]);
+          result.set(text, [existing, fullKey]);
         }
       } else {
         // 首次出现，直接保存
-        result.set(textWithoutColon, fullKey);
+        result.set(text, fullKey);
       }
     }
   }
@@ -110,264 +211,788 @@ function flattenI18nObject(obj, prefix = '', result = new Map()) {
 }
 
 /**
- * 全局 i18n 映射表
+ * 展平语言包对象：key 路径 → 文本（只保留字符串值，词缀（如冒号后缀）保持不变）
+ * @param {Object} messages
+ * @param {string} prefix
+ * @param {Map} entries
+ * @returns {Map}
+ */
+function flattenLocaleTexts(messages, prefix = '', entries = new Map()) {
+  for (const [key, value] of Object.entries(messages)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenLocaleTexts(value, keyPath, entries);
+    } else if (typeof value === 'string') {
+      entries.set(keyPath, value);
+    }
+  }
+  return entries;
+}
+
+/**
+ * 创建转换状态（映射表、选项、统计等）
+ * CLI 使用一份全局状态；convertSource 等 API 在独立的状态中运行，互不影响
+ * @returns {Object}
+ */
+function createConvertState() {
+  return {
+    // i18n 映射表（中文 -> key 或 [key1, key2, ...]）
+    i18nMap: new Map(),
+    // key -> 语言包中的文本（revert 命令使用）
+    localeTexts: new Map(),
+    // 占位符索引（见 indexPlaceholderTexts）
+    placeholderTexts: new Map(),
+    // 归一化索引（见 indexNormalizedTexts）和相近文本建议的缓存
+    normalizedTexts: new Map(),
+    suggestionCache: new Map(),
+    // 语言包读取过的文件（拆分的语言包包括 import 的文件）
+    localeFiles: new Set(),
+    // 转换统计（批量转换时用于汇总）
+    conversionStats: { converted: 0, unmatched: 0, generated: 0 },
+    // 文本收集器：设置后每个被检测到的中文文本都会回调一次
+    textCollector: null,
+    // 当前转换的文件（用于选择离文件最近的命名空间）
+    currentFile: null,
+    // key 生成器：设置后未匹配的文本使用生成的 key（--generate-keys）
+    keyGenerator: null,
+    // 诊断信息：设置为数组后日志不再输出到控制台，而是收集到数组中
+    diagnostics: null,
+    // 转换选项
+    skipUnmatched: false,
+    // key 的选择规则（见 selectKey）
+    matchPaths: [],
+    namespacePriority: DEFAULT_OPTIONS.namespacePriority,
+    preferNearestNamespace: false,
+    i18nCall: null,
+    templateCall: '$t',
+    componentI18nCall: 'this.$t',
+    setupI18nCall: 't',
+    useI18nImportPath: 'vue-i18n',
+    moduleI18nCall: 'i18n.t',
+    i18nImportPath: '@/i18n',
+    ignorePatterns: [],
+    // 忽略规则（见 setConvertOptions）
+    ignoreCallees: DEFAULT_OPTIONS.ignoreCallees,
+    ignoreComparisons: true,
+    ignoreSwitchCases: true,
+    ignoreAttributes: [],
+    ignoreComponents: [],
+    // 词缀规则（见 splitAffixes）
+    affixRules: normalizeAffixRules(DEFAULT_OPTIONS.affixes)
+  };
+}
+
+/**
+ * 当前转换状态
  */
-let i18nMap = new Map();
+let state = createConvertState();
 
 /**
- * 未匹配的中文文本集合（使用 Set 避免重复）
+ * 在一份全新的转换状态中执行函数，结束后恢复原状态
+ * 执行期间的日志会被收集为诊断信息，不输出到控制台
+ * @param {Function} fn
+ * @returns {*} fn 的返回值
  */
-let unmatchedTexts = new Set();
+function runWithIsolatedState(fn) {
+  const previousState = state;
+  state = createConvertState();
+  state.diagnostics = [];
+  try {
+    return fn();
+  } finally {
+    state = previousState;
+  }
+}
+
+/**
+ * 获取当前状态收集到的诊断信息
+ * @returns {Array<Object>} [{ level, message }]
+ */
+function getDiagnostics() {
+  return state.diagnostics ? state.diagnostics.slice() : [];
+}
 
 /**
- * 转换选项
+ * 输出一条日志；在独立状态中运行时收集为诊断信息
+ * @param {string} level - 'info' | 'warning' | 'error'
+ * @param {string} message
  */
-let skipUnmatched = false;
-let matchPath = null;
+function logDiagnostic(level, message) {
+  if (state.diagnostics) {
+    state.diagnostics.push({ level, message });
+    return;
+  }
+
+  if (level === 'error') {
+    console.error(message);
+  } else if (level === 'warning') {
+    console.warn(`⚠ ${message}`);
+  } else {
+    console.log(`✓ ${message}`);
+  }
+}
 
 /**
  * 设置转换选项
  * @param {Object} options - 选项对象
  * @param {boolean} options.skipUnmatched - 是否跳过未匹配的文本
- * @param {string} options.matchPath - 匹配的路径前缀（如 'pda'、'pda.barcode'）
+ * @param {string|Array<string>} options.matchPath - 匹配的路径前缀（如 'pda'、'pda.barcode'），多个前缀按顺序优先
+ * @param {Array<string>} options.namespacePriority - 同一文本对应多个 key 时优先使用的命名空间（默认 ['common']，始终匹配）
+ * @param {boolean} options.preferNearestNamespace - 优先使用与文件所在目录同名的命名空间（如 views/pda/** → pda.*）
+ * @param {string} options.i18nCall - script 中固定使用的 i18n 调用（默认 null，根据上下文选择）
+ * @param {string} options.templateCall - template 中使用的 i18n 调用（默认 '$t'）
+ * @param {string} options.componentI18nCall - Options API 组件方法中使用的 i18n 调用（默认 'this.$t'）
+ * @param {string} options.setupI18nCall - <script setup> 和 setup() 中使用的 i18n 调用（默认 't'，来自 useI18n()）
+ * @param {string} options.useI18nImportPath - useI18n 的导入路径（默认 'vue-i18n'）
+ * @param {string} options.moduleI18nCall - 模块作用域和独立 js/ts 模块中使用的 i18n 调用（默认 'i18n.t'）
+ * @param {string} options.i18nImportPath - i18n 实例的导入路径（默认 '@/i18n'）
+ * @param {Array<string|RegExp>} options.ignore - 不转换的中文文本（字符串按正则处理）
+ * @param {Array<string>} options.ignoreCallees - 不转换传给这些函数的字符串（如 'logger.*'、'$emit'、'RegExp'）
+ * @param {boolean} options.ignoreComparisons - 不转换 ===、!== 等比较中的字符串（默认 true）
+ * @param {boolean} options.ignoreSwitchCases - 不转换 switch 的 case 值（默认 true）
+ * @param {Array<string>} options.ignoreAttributes - 不转换的 template 属性名（如 'title'）
+ * @param {Array<string>} options.ignoreComponents - 不转换的 template 组件及其子节点（如 'el-icon'）
  */
 function setConvertOptions(options = {}) {
-  skipUnmatched = options.skipUnmatched || false;
-  matchPath = options.matchPath || null;
+  state.skipUnmatched = options.skipUnmatched || false;
+  state.matchPaths = [].concat(options.matchPath || []);
+  state.namespacePriority = options.namespacePriority || DEFAULT_OPTIONS.namespacePriority;
+  state.preferNearestNamespace = options.preferNearestNamespace || false;
+  state.i18nCall = options.i18nCall || null;
+  state.templateCall = options.templateCall || '$t';
+  state.componentI18nCall = options.componentI18nCall || 'this.$t';
+  state.setupI18nCall = options.setupI18nCall || 't';
+  state.useI18nImportPath = options.useI18nImportPath || 'vue-i18n';
+  state.moduleI18nCall = options.moduleI18nCall || 'i18n.t';
+  state.i18nImportPath = options.i18nImportPath || '@/i18n';
+  state.ignorePatterns = (options.ignore || []).map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(pattern)));
+  state.ignoreCallees = options.ignoreCallees || DEFAULT_OPTIONS.ignoreCallees;
+  state.ignoreComparisons = options.ignoreComparisons !== false;
+  state.ignoreSwitchCases = options.ignoreSwitchCases !== false;
+  state.ignoreAttributes = options.ignoreAttributes || [];
+  state.ignoreComponents = options.ignoreComponents || [];
+  state.affixRules = normalizeAffixRules(options.affixes || DEFAULT_OPTIONS.affixes);
+}
+
+/**
+ * 获取 i18n 调用名称
+ * @returns {Object} { i18nCall: script 中固定的调用（null 表示根据上下文选择）, templateCall: template 中的调用,
+ *   componentI18nCall: 组件方法中的调用, setupI18nCall: setup 中的调用, useI18nImportPath: useI18n 的导入路径,
+ *   moduleI18nCall: 模块作用域中的调用, i18nImportPath: i18n 实例的导入路径 }
+ */
+function getI18nCallNames() {
+  return {
+    i18nCall: state.i18nCall,
+    templateCall: state.templateCall,
+    componentI18nCall: state.componentI18nCall,
+    setupI18nCall: state.setupI18nCall,
+    useI18nImportPath: state.useI18nImportPath,
+    moduleI18nCall: state.moduleI18nCall,
+    i18nImportPath: state.i18nImportPath
+  };
 }
 
 /**
- * 加载 zh.js 语言包文件（支持 CommonJS 和 ES6 模块）
- * @param {string} zhFilePath - zh.js 文件路径
+ * 检查文本是否命中忽略规则
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isIgnoredText(text) {
+  return state.ignorePatterns.some(pattern => pattern.test(text));
+}
+
+/**
+ * 检查调用是否命中忽略规则
+ * 规则中的 * 匹配一段名称，规则可以只写调用名称的结尾部分（'$emit' 也匹配 'this.$emit'）
+ * @param {string|null} calleeName - 调用名称（如 'this.$emit'、'logger.info'）
+ * @returns {boolean}
+ */
+function isIgnoredCallee(calleeName) {
+  if (!calleeName) return false;
+  return state.ignoreCallees.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[\\w$]*');
+    return new RegExp(`(^|\\.)${source}$`).test(calleeName);
+  });
+}
+
+/**
+ * 获取 script 中的忽略规则
+ * @returns {Object} { ignoreComparisons, ignoreSwitchCases }
+ */
+function getIgnoreRules() {
+  return {
+    ignoreComparisons: state.ignoreComparisons,
+    ignoreSwitchCases: state.ignoreSwitchCases
+  };
+}
+
+/**
+ * 检查 template 属性是否命中忽略规则（绑定属性按参数名比较，如 :title 按 title）
+ * @param {string} name - 属性名
+ * @returns {boolean}
+ */
+function isIgnoredAttribute(name) {
+  const attrName = name.replace(/^(:|v-bind:)/, '');
+  return state.ignoreAttributes.includes(attrName);
+}
+
+/**
+ * 检查 template 组件是否命中忽略规则（el-icon 和 ElIcon 视为同一个组件）
+ * @param {string} tag - 标签名
+ * @returns {boolean}
+ */
+function isIgnoredComponent(tag) {
+  const normalize = name => name.replace(/-/g, '').toLowerCase();
+  return state.ignoreComponents.some(component => normalize(component) === normalize(tag));
+}
+
+/**
+ * 直接使用语言包对象作为映射表（不读取文件）
+ * @param {Object} messages - 语言包对象
+ */
+function setI18nMessages(messages) {
+  setLocaleMessages(messages || {});
+}
+
+/**
+ * 根据语言包对象设置映射表（中文 -> key）和 key 对应的文本
+ * @param {Object} messages - 语言包对象
+ */
+function setLocaleMessages(messages) {
+  setI18nMap(flattenI18nObject(messages));
+  state.localeTexts = flattenLocaleTexts(messages);
+}
+
+/**
+ * 设置 i18n 映射表，并建立占位符索引和归一化索引
+ * @param {Map} i18nMap
+ */
+function setI18nMap(i18nMap) {
+  state.i18nMap = i18nMap;
+  state.placeholderTexts = indexPlaceholderTexts(i18nMap);
+  state.normalizedTexts = indexNormalizedTexts(i18nMap);
+  state.suggestionCache = new Map();
+}
+
+/**
+ * 加载语言包（js/ts 模块、JSON、YAML 或按模块拆分的目录，见 localeLoader）
+ * @param {string|null} zhFilePath - 语言包文件或目录路径，传 null 时清空映射表
  */
 function loadI18nMap(zhFilePath) {
+  if (!zhFilePath) {
+    setLocaleMessages({});
+    state.localeFiles = new Set();
+    return;
+  }
+
   try {
-    const fs = require('fs');
-    const path = require('path');
-
-    // 读取文件内容
-    let fileContent = fs.readFileSync(zhFilePath, 'utf8');
-    let zhData;
-
-    // 检测是否为 ES6 模块（export default）
-    if (fileContent.includes('export default')) {
-      // 将 ES6 语法转换为 CommonJS
-      fileContent = fileContent.replace(/export\s+default\s+/, 'module.exports = ');
-
-      // 创建临时文件（使用绝对路径）
-      const absolutePath = path.resolve(zhFilePath);
-      const tmpPath = path.join(path.dirname(absolutePath), `.tmp_${path.basename(zhFilePath)}`);
-      fs.writeFileSync(tmpPath, fileContent, 'utf8');
-
-      try {
-        // 加载临时文件（直接使用绝对路径）
-        delete require.cache[tmpPath];
-        zhData = require(tmpPath);
-
-        // 删除临时文件
-        fs.unlinkSync(tmpPath);
-      } catch (err) {
-        // 确保删除临时文件
-        if (fs.existsSync(tmpPath)) {
-          fs.unlinkSync(tmpPath);
-        }
-        throw err;
-      }
-    } else {
-      // CommonJS 模块，直接 require
-      const absolutePath = path.resolve(zhFilePath);
-      delete require.cache[absolutePath];
-      zhData = require(absolutePath);
+    const { loadLocaleMessages } = require('./localeLoader');
+    const { messages, files, diagnostics } = loadLocaleMessages(zhFilePath);
+
+    setLocaleMessages(messages);
+    state.localeFiles = files;
+    logDiagnostic('info', `已加载语言包: ${zhFilePath}，共 ${state.i18nMap.size} 个映射`);
+    // 无法静态求值的内容不影响其他 key，逐条输出位置
+    for (const { file, line, column, message } of diagnostics) {
+      logDiagnostic('warning', `语言包中的内容已跳过 ${path.relative(process.cwd(), file)}:${line}:${column}: ${message}`);
+    }
+  } catch (error) {
+    logDiagnostic('warning', `无法加载语言包文件: ${zhFilePath}\n错误信息: ${error.message}`);
+    setLocaleMessages({});
+    state.localeFiles = new Set();
+  }
+}
+
+/**
+ * 获取当前语言包读取过的文件（批量转换时跳过这些文件）
+ * @returns {Set<string>} 绝对路径
+ */
+function getLocaleFiles() {
+  return state.localeFiles;
+}
+
+/**
+ * 设置文本收集器
+ * @param {Function|null} collector - (record) => void，record 为 { text, key, matched, generated, reason: 未匹配的原因, candidates: 语言包中的候选 key, selectedBy, rejected: 多个 key 时的选择依据和没有选择的 key, localeText, suggestions, ...meta }（见 getKeyForChinese），传 null 取消
+ * @returns {Function|null} 之前的收集器（便于嵌套使用时恢复）
+ */
+function setTextCollector(collector) {
+  const previousCollector = state.textCollector;
+  state.textCollector = collector;
+  return previousCollector;
+}
+
+/**
+ * 设置 key 生成器
+ * @param {Function|null} generator - (chineseText) => key，返回 null 时按未匹配处理；传 null 取消
+ * @returns {Function|null} 之前的生成器
+ */
+function setKeyGenerator(generator) {
+  const previousGenerator = state.keyGenerator;
+  state.keyGenerator = generator;
+  return previousGenerator;
+}
+
+/**
+ * 设置当前转换的文件
+ * @param {string|null} filePath
+ * @returns {string|null} 之前的文件
+ */
+function setCurrentFile(filePath) {
+  const previousFile = state.currentFile;
+  state.currentFile = filePath;
+  return previousFile;
+}
+
+/**
+ * 获取语言包中所有的 key
+ * @returns {Set<string>}
+ */
+function getI18nKeys() {
+  const keys = new Set();
+  for (const keyOrKeys of state.i18nMap.values()) {
+    for (const key of [].concat(keyOrKeys)) {
+      keys.add(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * 重置转换统计
+ */
+function resetConversionStats() {
+  state.conversionStats = { converted: 0, unmatched: 0, generated: 0 };
+}
+
+/**
+ * 获取转换统计
+ * @returns {Object} { converted: 已转换的文本数, unmatched: 未匹配的文本数, generated: 生成 key 的文本数 }
+ */
+function getConversionStats() {
+  return { ...state.conversionStats };
+}
+
+/**
+ * 处理未匹配的文本，并根据 skipUnmatched 决定使用的 key（设置了 key 生成器时使用生成的 key）
+ * @param {string} chineseText
+ * @returns {Object} { key: string|null, generated: 是否是生成的 key }
+ */
+function handleUnmatched(chineseText) {
+  // 开启 key 生成时使用生成的 key，不再记录为未匹配
+  const generatedKey = state.keyGenerator ? state.keyGenerator(chineseText) : null;
+  if (generatedKey !== null) {
+    state.conversionStats.generated++;
+    state.conversionStats.converted++;
+    return { key: generatedKey, generated: true };
+  }
+
+  state.conversionStats.unmatched++;
+
+  // 如果设置了跳过未匹配文本，返回 null 表示不转换
+  if (state.skipUnmatched) {
+    return { key: null, generated: false };
+  }
+
+  state.conversionStats.converted++;
+  return { key: chineseText, generated: false };
+}
+
+/**
+ * 整理词缀规则
+ * - { suffix: '！' }：结尾的 '！' 保留为字符串，只翻译前面的文本
+ * - { prefix: '请输入', translate: true }：开头的 '请输入' 单独翻译（语言包中有对应的 key 时）
+ * - prefix / suffix 为字符串时按原文匹配，为正则时匹配开头或结尾（如 { suffix: /[！!]+/ }）
+ * @param {Array<Object>} affixes
+ * @returns {Array<Object>} [{ position: 'prefix' | 'suffix', pattern: string | RegExp, translate }]
+ */
+function normalizeAffixRules(affixes) {
+  return affixes.map(rule => {
+    const position = rule && ['prefix', 'suffix'].filter(name => rule[name] !== undefined);
+    if (!position || position.length !== 1 || !rule[position[0]]) {
+      throw new Error(`词缀规则需要且只能设置 prefix 或 suffix 中的一个: ${JSON.stringify(rule)}`);
     }
 
-    // 处理可能的 default 包装
-    if (zhData && zhData.default) {
-      zhData = zhData.default;
+    let pattern = rule[position[0]];
+    if (pattern instanceof RegExp) {
+      const source = position[0] === 'prefix' ? `^(?:${pattern.source})` : `(?:${pattern.source})$`;
+      pattern = new RegExp(source, pattern.flags.replace(/[gy]/g, ''));
+    } else if (typeof pattern !== 'string') {
+      throw new Error(`词缀规则的 ${position[0]} 需要是字符串或正则: ${JSON.stringify(rule)}`);
     }
 
-    i18nMap = flattenI18nObject(zhData);
-    console.log(`✓ 已加载语言包: ${zhFilePath}，共 ${i18nMap.size} 个映射`);
-  } catch (error) {
-    console.warn(`⚠ 无法加载语言包文件: ${zhFilePath}`);
-    console.warn(`错误信息: ${error.message}`);
-    i18nMap = new Map();
+    return { position: position[0], pattern, translate: rule.translate === true };
+  });
+}
+
+/**
+ * 获取文本开头或结尾命中词缀规则的部分
+ * @param {Object} rule - 整理后的词缀规则
+ * @param {string} text
+ * @returns {string|null}
+ */
+function matchAffix(rule, text) {
+  const { position, pattern } = rule;
+  if (typeof pattern === 'string') {
+    const matched = position === 'prefix' ? text.startsWith(pattern) : text.endsWith(pattern);
+    return matched ? pattern : null;
   }
+
+  const match = text.match(pattern);
+  return match && match[0] ? match[0] : null;
 }
 
 /**
- * 重置未匹配文本集合
+ * 按词缀规则拆分文本，如 '请输入用户名！' → '请输入'（单独翻译）+ '用户名' + '！'（保留为字符串）
+ * - 整个文本在语言包中有对应的 key 时不拆分
+ * - 拆分后剩下的文本必须包含中文；词缀中不能包含占位符（如 {name}）
+ * - 单独翻译的词缀只在它和剩下的文本都能匹配到 key、而整个文本匹配不到时才拆分
+ * - 没有命中词缀规则时，结尾的标点在去掉后能匹配到 key 时保留为字符串（'请输入用户名。' → '请输入用户名' + '。'）
+ * @param {string} text
+ * @returns {Array<Object>} 按原文顺序排列的各部分 [{ text, translate: 是否翻译, core: 是否是核心文本 }]
  */
-function resetUnmatchedTexts() {
-  unmatchedTexts.clear();
+function splitAffixes(text) {
+  const { prefixes, core, suffixes } = peelAffixes(text);
+  return [...prefixes, { text: core, translate: true, core: true }, ...suffixes];
 }
 
 /**
- * 检测字符串是否以冒号结尾
- * @param {string} str
- * @returns {Object} { hasColonSuffix: boolean, colonChar: string, textWithoutColon: string }
+ * 去掉语言包文本两端保留为字符串的词缀（不拆分单独翻译的词缀），如 '用户名：' → '用户名'
+ * 代码中的 '用户名：' 按同样的规则拆分后匹配到该条目（见 splitAffixes）
+ * @param {string} text - 语言包中的文本
+ * @returns {string}
  */
-function detectColonSuffix(str) {
-  if (!str || typeof str !== 'string') {
-    return { hasColonSuffix: false, colonChar: '', textWithoutColon: str };
+function stripLocaleAffixes(text) {
+  for (const rule of state.affixRules) {
+    if (rule.translate) continue;
+
+    const affix = matchAffix(rule, text);
+    if (!affix || affix === text || /\{\w+\}/.test(affix)) continue;
+
+    const rest = rule.position === 'prefix' ? text.slice(affix.length) : text.slice(0, -affix.length);
+    if (isOnlyChinese(rest)) return stripLocaleAffixes(rest);
   }
+  return text;
+}
+
+/**
+ * 依次拆出文本两端命中词缀规则的部分（见 splitAffixes）
+ * @param {string} text
+ * @returns {Object} { prefixes, core, suffixes }
+ */
+function peelAffixes(text) {
+  if (!state.i18nMap.has(text)) {
+    for (const rule of state.affixRules) {
+      const affix = matchAffix(rule, text);
+      if (!affix || affix === text || /\{\w+\}/.test(affix)) continue;
+
+      const rest = rule.position === 'prefix' ? text.slice(affix.length) : text.slice(0, -affix.length);
+      if (!isOnlyChinese(rest)) continue;
+      if (rule.translate && (findKeyForChinese(affix) === null || findKeyForChinese(text) !== null)) continue;
+
+      const peeled = peelAffixes(rest);
+      if (rule.translate && findKeyForChinese(peeled.core) === null) continue;
+
+      const part = { text: affix, translate: rule.translate, core: false };
+      if (rule.position === 'prefix') {
+        peeled.prefixes.unshift(part);
+      } else {
+        peeled.suffixes.push(part);
+      }
+      return peeled;
+    }
 
-  // 检测中文冒号或英文冒号
-  if (str.endsWith('：')) {
-    return {
-      hasColonSuffix: true,
-      colonChar: '：',
-      textWithoutColon: str.slice(0, -1)
-    };
-  } else if (str.endsWith(':')) {
-    return {
-      hasColonSuffix: true,
-      colonChar: ':',
-      textWithoutColon: str.slice(0, -1)
-    };
+    const { core, punctuation } = splitTrailingPunctuation(text);
+    if (punctuation && isOnlyChinese(core) && findKeyForChinese(text) === null) {
+      const peeled = peelAffixes(core);
+      if (findKeyForChinese(peeled.core) !== null) {
+        peeled.suffixes.push({ text: punctuation, translate: false, core: false });
+        return peeled;
+      }
+    }
   }
 
-  return { hasColonSuffix: false, colonChar: '', textWithoutColon: str };
+  return { prefixes: [], core: text, suffixes: [] };
+}
+
+/**
+ * 检查 key 是否属于指定的命名空间（如 'pda' 或 'pda.barcode'）
+ * @param {string} key
+ * @param {string} namespace
+ * @returns {boolean}
+ */
+function isKeyInNamespace(key, namespace) {
+  return key.startsWith(namespace + '.');
 }
 
 /**
  * 检查 key 是否匹配指定的路径前缀
+ * 没有设置 --match-path 时匹配所有 key；namespacePriority 中的命名空间（默认 common）始终匹配
  * @param {string} key - i18n key（如 'common.title', 'pda.scan'）
  * @returns {boolean} 是否匹配
  */
 function isKeyPathMatched(key) {
-  // 如果没有设置 matchPath，匹配所有 key
-  if (!matchPath) {
+  const { matchPaths, namespacePriority } = state;
+  if (matchPaths.length === 0) {
     return true;
   }
+  return [...namespacePriority, ...matchPaths].some(namespace => isKeyInNamespace(key, namespace));
+}
 
-  // common. 前缀始终匹配
-  if (key.startsWith('common.')) {
-    return true;
+/**
+ * 获取当前文件所在的各级目录名（由近到远），用于选择离文件最近的命名空间
+ * @returns {Array<string>}
+ */
+function getCurrentDirectoryNames() {
+  if (!state.currentFile) return [];
+  const relativeDir = path.relative(process.cwd(), path.dirname(path.resolve(state.currentFile)));
+  return relativeDir.split(path.sep).filter(name => name && name !== '..').reverse();
+}
+
+/**
+ * 在同一文本对应的多个 key 中选择一个（只考虑匹配路径前缀的 key），依次按：
+ * 1. nearest：与文件所在目录同名、且目录离文件最近的命名空间（开启 preferNearestNamespace 时）
+ * 2. priority：namespacePriority 中靠前的命名空间
+ * 3. match-path：--match-path 中靠前的前缀
+ * 4. first：语言包中第一个出现的 key
+ * @param {Array<string>} keys - 语言包中该文本对应的所有 key
+ * @returns {Object|null} { key, selectedBy: 选择依据（只有一个 key 时为 null）, rejected: 没有选择的 key }，都不匹配时返回 null
+ */
+function selectKey(keys) {
+  const allowed = keys.filter(isKeyPathMatched);
+  if (allowed.length === 0) {
+    return null;
   }
 
-  // 检查是否匹配指定的前缀
-  // matchPath 可以是 'pda' 或 'pda.barcode' 等
-  // 匹配规则：key 以 'matchPath.' 开头
-  if (key.startsWith(matchPath + '.')) {
-    return true;
+  let key = null;
+  let selectedBy = null;
+  const findIn = (namespaces, rule) => {
+    for (const namespace of namespaces) {
+      key = allowed.find(k => isKeyInNamespace(k, namespace));
+      if (key) {
+        selectedBy = rule;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  if (keys.length === 1) {
+    key = keys[0];
+  } else if (!(state.preferNearestNamespace && findIn(getCurrentDirectoryNames(), 'nearest')) &&
+    !findIn(state.namespacePriority, 'priority') &&
+    !findIn(state.matchPaths, 'match-path')) {
+    key = allowed[0];
+    selectedBy = 'first';
   }
 
-  return false;
+  return { key, selectedBy, rejected: keys.filter(k => k !== key) };
 }
 
 /**
- * 根据中文获取对应的 key
- * 当有多个映射时，按照优先级选择：common > matchPath > 其他
+ * 在映射表中查找中文对应的 key，并记录选择依据（见 selectKey）
  * @param {string} chineseText - 中文文本
- * @returns {string|null} 如果找到映射返回 key；未找到时：skipUnmatched=true 返回 null，skipUnmatched=false 返回原中文
+ * @returns {Object|null} { key, selectedBy, rejected }，找不到或路径前缀不匹配时返回 null
  */
-function getKeyForChinese(chineseText) {
-  if (i18nMap.has(chineseText)) {
-    const keyOrKeys = i18nMap.get(chineseText);
-
-    // 如果是单个 key（字符串）
-    if (typeof keyOrKeys === 'string') {
-      // 检查 key 是否匹配指定的路径前缀
-      if (!isKeyPathMatched(keyOrKeys)) {
-        // key 存在但路径前缀不匹配，视为未匹配
-        unmatchedTexts.add(chineseText);
+function resolveKeyForChinese(chineseText) {
+  const localeText = findLocaleText(chineseText);
+  if (localeText === null) {
+    return null;
+  }
+  return selectKey([].concat(state.i18nMap.get(localeText)));
+}
 
-        if (skipUnmatched) {
-          return null;
-        }
+/**
+ * 在映射表中查找中文对应的 key
+ * @param {string} chineseText - 中文文本
+ * @returns {string|null} 找到且路径前缀匹配时返回 key，否则返回 null
+ */
+function findKeyForChinese(chineseText) {
+  const selection = resolveKeyForChinese(chineseText);
+  return selection ? selection.key : null;
+}
 
-        return chineseText;
-      }
+/**
+ * 在语言包中查找文本，找不到时依次按占位符结构（'共{count}条' 可以匹配 '共{total}条'）
+ * 和归一化后的文本（'请输入 用户名' 可以匹配 '请输入用户名'）查找
+ * @param {string} chineseText
+ * @returns {string|null} 语言包中的文本
+ */
+function findLocaleText(chineseText) {
+  if (state.i18nMap.has(chineseText)) {
+    return chineseText;
+  }
+  const { normalized, names } = normalizePlaceholders(chineseText);
+  if (names.length > 0 && state.placeholderTexts.has(normalized)) {
+    return state.placeholderTexts.get(normalized);
+  }
+  return state.normalizedTexts.get(normalizeText(normalized)) || null;
+}
 
-      return keyOrKeys;
-    }
+/**
+ * 转换报告中每个未匹配文本最多列出的相近文本建议数
+ */
+const MAX_SUGGESTIONS = 3;
 
-    // 如果是多个 key（数组），按优先级选择
-    if (Array.isArray(keyOrKeys)) {
-      // 优先级 1: common. 前缀
-      const commonKey = keyOrKeys.find(k => k.startsWith('common.'));
-      if (commonKey) {
-        return commonKey;
-      }
+/**
+ * 查找语言包中与未匹配文本相近的条目（按编辑距离排列），只作为建议，不会自动使用
+ * @param {string} chineseText
+ * @returns {Array<Object>} [{ key, text }]
+ */
+function getSuggestions(chineseText) {
+  if (!state.suggestionCache.has(chineseText)) {
+    const normalized = normalizeText(normalizePlaceholders(chineseText).normalized);
+    const suggestions = findSimilarTexts(normalized, state.normalizedTexts, MAX_SUGGESTIONS)
+      .flatMap(({ text }) => [].concat(state.i18nMap.get(text)).map(key => ({ key, text })))
+      .slice(0, MAX_SUGGESTIONS);
+    state.suggestionCache.set(chineseText, suggestions);
+  }
+  return state.suggestionCache.get(chineseText);
+}
 
-      // 优先级 2: matchPath 前缀
-      if (matchPath) {
-        const matchPathKey = keyOrKeys.find(k => k.startsWith(matchPath + '.'));
-        if (matchPathKey) {
-          return matchPathKey;
-        }
-      }
+/**
+ * 获取匹配到的语言包条目中使用的占位符名称
+ * 文本按占位符结构匹配到 key 时，生成的参数需要使用语言包中的名称
+ * @param {string} chineseText - 代码中的文本（如 '共{count}条'）
+ * @param {string} key - getKeyForChinese 返回的 key
+ * @returns {Map|null} 代码中的占位符名称 → 语言包中的名称，名称相同或 key 不是来自该条目时返回 null
+ */
+function getLocalePlaceholderNames(chineseText, key) {
+  const localeText = findLocaleText(chineseText);
+  if (localeText === null || localeText === chineseText) {
+    return null;
+  }
 
-      // 优先级 3: 使用第一个
-      const selectedKey = keyOrKeys[0];
+  const keyOrKeys = state.i18nMap.get(localeText);
+  if (!(Array.isArray(keyOrKeys) ? keyOrKeys.includes(key) : keyOrKeys === key)) {
+    return null;
+  }
 
-      // 检查选中的 key 是否匹配路径前缀
-      if (!isKeyPathMatched(selectedKey)) {
-        unmatchedTexts.add(chineseText);
+  const { names } = normalizePlaceholders(chineseText);
+  const localeNames = normalizePlaceholders(localeText).names;
+  return new Map(names.map((name, index) => [name, localeNames[index]]));
+}
 
-        if (skipUnmatched) {
-          return null;
-        }
+/**
+ * 获取语言包中该文本对应的所有 key（不考虑 --match-path），用于转换报告
+ * @param {string} chineseText
+ * @returns {Array<string>}
+ */
+function getCandidateKeys(chineseText) {
+  const localeText = findLocaleText(chineseText);
+  if (localeText === null) {
+    return [];
+  }
+  const keyOrKeys = state.i18nMap.get(localeText);
+  return Array.isArray(keyOrKeys) ? keyOrKeys.slice() : [keyOrKeys];
+}
 
-        return chineseText;
-      }
+/**
+ * 获取文本未匹配的原因（见 report.js 中的 REASON_LABELS）
+ * @param {Array<string>} candidates - getCandidateKeys 的结果
+ * @returns {string} 'no-locale'、'match-path' 或 'not-found'
+ */
+function getUnmatchedReason(candidates) {
+  if (state.i18nMap.size === 0) return 'no-locale';
+  return candidates.length > 0 ? 'match-path' : 'not-found';
+}
 
-      return selectedKey;
-    }
+/**
+ * 根据中文获取对应的 key
+ * 当有多个映射时，按 selectKey 的规则选择（选择依据和没有选择的 key 传给文本收集器）
+ * @param {string} chineseText - 中文文本
+ * @param {Object} meta - 文本的附加信息（传给文本收集器）
+ * @param {string} meta.kind - 文本类型（如 'text'、'attribute'、'literal'）
+ * @param {Object} meta.loc - 在代码块中的位置 { line, column }（line 从 1 开始，column 从 0 开始）
+ * @param {string} meta.sourceText - 按词缀拆分前的原文本（如 '用户名：'，check 输出使用）
+ * @param {string} meta.attribute - 属性文本所在的属性名（如 'title'）
+ * @returns {string|null} 如果找到映射返回 key；未找到时：skipUnmatched=true 返回 null，skipUnmatched=false 返回原中文
+ */
+function getKeyForChinese(chineseText, meta = {}) {
+  // 命中忽略规则的文本不转换，也不计入未匹配
+  if (isIgnoredText(chineseText)) {
+    return null;
   }
 
-  // 记录未匹配的中文文本
-  unmatchedTexts.add(chineseText);
+  const selection = resolveKeyForChinese(chineseText);
+  const matchedKey = selection ? selection.key : null;
+  let key;
+  let generated = false;
+  if (matchedKey !== null) {
+    state.conversionStats.converted++;
+    key = matchedKey;
+  } else {
+    ({ key, generated } = handleUnmatched(chineseText));
+  }
 
-  // 如果设置了跳过未匹配文本，返回 null 表示不转换
-  if (skipUnmatched) {
-    return null;
+  if (state.textCollector) {
+    const matched = matchedKey !== null;
+    const candidates = getCandidateKeys(chineseText);
+    const localeText = candidates.length > 0 ? findLocaleText(chineseText) : null;
+    state.textCollector({
+      text: chineseText,
+      key,
+      matched,
+      generated,
+      reason: matched ? null : getUnmatchedReason(candidates),
+      candidates,
+      selectedBy: selection ? selection.selectedBy : null,
+      rejected: selection ? selection.rejected : [],
+      // 按占位符结构或归一化匹配到的语言包文本（与原文不同时）
+      localeText: localeText !== chineseText ? localeText : null,
+      suggestions: matched || candidates.length > 0 ? [] : getSuggestions(chineseText),
+      ...meta
+    });
   }
 
-  return chineseText;
+  return key;
 }
 
 /**
- * 保存未匹配的文本到 nomatch.txt 文件（追加模式）
- * @param {string} outputDir - 输出目录
+ * 根据 key 获取语言包中的文本（revert 命令使用）
+ * 语言包中没有该 key、但 key 本身是中文时（以中文作为 key 的调用），文本就是 key
+ * @param {string} key
+ * @returns {string|null} 找不到时返回 null
  */
-function saveUnmatchedKeys(outputDir) {
-  if (unmatchedTexts.size === 0) {
-    return;
+function getTextForKey(key) {
+  if (state.localeTexts.has(key)) {
+    return state.localeTexts.get(key);
   }
+  return isOnlyChinese(key) ? key : null;
+}
 
-  const fs = require('fs');
-  const path = require('path');
-  const nomatchPath = path.join(outputDir, 'nomatch.txt');
-
-  // 生成时间戳
-  const timestamp = new Date().toLocaleString('zh-CN', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  });
+/**
+ * 记录 revert 命令中一个 i18n 调用的还原结果（计入转换统计，并传给文本收集器）
+ * @param {string} key - 调用中的 key（动态 key 为参数的源码）
+ * @param {string|null} text - 写回的文本，无法还原时为 null
+ * @param {string|null} reason - 无法还原的原因（见 report.js 中的 REASON_LABELS，没有加载语言包时记录为 'no-locale'）
+ * @param {Object} meta - 同 getKeyForChinese
+ */
+function recordRevertedKey(key, text, reason, meta = {}) {
+  const matched = text !== null;
+  if (matched) {
+    state.conversionStats.converted++;
+  } else {
+    state.conversionStats.unmatched++;
+  }
 
-  // 构建输出内容
-  let content = `\n========== ${timestamp} ==========\n`;
-  content += `未匹配的中文文本 (共 ${unmatchedTexts.size} 个):\n`;
-  // 转义特殊字符，让换行符、制表符等可见
-  content += Array.from(unmatchedTexts).map(text => {
-    const escaped = text
-     // .replace(/\\/g, '\\\\')  // 先转义反斜杠
-      .replace(/\n/g, '\\n')   // 转义换行符
-      .replace(/\r/g, '\\r')   // 转义回车符
-      .replace(/\t/g, '\\t');  // 转义制表符
-    return `'${escaped}'`;
-  }).join('\n');
-  content += '\n';
-
-  // 追加到文件
-  fs.appendFileSync(nomatchPath, content, 'utf8');
-  console.log(`✓ 已将 ${unmatchedTexts.size} 个未匹配的文本追加到: ${nomatchPath}`);
+  if (state.textCollector) {
+    // 没有加载语言包时找不到 key 的原因与转换时相同
+    const noLocale = state.localeTexts.size === 0 && reason === 'key-not-found';
+    state.textCollector({
+      text: key,
+      key: matched ? key : null,
+      matched,
+      generated: false,
+      reason: matched ? null : noLocale ? 'no-locale' : reason,
+      candidates: [],
+      selectedBy: null,
+      rejected: [],
+      localeText: text,
+      suggestions: [],
+      ...meta
+    });
+  }
 }
 
 module.exports = {
@@ -375,10 +1000,29 @@ module.exports = {
   cleanString,
   isAlreadyI18n,
   extractTemplateVars,
+  assignPlaceholderNames,
+  getLocalePlaceholderNames,
   setConvertOptions,
+  isIgnoredCallee,
+  getIgnoreRules,
+  isIgnoredAttribute,
+  isIgnoredComponent,
+  getI18nCallNames,
+  runWithIsolatedState,
+  getDiagnostics,
+  logDiagnostic,
+  setI18nMessages,
   loadI18nMap,
+  getLocaleFiles,
   getKeyForChinese,
-  detectColonSuffix,
-  resetUnmatchedTexts,
-  saveUnmatchedKeys
+  getTextForKey,
+  recordRevertedKey,
+  flattenLocaleTexts,
+  splitAffixes,
+  resetConversionStats,
+  getConversionStats,
+  setTextCollector,
+  setKeyGenerator,
+  setCurrentFile,
+  getI18nKeys
 };
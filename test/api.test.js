@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+
+const locale = { common: { save: '保存' }, user: { name: '用户名' } };
+
+test('convertSource 返回转换结果和每处中文的位置', t => {
+  const log = t.mock.method(console, 'log', () => {});
+  const source = [
+    '<template>',
+    '  <button>保存</button>',
+    '  <p>取消</p>',
+    '</template>',
+    ''
+  ].join('\n');
+
+  const result = convertSource(source, { filename: 'src/App.vue', locale });
+
+  assert.strictEqual(result.changed, true);
+  assert.match(result.code, /<button>\{\{ \$t\('common\.save'\) \}\}<\/button>/);
+  assert.match(result.code, /<p>\{\{ \$t\('取消'\) \}\}<\/p>/);
+  assert.deepStrictEqual(result.replacements.map(({ file, text, key, matched, replaced, block, line, column }) => ({ file, text, key, matched, replaced, block, line, column })), [
+    { file: 'src/App.vue', text: '保存', key: 'common.save', matched: true, replaced: true, block: 'template', line: 2, column: 11 },
+    { file: 'src/App.vue', text: '取消', key: '取消', matched: false, replaced: true, block: 'template', line: 3, column: 6 }
+  ]);
+  assert.deepStrictEqual(result.diagnostics, []);
+  // 不输出日志
+  assert.strictEqual(log.mock.callCount(), 0);
+});
+
+test('skipUnmatched 时未匹配的文本不替换', () => {
+  const result = convertSource('<template>\n  <p>取消</p>\n</template>\n', { locale, skipUnmatched: true });
+
+  assert.strictEqual(result.changed, false);
+  assert.deepStrictEqual(result.replacements.map(({ text, replaced }) => ({ text, replaced })), [{ text: '取消', replaced: false }]);
+});
+
+test('多次调用之间的语言包和选项互不影响', () => {
+  convertSource('<template>\n  <p>保存</p>\n</template>\n', { locale, templateCall: '$tc' });
+  const result = convertSource('<template>\n  <p>保存</p>\n</template>\n');
+
+  assert.match(result.code, /<p>\{\{ \$t\('保存'\) \}\}<\/p>/);
+});
+
+test('解析失败时原样返回代码，错误通过 diagnostics 返回', () => {
+  const source = '<template>\n  <p>保存</p>\n</template>\n<script>\nexport default {\n</script>\n';
+  const result = convertSource(source, { filename: 'Broken.vue', locale });
+
+  assert.strictEqual(result.code, source);
+  assert.strictEqual(result.changed, false);
+  assert.strictEqual(result.diagnostics.length, 1);
+  assert.strictEqual(result.diagnostics[0].level, 'error');
+  assert.match(result.diagnostics[0].message, /^Broken\.vue: Script 解析失败/);
+});
+
+test('同时转换 <script> 和 <script setup>，其他内容保持不变', () => {
+  const source = [
+    '<script>',
+    'export default { name: "App", data() { return { title: "保存" } } }',
+    '</script>',
+    '',
+    '<script setup>',
+    'const msg = "取消"',
+    '</script>',
+    '',
+    '<template>',
+    '  <p>{{ msg }}</p>',
+    '</template>',
+    '',
+    '<style>',
+    '.tip::after { content: "中文"; }',
+    '</style>',
+    ''
+  ].join('\n');
+
+  const { code, replacements } = convertSource(source, { locale, i18nCall: 'i18n.t' });
+
+  assert.match(code, /title: i18n\.t\("common\.save"\)/);
+  assert.match(code, /const msg = i18n\.t\("取消"\)/);
+  assert.ok(code.endsWith('<template>\n  <p>{{ msg }}</p>\n</template>\n\n<style>\n.tip::after { content: "中文"; }\n</style>\n'));
+  assert.deepStrictEqual(replacements.map(({ text, block, line }) => ({ text, block, line })), [
+    { text: '保存', block: 'script', line: 2 },
+    { text: '取消', block: 'scriptSetup', line: 6 }
+  ]);
+});
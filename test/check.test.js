@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkFiles } = require('../src/check');
+
+/**
+ * 在临时目录中创建文件，测试结束后删除
+ * @param {Object} t - 测试上下文
+ * @param {Object} files - 相对路径 → 文件内容
+ * @returns {string} 临时目录
+ */
+function createFixture(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-check-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content, 'utf-8');
+  }
+  return dir;
+}
+
+test('check 报告残留中文的位置，输出代码中的原文本', t => {
+  const log = t.mock.method(console, 'log', () => {});
+  const dir = createFixture(t, {
+    'App.vue': [
+      '<template>',
+      '  <label>用户名：</label>',
+      '  <p>{{ $t(\'common.save\') }}</p>',
+      '</template>',
+      '<script>',
+      'export default {',
+      '  data() {',
+      "    return { msg: '删除成功' }",
+      '  }',
+      '}',
+      '</script>',
+      ''
+    ].join('\n')
+  });
+  const file = path.join(dir, 'App.vue');
+
+  const result = checkFiles([file]);
+
+  assert.deepStrictEqual(result.findings.map(({ line, column, block, text }) => ({ line, column, block, text })), [
+    { line: 2, column: 10, block: 'template', text: '用户名：' },
+    { line: 8, column: 19, block: 'script', text: '删除成功' }
+  ]);
+  assert.deepStrictEqual(result.failed, []);
+  const output = log.mock.calls.map(call => call.arguments[0]).join('\n');
+  assert.match(output, /App\.vue:2:10 {2}\[template\] {2}用户名：/);
+  // 文件没有被修改
+  assert.match(fs.readFileSync(file, 'utf-8'), /<label>用户名：<\/label>/);
+});
+
+test('baseline 中记录的中文不再报告，新增的中文仍然报告', t => {
+  t.mock.method(console, 'log', () => {});
+  const dir = createFixture(t, { 'App.vue': '<template>\n  <p>订单列表</p>\n</template>\n' });
+  const file = path.join(dir, 'App.vue');
+  const baseline = path.join(dir, 'baseline.json');
+
+  checkFiles([file], { baseline, updateBaseline: true });
+  assert.deepStrictEqual(checkFiles([file], { baseline }).findings, []);
+
+  fs.writeFileSync(file, '<template>\n  <p>订单列表</p>\n  <p>订单列表</p>\n</template>\n');
+  const result = checkFiles([file], { baseline });
+  assert.strictEqual(result.findings.length, 1);
+  assert.strictEqual(result.baselined, 1);
+});
+
+test('script 无法解析的文件记录为失败', t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const dir = createFixture(t, { 'App.vue': '<template>\n  <p>x</p>\n</template>\n<script>\nexport default {\n</script>\n' });
+
+  const result = checkFiles([path.join(dir, 'App.vue')]);
+  assert.deepStrictEqual(result.findings, []);
+  assert.strictEqual(result.failed.length, 1);
+  assert.match(result.failed[0].message, /Script 解析失败/);
+});
+
+test('check 跳过扫描目录中的语言包', t => {
+  t.mock.method(console, 'log', () => {});
+  const dir = createFixture(t, {
+    'src/zh.js': "export default { common: { save: '保存' } }\n",
+    'src/api.js': "export const message = '中文'\n",
+    'src/App.vue': '<template><div>{{ $t(\'common.save\') }}</div></template>\n'
+  });
+  const files = ['src/zh.js', 'src/api.js', 'src/App.vue'].map(name => path.join(dir, name));
+
+  const withLocale = checkFiles(files, { locale: path.join(dir, 'src/zh.js') });
+  assert.deepStrictEqual(withLocale.findings.map(({ text }) => text), ['中文']);
+  assert.deepStrictEqual(withLocale.failed, []);
+
+  // 没有指定时按文件位置查找语言包
+  const discovered = checkFiles(files, {});
+  assert.deepStrictEqual(discovered.findings.map(({ text }) => text), ['中文']);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_OPTIONS, findConfigFile, loadConfig, resolveOptions } = require('../src/config');
+
+/**
+ * 在临时目录中创建文件，测试结束后删除
+ * @param {Object} t - 测试上下文
+ * @param {Object} files - 相对路径 → 文件内容
+ * @returns {string} 临时目录
+ */
+function createFixture(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content, 'utf-8');
+  }
+  return dir;
+}
+
+test('从起始目录逐级向上查找配置文件，js 优先于 json', t => {
+  const dir = createFixture(t, {
+    'i18n-convert.config.json': '{}',
+    'i18n-convert.config.js': 'module.exports = {}',
+    'src/views/.keep': ''
+  });
+
+  assert.strictEqual(findConfigFile(path.join(dir, 'src/views')), path.join(dir, 'i18n-convert.config.js'));
+});
+
+test('配置中的路径和 glob 相对于配置文件所在目录', t => {
+  const dir = createFixture(t, {
+    'i18n-convert.config.json': JSON.stringify({
+      locale: './src/locales/zh.js',
+      files: ['src/views', 'src/components/**/*.vue'],
+      exclude: ['**/demo/**', '*.spec.vue'],
+      ignore: 'ICP备'
+    })
+  });
+
+  const config = loadConfig(path.join(dir, 'i18n-convert.config.json'));
+  const posixDir = dir.split(path.sep).join('/');
+  assert.strictEqual(config.locale, path.join(dir, 'src/locales/zh.js'));
+  assert.deepStrictEqual(config.files, [path.join(dir, 'src/views'), `${posixDir}/src/components/**/*.vue`]);
+  assert.deepStrictEqual(config.exclude, ['**/demo/**', '*.spec.vue']);
+  assert.deepStrictEqual(config.ignore, ['ICP备']);
+});
+
+test('配置文件中的未知配置项给出警告，非对象的配置报错', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dir = createFixture(t, {
+    'a.config.json': JSON.stringify({ matchPath: 'pda', matchPaht: 'pda' }),
+    'b.config.json': '[]'
+  });
+
+  assert.strictEqual(loadConfig(path.join(dir, 'a.config.json')).matchPath, 'pda');
+  assert.match(warn.mock.calls[0].arguments[0], /未知的配置项: matchPaht/);
+  assert.throws(() => loadConfig(path.join(dir, 'b.config.json')), /需要导出一个对象/);
+});
+
+test('命令行参数优先于配置文件，未出现的参数不覆盖配置', () => {
+  const options = resolveOptions(
+    { matchPath: 'pda.barcode', files: [], skipUnmatched: undefined },
+    { matchPath: 'pda', files: ['src'], skipUnmatched: true }
+  );
+
+  assert.strictEqual(options.matchPath, 'pda.barcode');
+  assert.deepStrictEqual(options.files, ['src']);
+  assert.strictEqual(options.skipUnmatched, true);
+  assert.strictEqual(options.templateCall, DEFAULT_OPTIONS.templateCall);
+});
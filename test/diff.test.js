@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUnifiedDiff } = require('../src/diff');
+
+test('createUnifiedDiff 输出 git 风格的 unified diff', () => {
+  const diff = createUnifiedDiff('/repo/src/App.vue', 'a\nb\nc\n', 'a\nB\nc\n', { cwd: '/repo' });
+  assert.strictEqual(diff, [
+    'diff --git a/src/App.vue b/src/App.vue',
+    '--- a/src/App.vue',
+    '+++ b/src/App.vue',
+    '@@ -1,3 +1,3 @@',
+    ' a',
+    '-b',
+    '+B',
+    ' c',
+    ''
+  ].join('\n'));
+});
+
+test('内容相同时返回空字符串', () => {
+  assert.strictEqual(createUnifiedDiff('App.vue', 'a\n', 'a\n'), '');
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectFiles, globToRegExp, isGlobPattern } = require('../src/files');
+
+/**
+ * 创建临时目录并写入文件
+ * @param {Object} t - 测试上下文（结束后删除目录）
+ * @param {Object} files - { 相对路径: 内容 }
+ * @returns {string} 临时目录
+ */
+function createFixture(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-files-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+/**
+ * 收集文件并返回相对于 dir 的 POSIX 路径
+ */
+function collect(dir, inputs, options = {}) {
+  const { files, missing } = collectFiles(inputs, { cwd: dir, ...options });
+  return { files: files.map(file => path.relative(dir, file).split(path.sep).join('/')), missing };
+}
+
+test('globToRegExp 支持 **、*、? 和 {a,b}', () => {
+  assert.ok(globToRegExp('src/**/*.vue').test('src/App.vue'));
+  assert.ok(globToRegExp('src/**/*.vue').test('src/views/pda/List.vue'));
+  assert.ok(!globToRegExp('src/*.vue').test('src/views/List.vue'));
+  assert.ok(globToRegExp('src/?.vue').test('src/a.vue'));
+  assert.ok(globToRegExp('src/*.{vue,js}').test('src/a.js'));
+  assert.ok(!globToRegExp('src/*.{vue,js}').test('src/a.ts'));
+});
+
+test('目录递归收集 .vue 文件，排除 node_modules', (t) => {
+  const dir = createFixture(t, {
+    'src/App.vue': '',
+    'src/views/List.vue': '',
+    'src/views/list.js': '',
+    'src/node_modules/lib/Button.vue': ''
+  });
+
+  assert.deepStrictEqual(collect(dir, ['src']), { files: ['src/App.vue', 'src/views/List.vue'], missing: [] });
+});
+
+test('glob 模式和 include/exclude 过滤', (t) => {
+  const dir = createFixture(t, {
+    'src/App.vue': '',
+    'src/views/List.vue': '',
+    'src/views/demo/Demo.vue': '',
+    'src/views/List.test.vue': ''
+  });
+
+  assert.deepStrictEqual(collect(dir, ['src/views/**/*.vue'], { exclude: ['**/demo/**', '*.test.vue'] }).files, ['src/views/List.vue']);
+  assert.deepStrictEqual(collect(dir, ['src'], { include: ['src/views/**'] }).files, [
+    'src/views/List.test.vue',
+    'src/views/List.vue',
+    'src/views/demo/Demo.vue'
+  ]);
+  // 明确指定的文件不受 exclude 限制，重复的输入只保留一次
+  assert.deepStrictEqual(collect(dir, ['src/views/demo/Demo.vue', 'src/views/demo'], { exclude: ['**/demo/**'] }).files, ['src/views/demo/Demo.vue']);
+});
+
+test('不存在的路径记录到 missing，已存在的带方括号路径按普通路径处理', (t) => {
+  const dir = createFixture(t, { 'pages/[id].vue': '' });
+
+  assert.ok(!isGlobPattern('pages/[id].vue', dir));
+  assert.ok(isGlobPattern('pages/*.vue', dir));
+  assert.deepStrictEqual(collect(dir, ['pages/[id].vue', 'missing', 'missing/**/*.vue']), {
+    files: ['pages/[id].vue'],
+    missing: ['missing', 'missing/**/*.vue']
+  });
+});
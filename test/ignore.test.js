@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+
+const locale = { common: { save: '保存', title: '标题', cancel: '取消' } };
+
+test('i18n-ignore 注释忽略下一行、紧跟的表达式和 template 节点', () => {
+  const source = [
+    '<template>',
+    '  <div>',
+    '    <!-- i18n-ignore -->',
+    '    <p title="标题"><span>保存</span></p>',
+    '    <span>取消</span>',
+    '  </div>',
+    '</template>',
+    '<script>',
+    '// i18n-ignore-next-line',
+    "const a = '保存'",
+    "const b = /* i18n-ignore */ '标题'",
+    "const c = '取消'",
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code, replacements } = convertSource(source, { filename: 'App.vue', locale, i18nCall: 'i18n.t' });
+
+  assert.match(code, /<p title="标题"><span>保存<\/span><\/p>/);
+  assert.match(code, /const a = '保存'\nconst b = \/\* i18n-ignore \*\/ '标题'\nconst c = i18n\.t\("common\.cancel"\)/);
+  assert.deepStrictEqual(replacements.map(({ key }) => key), ['common.cancel', 'common.cancel']);
+});
+
+test('按调用、比较和 switch 分支忽略 script 中的字符串', () => {
+  const source = [
+    '<script>',
+    "logger.info('保存')",
+    "this.$emit('保存')",
+    "if (status === '标题') {}",
+    'switch (status) {',
+    "  case '取消':",
+    "    alert('保存')",
+    '}',
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code, replacements } = convertSource(source, { filename: 'App.vue', locale, i18nCall: 'i18n.t' });
+
+  assert.match(code, /logger\.info\('保存'\)\nthis\.\$emit\('保存'\)\nif \(status === '标题'\) \{\}/);
+  assert.match(code, /case '取消':\n\s+alert\(i18n\.t\("common\.save"\)\)/);
+  assert.strictEqual(replacements.length, 1);
+
+  const configured = convertSource(source, {
+    filename: 'App.vue',
+    locale,
+    i18nCall: 'i18n.t',
+    ignoreCallees: ['alert'],
+    ignoreComparisons: false,
+    ignoreSwitchCases: false
+  });
+  assert.match(configured.code, /logger\.info\(i18n\.t\("common\.save"\)\)/);
+  assert.match(configured.code, /status === i18n\.t\("common\.title"\)/);
+  assert.match(configured.code, /case i18n\.t\("common\.cancel"\):\n\s+alert\('保存'\)/);
+});
+
+test('按属性和组件忽略 template 中的文本', () => {
+  const source = [
+    '<template>',
+    '  <div>',
+    '    <el-input placeholder="保存" :title="\'标题\'" />',
+    '    <el-icon><span>取消</span></el-icon>',
+    '    <ElIcon>取消</ElIcon>',
+    '    <span>取消</span>',
+    '  </div>',
+    '</template>',
+    ''
+  ].join('\n');
+
+  const { code } = convertSource(source, { filename: 'App.vue', locale, ignoreAttributes: ['placeholder', 'title'], ignoreComponents: ['el-icon'] });
+
+  assert.match(code, /<el-input placeholder="保存" :title="'标题'" \/>/);
+  assert.match(code, /<el-icon><span>取消<\/span><\/el-icon>\n\s+<ElIcon>取消<\/ElIcon>/);
+  assert.match(code, /<span>\{\{ \$t\('common\.cancel'\) \}\}<\/span>/);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+
+const locale = { common: { title: '标题', tip: '提示', hello: '你好', delete: '删除', method: '方法', arrow: '箭头' } };
+
+test('render 函数中的 JSX 文本和字符串属性转换为表达式，文本两侧的空白保留', () => {
+  const source = [
+    '<script lang="jsx">',
+    'export default {',
+    '  render() {',
+    '    return <ElButton title="删除" type="danger">  删除  </ElButton>',
+    '  }',
+    '}',
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code, diagnostics } = convertSource(source, { locale, i18nCall: 'i18n.t' });
+  assert.deepStrictEqual(diagnostics, []);
+  assert.match(code, /<ElButton title=\{i18n\.t\("common\.delete"\)\} type="danger">  \{i18n\.t\("common\.delete"\)\}  <\/ElButton>/);
+});
+
+test('独立的 tsx 函数组件转换 JSX 并添加 i18n 导入', () => {
+  const source = [
+    'const Hello = (props: { name: string }) => <div title="提示">你好{props.name}</div>',
+    'export default Hello',
+    ''
+  ].join('\n');
+
+  const { code, diagnostics } = convertSource(source, { filename: 'Hello.tsx', locale });
+  assert.deepStrictEqual(diagnostics, []);
+  assert.strictEqual(code, [
+    'import i18n from "@/i18n";',
+    'const Hello = (props: { name: string }) => <div title={i18n.t("common.tip")}>{i18n.t("common.hello")}{props.name}</div>',
+    'export default Hello',
+    ''
+  ].join('\n'));
+});
+
+test('独立的 tsx 组件根据上下文选择调用，setup() 中添加 useI18n()', () => {
+  const source = [
+    "import { defineComponent } from 'vue'",
+    'export default defineComponent({',
+    '  setup() {',
+    "    const title: string = '标题'",
+    '    return () => <div title="提示">你好{title}</div>',
+    '  },',
+    '  methods: {',
+    "    m() { return '方法' }",
+    '  }',
+    '})',
+    ''
+  ].join('\n');
+
+  const { code, diagnostics } = convertSource(source, { filename: 'Comp.tsx', locale });
+  assert.deepStrictEqual(diagnostics, []);
+  assert.match(code, /import \{ useI18n \} from "vue-i18n";/);
+  assert.match(code, /setup\(\) \{\n\s+const \{ t \} = useI18n\(\);/);
+  assert.match(code, /const title: string = t\("common\.title"\)/);
+  assert.match(code, /<div title=\{t\("common\.tip"\)\}>\{t\("common\.hello"\)\}\{title\}<\/div>/);
+  assert.match(code, /return this\.\$t\("common\.method"\)/);
+  assert.doesNotMatch(code, /i18n\.t|@\/i18n/);
+});
+
+test('无法插入 useI18n() 的箭头函数 setup 按模块处理', () => {
+  const source = [
+    "import { defineComponent } from 'vue'",
+    'export default defineComponent({',
+    '  setup: () => () => <div>箭头</div>',
+    '})',
+    ''
+  ].join('\n');
+
+  const { code } = convertSource(source, { filename: 'Arrow.tsx', locale });
+  assert.match(code, /<div>\{i18n\.t\("common\.arrow"\)\}<\/div>/);
+  assert.match(code, /import i18n from "@\/i18n";/);
+  assert.doesNotMatch(code, /useI18n/);
+});
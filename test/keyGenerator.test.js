@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createKeyGenerator } = require('../src/keyGenerator');
+
+const cwd = path.resolve('/project');
+
+test('path 方式按文件路径生成命名空间和序号，跳过已有的 key', () => {
+  const generator = createKeyGenerator({ namespace: 'generated', existingKeys: ['generated.views.order.orderList.text1'], cwd });
+  const file = path.join(cwd, 'src/views/order/order-list.vue');
+
+  assert.strictEqual(generator.generate('提交', file), 'generated.views.order.orderList.text2');
+  assert.strictEqual(generator.generate('取消', file), 'generated.views.order.orderList.text3');
+  assert.strictEqual(generator.generate('提交', file), 'generated.views.order.orderList.text2');
+  assert.strictEqual(generator.generate('提交订单', path.join(cwd, 'src/components/Dialog/index.vue')), 'generated.components.dialog.text1');
+  assert.deepStrictEqual(generator.entries.map(({ key }) => key), [
+    'generated.views.order.orderList.text2',
+    'generated.views.order.orderList.text3',
+    'generated.components.dialog.text1'
+  ]);
+});
+
+test('hash 和 pinyin 方式根据文本生成，冲突时加数字后缀', () => {
+  const hash = createKeyGenerator({ strategy: 'hash' });
+  assert.match(hash.generate('提交'), /^[0-9a-f]{8}$/);
+
+  const pinyin = createKeyGenerator({ strategy: 'pinyin', namespace: 'generated', existingKeys: ['generated.tiJiaoDingDan'] });
+  assert.strictEqual(pinyin.generate('提交订单'), 'generated.tiJiaoDingDan2');
+  assert.strictEqual(pinyin.generate('保存{name}成功'), 'generated.baoCunChengGong');
+
+  assert.throws(() => createKeyGenerator({ strategy: 'uuid' }), /不支持的 key 生成方式: uuid/);
+});
+
+test('生成的 key 不与已有的 key 互为前缀', () => {
+  const generator = createKeyGenerator({ strategy: 'pinyin', existingKeys: ['tiJiao.title'] });
+  assert.strictEqual(generator.generate('提交'), 'tiJiao2');
+});
+
+test('discard 丢弃之后生成的条目，key 可以重新生成', () => {
+  const generator = createKeyGenerator({ strategy: 'pinyin' });
+  generator.generate('提交');
+  generator.generate('取消');
+  generator.discard(1);
+
+  assert.deepStrictEqual(generator.entries, [{ key: 'tiJiao', text: '提交' }]);
+  assert.strictEqual(generator.generate('保存'), 'baoCun');
+  assert.strictEqual(generator.generate('取消'), 'quXiao');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLocaleMessages } = require('../src/localeLoader');
+
+/**
+ * 创建临时目录并写入语言包
+ * @param {Object} t - 测试上下文（结束后删除临时目录）
+ * @param {Object} files - { 相对路径: 内容 }
+ * @returns {string} 临时目录
+ */
+function createLocaleDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-loader-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('跟随 index 文件中的 import 和对象展开，key 路径与运行时一致', t => {
+  const dir = createLocaleDir(t, {
+    'zh/index.js': [
+      "import order from './order'",
+      "import pda from './pda.ts'",
+      "const base = { save: '保存' }",
+      'export default {',
+      "  common: { ...base, cancel: '取消' },",
+      '  order,',
+      '  ...pda',
+      '}',
+      ''
+    ].join('\n'),
+    'zh/order.js': "export default { list: '订单列表' }\n",
+    'zh/pda.ts': "const messages: Record<string, any> = { pda: { scan: '扫描' } }\nexport default messages\n"
+  });
+
+  const { messages, files } = loadLocaleMessages(path.join(dir, 'zh'));
+
+  assert.deepStrictEqual(messages, {
+    common: { save: '保存', cancel: '取消' },
+    order: { list: '订单列表' },
+    pda: { scan: '扫描' }
+  });
+  assert.deepStrictEqual([...files].map(file => path.relative(dir, file).split(path.sep).join('/')), ['zh/index.js', 'zh/order.js', 'zh/pda.ts']);
+});
+
+test('没有 index 文件的目录中每个文件作为一个命名空间，支持 JSON 和 YAML', t => {
+  const dir = createLocaleDir(t, {
+    'zh/common.json': '{ "save": "保存" }\n',
+    'zh/order.yaml': 'title: 订单\nstatus:\n  done: 已完成\n'
+  });
+
+  assert.deepStrictEqual(loadLocaleMessages(path.join(dir, 'zh')).messages, {
+    common: { save: '保存' },
+    order: { title: '订单', status: { done: '已完成' } }
+  });
+});
+
+test('常量拼接和计算属性名静态求值，无法求值的内容被跳过并记录位置', t => {
+  const dir = createLocaleDir(t, {
+    'zh/index.js': [
+      "import { formatDate } from '@/utils'",
+      "import { missing } from './parts'",
+      "const PREFIX = '订单'",
+      "const KEYS = { title: 'title' }",
+      'export default {',
+      '  order: {',
+      '    [KEYS.title]: `${PREFIX}详情`,',
+      "    list: PREFIX + '列表',",
+      '    date: formatDate(new Date()),',
+      '    missing',
+      '  }',
+      '}',
+      ''
+    ].join('\n'),
+    'zh/parts.js': "export const other = '其他'\n"
+  });
+
+  const { messages, diagnostics } = loadLocaleMessages(path.join(dir, 'zh'));
+
+  assert.deepStrictEqual(messages, { order: { title: '订单详情', list: '订单列表' } });
+  assert.deepStrictEqual(diagnostics.map(({ file, line, column, message }) => [path.basename(file), line, column, message]), [
+    ['index.js', 9, 11, '无法静态求值: formatDate(new Date())'],
+    ['index.js', 2, 10, "模块 './parts' 没有导出 missing"]
+  ]);
+  // 不执行语言包代码，也不生成临时文件
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'zh')).sort(), ['index.js', 'parts.js']);
+});
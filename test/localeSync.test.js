@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { syncLocales } = require('../src/localeSync');
+
+/**
+ * 创建临时目录并写入语言包
+ * @param {Object} t - 测试上下文（结束后删除临时目录）
+ * @param {Object} files - { 文件名: 内容 }
+ * @returns {string} 临时目录
+ */
+function createLocaleDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-sync-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+test('按 zh.js 补充缺少的 key，保留已有的翻译并统计未翻译的 key', t => {
+  const dir = createLocaleDir(t, {
+    'zh.js': "module.exports = {\n  common: {\n    save: '保存',\n    cancel: '取消',\n  },\n};\n",
+    'en.js': "module.exports = {\n  common: {\n    save: 'Save',\n    cancel: '取消',\n  },\n};\n",
+    'ja.js': 'export default {}\n'
+  });
+
+  const results = syncLocales({
+    localePaths: [path.join(dir, 'en.js'), path.join(dir, 'ja.js')],
+    primaryPath: path.join(dir, 'zh.js'),
+    usedKeys: new Map([['common.save', '保存'], ['generated.submit', '提交']])
+  });
+
+  assert.deepStrictEqual(results.map(({ added, untranslated }) => ({ added, untranslated })), [
+    { added: ['generated.submit'], untranslated: ['common.cancel', 'generated.submit'] },
+    { added: ['common.save', 'generated.submit'], untranslated: ['common.save', 'common.cancel', 'generated.submit'] }
+  ]);
+  assert.strictEqual(
+    fs.readFileSync(path.join(dir, 'en.js'), 'utf-8'),
+    "module.exports = {\n  common: {\n    save: 'Save',\n    cancel: '取消',\n  },\n  generated: {\n    submit: 'TODO: 提交',\n  },\n};\n"
+  );
+});
+
+test('占位文本可以使用中文原文或空字符串，预览时不写入文件', t => {
+  const dir = createLocaleDir(t, {
+    'zh.js': "module.exports = { common: { save: '保存' } };\n",
+    'en.js': 'module.exports = {};\n'
+  });
+  const options = { localePaths: [path.join(dir, 'en.js')], primaryPath: path.join(dir, 'zh.js'), usedKeys: new Map([['common.save', '保存']]) };
+
+  const [preview] = syncLocales({ ...options, placeholder: 'empty', preview: true });
+  assert.match(preview.diff, /\+\s+save: ''/);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'en.js'), 'utf-8'), 'module.exports = {};\n');
+
+  syncLocales({ ...options, placeholder: 'source' });
+  assert.match(fs.readFileSync(path.join(dir, 'en.js'), 'utf-8'), /save: '保存'/);
+});
+
+test('同步 JSON 语言包，不支持的格式输出警告并跳过', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const dir = createLocaleDir(t, {
+    'zh.json': '{ "common": { "save": "保存", "submit": "提交" } }\n',
+    'en.json': '{\n  "common": {\n    "save": "Save"\n  }\n}\n',
+    'ja.yaml': 'common:\n  save: 保存\n'
+  });
+
+  const results = syncLocales({
+    localePaths: [path.join(dir, 'en.json'), path.join(dir, 'ja.yaml')],
+    primaryPath: path.join(dir, 'zh.json'),
+    usedKeys: new Map([['common.save', '保存'], ['common.submit', '提交']])
+  });
+
+  assert.deepStrictEqual(results.map(({ added, untranslated }) => ({ added, untranslated })), [
+    { added: ['common.submit'], untranslated: ['common.submit'] }
+  ]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'en.json'), 'utf-8')), {
+    common: { save: 'Save', submit: 'TODO: 提交' }
+  });
+  assert.strictEqual(warn.mock.calls.length, 1);
+  assert.match(warn.mock.calls[0].arguments[0], /不支持同步该格式的语言包: .*ja\.yaml/);
+});
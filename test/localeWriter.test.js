@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { addLocaleEntries, readLocaleEntries } = require('../src/localeWriter');
+
+test('写入新的 key 时保留原有的格式和注释', () => {
+  const source = [
+    '// 中文语言包',
+    'module.exports = {',
+    '  // 公共',
+    '  common: {',
+    "    save: '保存', // 按钮",
+    '  },',
+    '};',
+    ''
+  ].join('\n');
+
+  assert.strictEqual(addLocaleEntries(source, [{ key: 'common.submit', text: '提交' }, { key: 'generated.order.text1', text: "他's" }]), [
+    '// 中文语言包',
+    'module.exports = {',
+    '  // 公共',
+    '  common: {',
+    "    save: '保存', // 按钮",
+    "    submit: '提交',",
+    '  },',
+    '  generated: {',
+    '    order: {',
+    "      text1: '他\\'s',",
+    '    },',
+    '  },',
+    '};',
+    ''
+  ].join('\n'));
+});
+
+test('ES 模块语言包使用原有的引号，没有结尾逗号时不添加', () => {
+  const source = 'export default {\n  common: {\n    save: "保存"\n  }\n}\n';
+  assert.strictEqual(
+    addLocaleEntries(source, [{ key: 'common.submit', text: '提交' }]),
+    'export default {\n  common: {\n    save: "保存",\n    submit: "提交"\n  }\n}\n'
+  );
+});
+
+test('向带类型标注的 ts 语言包写入新的 key', () => {
+  const source = [
+    "import type { Messages } from './types'",
+    '',
+    'const zh: Messages = {',
+    '  common: {',
+    "    save: '保存',",
+    '  },',
+    '}',
+    '',
+    'export default zh',
+    ''
+  ].join('\n');
+
+  assert.deepStrictEqual(readLocaleEntries(source, 'ts'), new Map([['common.save', '保存']]));
+  assert.strictEqual(addLocaleEntries(source, [{ key: 'generated.submit', text: '提交' }], 'ts'), [
+    "import type { Messages } from './types'",
+    '',
+    'const zh: Messages = {',
+    '  common: {',
+    "    save: '保存',",
+    '  },',
+    '  generated: {',
+    "    submit: '提交',",
+    '  },',
+    '}',
+    '',
+    'export default zh',
+    ''
+  ].join('\n'));
+});
+
+test('向 as const / satisfies 导出的 ts 语言包写入新的 key', () => {
+  for (const assertion of ['as const', 'satisfies Messages']) {
+    const source = `export default {\n  common: {\n    save: '保存'\n  }\n} ${assertion}\n`;
+    assert.strictEqual(
+      addLocaleEntries(source, [{ key: 'common.submit', text: '提交' }], 'ts'),
+      `export default {\n  common: {\n    save: '保存',\n    submit: '提交'\n  }\n} ${assertion}\n`
+    );
+  }
+});
+
+test('向 JSON 语言包写入新的 key，保持原来的缩进', () => {
+  const source = '{\n    "common": {\n        "save": "Save"\n    }\n}\n';
+  assert.deepStrictEqual(readLocaleEntries(source, 'json'), new Map([['common.save', 'Save']]));
+  assert.strictEqual(
+    addLocaleEntries(source, [{ key: 'common.submit', text: 'TODO: 提交' }], 'json'),
+    '{\n    "common": {\n        "save": "Save",\n        "submit": "TODO: 提交"\n    }\n}\n'
+  );
+  assert.throws(() => addLocaleEntries(source, [{ key: 'common.save.text', text: '保存' }], 'json'), /key 已存在: common\.save/);
+});
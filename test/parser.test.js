@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convertFiles } = require('../src/parser');
+
+/**
+ * 创建临时目录并写入文件，测试期间切换到该目录（转换记录写入当前目录）
+ * @param {Object} t - 测试上下文（结束后恢复工作目录并删除临时目录）
+ * @param {Object} files - { 相对路径: 内容 }
+ * @returns {string} 临时目录
+ */
+function createFixture(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-parser-'));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return dir;
+}
+
+test('批量转换时单个文件失败不影响其他文件，并计入汇总', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "module.exports = { common: { save: '保存' } };\n",
+    'A.vue': '<template>\n  <button>保存</button>\n</template>\n',
+    'B.vue': '<template>\n  <p>取消</p>\n</template>\n<script>\nexport default {\n</script>\n'
+  });
+  const files = ['A.vue', 'B.vue'].map(file => path.join(dir, file));
+
+  const summary = convertFiles(files, path.join(dir, 'zh.js'));
+
+  assert.strictEqual(summary.total, 2);
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(summary.converted, 1);
+  assert.deepStrictEqual(summary.failed.map(({ filePath }) => filePath), [files[1]]);
+  assert.match(summary.failed[0].message, /Script 解析失败/);
+  assert.match(fs.readFileSync(files[0], 'utf-8'), /<button>\{\{ \$t\('common\.save'\) \}\}<\/button>/);
+  // 失败的文件保持不变
+  assert.match(fs.readFileSync(files[1], 'utf-8'), /<p>取消<\/p>/);
+});
+
+test('dry-run 只输出 diff，不写入源文件和转换报告', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "module.exports = { common: { save: '保存' } };\n",
+    'A.vue': '<template>\n  <button>保存</button>\n  <p>取消</p>\n</template>\n'
+  });
+  const file = path.join(dir, 'A.vue');
+  const source = fs.readFileSync(file, 'utf-8');
+
+  const write = t.mock.method(process.stdout, 'write', () => true);
+  const summary = convertFiles([file], path.join(dir, 'zh.js'), { dryRun: true });
+  write.mock.restore();
+
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(fs.readFileSync(file, 'utf-8'), source);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['A.vue', 'zh.js']);
+  const diff = write.mock.calls.map(call => call.arguments[0]).join('');
+  assert.match(diff, /^--- a\/A\.vue$/m);
+  assert.match(diff, /^-  <button>保存<\/button>$/m);
+  assert.match(diff, /^\+  <button>\{\{ \$t\('common\.save'\) \}\}<\/button>$/m);
+});
+
+test('批量转换结束后把所有文件的检测结果写入 --report-dir 下的报告', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "module.exports = { common: { save: '保存' } };\n",
+    'A.vue': '<template>\n  <button>保存</button>\n</template>\n',
+    'B.vue': '<template>\n  <p>取消</p>\n</template>\n'
+  });
+  const files = ['A.vue', 'B.vue'].map(file => path.join(dir, file));
+
+  convertFiles(files, path.join(dir, 'zh.js'), { reportDir: path.join(dir, 'reports'), reportFormat: 'csv' });
+
+  const report = fs.readFileSync(path.join(dir, 'reports', 'i18n-report.csv'), 'utf-8');
+  assert.match(report, /^A\.vue,2,11,text,,保存,matched,common\.save,,,common\.save,,,,<button>保存<\/button>,1,/m);
+  assert.match(report, /^B\.vue,2,6,text,,取消,unmatched,,,not-found,,,,,<p>取消<\/p>,1,/m);
+});
+
+test('--diff-out 把所有文件的改动写入 patch 文件', (t) => {
+  const dir = createFixture(t, {
+    'A.vue': '<template>\n  <p>保存</p>\n</template>\n',
+    'B.vue': '<template>\n  <p>取消</p>\n</template>\n'
+  });
+  const files = ['A.vue', 'B.vue'].map(file => path.join(dir, file));
+
+  convertFiles(files, null, { diffOut: path.join(dir, 'i18n.patch') });
+
+  const patch = fs.readFileSync(path.join(dir, 'i18n.patch'), 'utf-8');
+  assert.deepStrictEqual(patch.match(/^diff --git .*$/gm), ['diff --git a/A.vue b/A.vue', 'diff --git a/B.vue b/B.vue']);
+  assert.match(fs.readFileSync(files[0], 'utf-8'), /<p>保存<\/p>/);
+});
+
+test('批量转换独立的 js/ts 模块，添加 i18n 导入并跳过语言包本身', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "export default { common: { saveSuccess: '保存成功' } };\n",
+    'api.ts': "import axios from 'axios'\nexport const message: string = '保存成功'\n",
+    'empty.js': 'export const size = 10\n'
+  });
+  const files = ['zh.js', 'api.ts', 'empty.js'].map(file => path.join(dir, file));
+
+  const summary = convertFiles(files, path.join(dir, 'zh.js'));
+
+  assert.strictEqual(summary.total, 2);
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(fs.readFileSync(files[1], 'utf-8'), [
+    "import axios from 'axios'",
+    'import i18n from "@/i18n";',
+    'export const message: string = i18n.t("common.saveSuccess")',
+    ''
+  ].join('\n'));
+  assert.strictEqual(fs.readFileSync(files[0], 'utf-8'), "export default { common: { saveSuccess: '保存成功' } };\n");
+});
+
+test('--generate-keys 为未匹配的文本生成 key 并写入语言包，失败文件的 key 被丢弃', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "module.exports = {\n  common: {\n    save: '保存',\n  },\n};\n",
+    'A.vue': '<template>\n  <button>保存</button>\n  <p>提交</p>\n</template>\n',
+    'B.vue': '<template>\n  <p>取消</p>\n</template>\n<script>\nexport default {\n</script>\n'
+  });
+  const files = ['A.vue', 'B.vue'].map(file => path.join(dir, file));
+
+  const summary = convertFiles(files, path.join(dir, 'zh.js'), { generateKeys: true, keyStrategy: 'pinyin', keyNamespace: 'generated' });
+
+  assert.strictEqual(summary.generated, 1);
+  assert.strictEqual(summary.failed.length, 1);
+  assert.match(fs.readFileSync(files[0], 'utf-8'), /<p>\{\{ \$t\('generated\.tiJiao'\) \}\}<\/p>/);
+  assert.strictEqual(
+    fs.readFileSync(path.join(dir, 'zh.js'), 'utf-8'),
+    "module.exports = {\n  common: {\n    save: '保存',\n  },\n  generated: {\n    tiJiao: '提交',\n  },\n};\n"
+  );
+});
+
+test('--sync-locale 只同步成功转换的文件中使用的 key，并跳过其他语言包本身', (t) => {
+  const dir = createFixture(t, {
+    'zh.js': "module.exports = { common: { save: '保存', cancel: '取消' } };\n",
+    'en.js': 'module.exports = {};\n',
+    'A.vue': '<template>\n  <button>保存</button>\n</template>\n',
+    'B.vue': '<template>\n  <p>取消</p>\n</template>\n<script>\nexport default {\n</script>\n'
+  });
+  const files = ['A.vue', 'B.vue', 'en.js'].map(file => path.join(dir, file));
+
+  const summary = convertFiles(files, path.join(dir, 'zh.js'), { syncLocales: [path.join(dir, 'en.js')] });
+
+  assert.strictEqual(summary.total, 2);
+  assert.strictEqual(summary.failed.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'en.js'), 'utf-8'), "module.exports = {\n  common: {\n    save: 'TODO: 保存'\n  }\n};\n");
+});
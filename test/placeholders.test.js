@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+
+/**
+ * 转换 script 中的代码，返回转换后的 script 内容
+ * @param {string} code
+ * @param {Object} locale
+ * @returns {string}
+ */
+function convertScriptCode(code, locale = { common: { save: '保存' } }) {
+  const result = convertSource(`<script>\n${code}\n</script>\n`, { filename: 'App.vue', locale, i18nCall: 'i18n.t' });
+  return result.code.match(/<script>\n([\s\S]*)\n<\/script>/)[1];
+}
+
+test('占位符名称根据变量名、属性名和 length 生成', () => {
+  assert.strictEqual(
+    convertScriptCode('const summary = `订单${row.orderNo}共${list.length}条，当前用户${username}`'),
+    'const summary = i18n.t("订单{orderNo}共{count}条，当前用户{username}", {\n  orderNo: row.orderNo,\n  count: list.length,\n  username: username\n})'
+  );
+});
+
+test('相同表达式共用占位符，冲突时加数字后缀，复杂表达式使用编号', () => {
+  assert.strictEqual(
+    convertScriptCode("const text = '从' + user.name + '到' + dept.name + '，' + user.name + '共' + (a + b) + '人'"),
+    'const text = i18n.t("从{name}到{name2}，{name}共{param1}人", {\n  name: user.name,\n  name2: dept.name,\n  param1: (a + b)\n})'
+  );
+});
+
+test('语言包中占位符名称不同的条目也能匹配，参数使用语言包中的名称', () => {
+  assert.strictEqual(
+    convertScriptCode('const summary = `订单${row.orderNo}共${list.length}条`', { order: { summary: '订单{no}共{total}条' } }),
+    'const summary = i18n.t("order.summary", {\n  no: row.orderNo,\n  total: list.length\n})'
+  );
+});
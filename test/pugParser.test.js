@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+
+/**
+ * 转换 pug template，返回转换后的 template 内容
+ * @param {Array<string>} lines
+ * @param {Object} locale
+ * @returns {string}
+ */
+function convertPug(lines, locale = {}) {
+  const source = ['<template lang="pug">', ...lines, '</template>', ''].join('\n');
+  const { code } = convertSource(source, { filename: 'App.vue', locale });
+  return code.match(/<template lang="pug">\n([\s\S]*)\n<\/template>/)[1];
+}
+
+test('pug 文本和属性转换后缩进保持不变', () => {
+  const template = convertPug([
+    'div',
+    '  span(title="提示") 保存'
+  ], { common: { save: '保存' } });
+  assert.strictEqual(template, [
+    'div',
+    '  span(:title="$t(\'提示\')") {{ $t(\'common.save\') }}'
+  ].join('\n'));
+});
+
+test('pug 混合文本中插值前后的空白保留在替换范围之外', () => {
+  const template = convertPug(['p 新建 {{ count }} 个']);
+  assert.strictEqual(template, 'p {{ $t(\'新建\') }} {{ count }} {{ $t(\'个\') }}');
+});
+
+test('pug 的 #{} 插值和管道文本', () => {
+  const template = convertPug([
+    'div',
+    "  p #{'保存'}",
+    '  p',
+    '    | 取消'
+  ]);
+  assert.strictEqual(template, [
+    'div',
+    "  p {{ $t('保存') }}",
+    '  p',
+    "    | {{ $t('取消') }}"
+  ].join('\n'));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runWithIsolatedState, setConvertOptions, setI18nMessages } = require('../src/utils');
+const { rekeyTemplate, rekeyPugTemplate, rekeyScript } = require('../src/rekey');
+const { convertFiles } = require('../src/parser');
+
+const locale = { user: { name: '用户名' }, order: { total: '共{total}条' }, common: { save: '保存' } };
+
+/**
+ * 在独立的状态中使用 locale 执行 rekey
+ * @param {Function} fn
+ * @returns {*}
+ */
+function withLocale(fn) {
+  return runWithIsolatedState(() => {
+    setConvertOptions({});
+    setI18nMessages(locale);
+    return fn();
+  });
+}
+
+test('template 中以中文作为 key 的调用更新为语言包中的 key，参数按语言包重命名', () => {
+  const template = [
+    '<label>{{ $t(\'用户名\') }}：</label>',
+    '<p :title="$t(\'用户名：\')">{{ $t(\'共{n}条\', { n: list.length }) }}</p>',
+    '<p>{{ $t(\'user.name\') }}{{ $t(\'没有的文本\') }}</p>'
+  ].join('\n');
+
+  assert.strictEqual(withLocale(() => rekeyTemplate(template)), [
+    '<label>{{ $t(\'user.name\') }}：</label>',
+    '<p :title="$t(\'user.name\') + \'：\'">{{ $t(\'order.total\', { total: list.length }) }}</p>',
+    '<p>{{ $t(\'user.name\') }}{{ $t(\'没有的文本\') }}</p>'
+  ].join('\n'));
+});
+
+test('pug 和 script 中的调用同样更新，其他代码保持原样', () => {
+  assert.strictEqual(
+    withLocale(() => rekeyPugTemplate('p(:title="$t(\'保存\')") {{ $t(\'用户名\') }}\n')),
+    'p(:title="$t(\'common.save\')") {{ $t(\'user.name\') }}\n'
+  );
+  assert.strictEqual(
+    withLocale(() => rekeyScript('const a = i18n.t(\'保存\')\nthis.$t(`用户名`)\nfoo(\'保存\')\n')),
+    'const a = i18n.t("common.save")\nthis.$t("user.name")\nfoo(\'保存\')\n'
+  );
+  assert.throws(() => withLocale(() => rekeyScript('const a = {\n')), /Script 解析失败/);
+});
+
+test('rekey 命令更新文件，仍然找不到的文本记录到转换报告', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-rekey-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(dir, 'A.vue');
+  fs.writeFileSync(path.join(dir, 'zh.js'), `module.exports = ${JSON.stringify(locale)};\n`);
+  fs.writeFileSync(file, '<template>\n  <p>{{ $t(\'保存\') }}{{ $t(\'删除\') }}</p>\n</template>\n');
+
+  const summary = convertFiles([file], path.join(dir, 'zh.js'), { mode: 'rekey', reportDir: dir });
+
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(fs.readFileSync(file, 'utf-8'), '<template>\n  <p>{{ $t(\'common.save\') }}{{ $t(\'删除\') }}</p>\n</template>\n');
+  const { items } = JSON.parse(fs.readFileSync(path.join(dir, 'i18n-report.json'), 'utf-8'));
+  assert.deepStrictEqual(items.map(({ kind, text, status, key }) => [kind, text, status, key]), [
+    ['i18n-call', '保存', 'matched', 'common.save'],
+    ['i18n-call', '删除', 'unmatched', '']
+  ]);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReportRows, saveReport } = require('../src/report');
+
+/**
+ * 创建临时的报告目录
+ * @param {Object} t - 测试上下文（结束后删除临时目录）
+ * @returns {string} 临时目录
+ */
+function createReportDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-report-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  return dir;
+}
+
+const source = '<template>\n  <button>保存</button>\n  <p title="提示">提示</p>\n</template>\n';
+const records = [
+  { text: '提示', key: '提示', matched: false, reason: 'not-found', candidates: [], kind: 'text', line: 3, column: 18 },
+  { text: '保存', key: 'common.save', matched: true, reason: null, candidates: ['common.save'], kind: 'text', line: 2, column: 11 },
+  { text: '提示', key: '提示', matched: false, reason: 'not-found', candidates: [], kind: 'attribute', attribute: 'title', line: 3, column: 6 }
+];
+
+test('报告行按位置排序，记录状态、key 或未匹配原因以及所在行的源码', () => {
+  const rows = createReportRows(path.join(process.cwd(), 'src/A.vue'), source, records);
+
+  assert.deepStrictEqual(
+    rows.map(({ file, line, column, kind, attribute, status, key, reason, context, occurrence }) =>
+      ({ file, line, column, kind, attribute, status, key, reason, context, occurrence })),
+    [
+      { file: 'src/A.vue', line: 2, column: 11, kind: 'text', attribute: '', status: 'matched', key: 'common.save', reason: '', context: '<button>保存</button>', occurrence: 1 },
+      { file: 'src/A.vue', line: 3, column: 6, kind: 'attribute', attribute: 'title', status: 'unmatched', key: '', reason: 'not-found', context: '<p title="提示">提示</p>', occurrence: 1 },
+      { file: 'src/A.vue', line: 3, column: 18, kind: 'text', attribute: '', status: 'unmatched', key: '', reason: 'not-found', context: '<p title="提示">提示</p>', occurrence: 1 }
+    ]
+  );
+});
+
+test('多次运行合并到同一份报告，同一处文本只保留最新的一行', (t) => {
+  const reportDir = createReportDir(t);
+  const filePath = path.join(process.cwd(), 'A.vue');
+
+  const reportPath = saveReport(createReportRows(filePath, source, records), { reportDir });
+  assert.strictEqual(reportPath, path.join(reportDir, 'i18n-report.json'));
+
+  // 第二次运行时文本已匹配，且位置发生了变化
+  const moved = { ...records[0], key: 'common.tip', matched: true, reason: null, line: 4 };
+  saveReport(createReportRows(filePath, `\n${source}`, [moved]), { reportDir });
+  saveReport(createReportRows(path.join(process.cwd(), 'B.vue'), source, [records[1]]), { reportDir });
+
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  assert.deepStrictEqual(report.summary, { total: 4, matched: 3, generated: 0, unmatched: 1, ambiguous: 0 });
+  assert.deepStrictEqual(
+    report.items.map(({ file, line, kind, status, key }) => [file, line, kind, status, key]),
+    [
+      ['A.vue', 2, 'text', 'matched', 'common.save'],
+      ['A.vue', 3, 'attribute', 'unmatched', ''],
+      ['A.vue', 4, 'text', 'matched', 'common.tip'],
+      ['B.vue', 2, 'text', 'matched', 'common.save']
+    ]
+  );
+});
+
+test('CSV 和 HTML 报告同样可以读回并合并', (t) => {
+  const reportDir = createReportDir(t);
+  const filePath = path.join(process.cwd(), 'A.vue');
+  const text = { ...records[0], text: '他说 "好", 然后\n离开', key: '他说 "好", 然后\n离开' };
+
+  for (const reportFormat of ['csv', 'html']) {
+    const options = { reportDir, reportFormat };
+    const reportPath = saveReport(createReportRows(filePath, source, [text, records[1]]), options);
+    saveReport(createReportRows(filePath, source, [text, records[1]]), options);
+    const content = fs.readFileSync(reportPath, 'utf-8');
+
+    if (reportFormat === 'csv') {
+      const lines = content.split('\n');
+      assert.strictEqual(lines[0], '\ufefffile,line,column,kind,attribute,text,status,key,localeText,reason,candidates,selectedBy,rejected,suggestions,context,occurrence,lastSeen');
+      assert.match(content, /,"他说 ""好"", 然后\n离开",unmatched,,,not-found,,,,,/);
+      assert.strictEqual(content.match(/,保存,matched,common\.save,,,common\.save,,,,/g).length, 1);
+    } else {
+      assert.match(content, /共 2 处：已匹配 1（其中从多个 key 中选择 0），生成 key 0，未匹配 1/);
+      assert.match(content, /他说 &quot;好&quot;, 然后/);
+    }
+  }
+  // 已有的报告都能读回，没有因为解析失败而重新生成
+  assert.strictEqual(console.warn.mock.callCount(), 0);
+  assert.deepStrictEqual(fs.readdirSync(reportDir).sort(), ['i18n-report.csv', 'i18n-report.html']);
+});
+
+test('没有检测到文本时不写入报告', (t) => {
+  const reportDir = createReportDir(t);
+
+  assert.strictEqual(saveReport([], { reportDir }), null);
+  assert.deepStrictEqual(fs.readdirSync(reportDir), []);
+});
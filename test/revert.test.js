@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runWithIsolatedState, setConvertOptions, setI18nMessages } = require('../src/utils');
+const { revertTemplate, revertPugTemplate, revertScript } = require('../src/revert');
+const { convertFiles } = require('../src/parser');
+
+const locale = { user: { name: '用户名' }, order: { total: '共{total}条', page: '第{0}页' }, common: { pleaseInput: '请输入' } };
+
+/**
+ * 在独立的状态中使用 locale 执行 revert
+ * @param {Function} fn
+ * @returns {*}
+ */
+function withLocale(fn) {
+  return runWithIsolatedState(() => {
+    setConvertOptions({});
+    setI18nMessages(locale);
+    return fn();
+  });
+}
+
+test('template 中的调用还原为文本，词缀合并回文本，属性绑定还原为静态属性', () => {
+  const template = [
+    '<label>{{ $t(\'user.name\') }}：</label>',
+    '<el-input :placeholder="$t(\'common.pleaseInput\') + $t(\'user.name\')" />',
+    '<p :title="$t(\'user.name\') + \'：\'">{{ $t(\'order.total\', { total: list.length }) }}</p>'
+  ].join('\n');
+
+  assert.strictEqual(withLocale(() => revertTemplate(template)), [
+    '<label>用户名：</label>',
+    '<el-input placeholder="请输入用户名" />',
+    '<p title="用户名：">共{{ list.length }}条</p>'
+  ].join('\n'));
+  assert.strictEqual(withLocale(() => revertPugTemplate('p {{ $t(\'user.name\') }}\n')), 'p 用户名\n');
+});
+
+test('script 中有参数的调用还原为模板字符串，字面量参数直接写入文本', () => {
+  assert.strictEqual(
+    withLocale(() => revertScript('this.$message(this.$t(\'order.total\', { total: list.length }))\nconst label = i18n.t(\'user.name\') + \'：\'\nconst page = $t(\'order.page\', [1])\n')),
+    'this.$message(`共${list.length}条`)\nconst label = "用户名："\nconst page = "第1页"\n'
+  );
+  assert.throws(() => withLocale(() => revertScript('const a = {\n')), /Script 解析失败/);
+});
+
+test('revert 命令更新文件，无法还原的调用保持不变并记录原因', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-revert-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  const file = path.join(dir, 'A.vue');
+  fs.writeFileSync(path.join(dir, 'zh.js'), `module.exports = ${JSON.stringify(locale)};\n`);
+  fs.writeFileSync(file, [
+    '<template>',
+    '  <p>{{ $t(\'user.name\') }}{{ $t(\'user.age\') }}{{ $t(item.label) }}{{ $t(\'order.total\', \'en\') }}</p>',
+    '</template>',
+    ''
+  ].join('\n'));
+
+  const summary = convertFiles([file], path.join(dir, 'zh.js'), { mode: 'revert', reportDir: dir });
+
+  assert.strictEqual(summary.changed, 1);
+  assert.strictEqual(
+    fs.readFileSync(file, 'utf-8'),
+    '<template>\n  <p>用户名{{ $t(\'user.age\') }}{{ $t(item.label) }}{{ $t(\'order.total\', \'en\') }}</p>\n</template>\n'
+  );
+  const { items } = JSON.parse(fs.readFileSync(path.join(dir, 'i18n-report.json'), 'utf-8'));
+  assert.deepStrictEqual(items.map(({ kind, status, reason }) => [kind, status, reason]), [
+    ['i18n-call', 'matched', ''],
+    ['i18n-call', 'unmatched', 'key-not-found'],
+    ['i18n-call', 'unmatched', 'dynamic-key'],
+    ['i18n-call', 'unmatched', 'params']
+  ]);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+const { addI18nImport } = require('../src/scriptParser');
+
+test('lang="ts" 的 script 使用 TypeScript 解析，类型标注保持不变', () => {
+  const source = [
+    '<script lang="ts">',
+    'interface Props { title: string }',
+    'const label: string = "保存"',
+    'const tips = <string[]>["取消"]',
+    'export function greet(name: string): string {',
+    '  return `你好${name as string}`',
+    '}',
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code, diagnostics } = convertSource(source, { i18nCall: 'i18n.t' });
+
+  assert.deepStrictEqual(diagnostics, []);
+  assert.match(code, /interface Props \{ title: string \}/);
+  assert.match(code, /const label: string = i18n\.t\("保存"\)/);
+  assert.match(code, /const tips = <string\[\]>\[i18n\.t\("取消"\)\]/);
+  assert.match(code, /return i18n\.t\("你好\{\w+\}", \{\s*\w+: name as string\s*\}\)/);
+});
+
+test('根据上下文选择 i18n 调用，并补充 useI18n() 和导入', () => {
+  const source = [
+    '<script>',
+    "const TITLE = '标题'",
+    'export default {',
+    "  data() { return { tip: '提示' } }",
+    '}',
+    '</script>',
+    '<script setup>',
+    "const label = '名称'",
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code, diagnostics } = convertSource(source, { filename: 'App.vue', locale: { common: { title: '标题', tip: '提示', name: '名称' } } });
+
+  assert.deepStrictEqual(diagnostics, []);
+  assert.match(code, /import i18n from "@\/i18n";\nconst TITLE = i18n\.t\("common\.title"\)/);
+  assert.match(code, /data\(\) \{ return \{ tip: this\.\$t\("common\.tip"\) \};? \}/);
+  assert.match(code, /import \{ useI18n \} from "vue-i18n";\nconst \{ t \} = useI18n\(\);\nconst label = t\("common\.name"\)/);
+});
+
+const options = { i18nCall: 'i18n.t', importPath: '@/i18n' };
+
+test('addI18nImport 根据 module.exports / exports 使用 require', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.strictEqual(
+    addI18nImport('module.exports = { msg: i18n.t("保存") }\n', options),
+    'const i18n = require("@/i18n");\nmodule.exports = { msg: i18n.t("保存") }\n'
+  );
+  assert.strictEqual(
+    addI18nImport('exports.msg = i18n.t("保存")\n', options),
+    'const i18n = require("@/i18n");\nexports.msg = i18n.t("保存")\n'
+  );
+  assert.strictEqual(
+    addI18nImport('export default { msg: i18n.t("保存") }\n', options),
+    'import i18n from "@/i18n";\nexport default { msg: i18n.t("保存") }\n'
+  );
+});
+
+test('addI18nImport 使用扩展名确定的模块格式', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const code = 'const msg = i18n.t("保存")\n';
+  assert.strictEqual(addI18nImport(code, { ...options, moduleType: 'commonjs' }), `const i18n = require("@/i18n");\n${code}`);
+  assert.strictEqual(addI18nImport(code, { ...options, moduleType: 'module' }), `import i18n from "@/i18n";\n${code}`);
+});
+
+test('CommonJS 模块的导入路径是别名时给出警告', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const code = 'module.exports = { msg: i18n.t("保存") }\n';
+
+  addI18nImport(code, options);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /require\("@\/i18n"\).*i18nImportPath/);
+
+  assert.strictEqual(
+    addI18nImport(code, { ...options, importPath: './i18n' }),
+    'const i18n = require("./i18n");\nmodule.exports = { msg: i18n.t("保存") }\n'
+  );
+  addI18nImport('export default { msg: i18n.t("保存") }\n', options);
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
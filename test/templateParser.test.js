@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, NodeTypes } = require('@vue/compiler-dom');
+const { convertSource } = require('../src/api');
+
+/**
+ * 转换 template 并重新解析，返回其中元素的属性表达式和插值表达式（已解码实体）
+ * @param {string} template
+ * @param {Object} locale
+ * @returns {Object} { code, replacements, elements: [{ props, interpolations }] }
+ */
+function convertTemplate(template, locale) {
+  const { code, replacements } = convertSource(`<template>\n${template}\n</template>\n`, { filename: 'App.vue', locale });
+  const root = parse(code.match(/<template>([\s\S]*)<\/template>/)[1]);
+  const elements = root.children.filter(node => node.type === NodeTypes.ELEMENT).map(element => ({
+    props: element.props.map(prop => (prop.exp ? prop.exp.content : prop.value.content)),
+    interpolations: element.children.filter(node => node.type === NodeTypes.INTERPOLATION).map(node => node.content.content)
+  }));
+  return { code, replacements, elements };
+}
+
+test('静态属性中的双引号转换后转义为 &quot;', () => {
+  const { code, elements } = convertTemplate('<input placeholder=\'他说"好"\' title="保存">', { common: { save: '保存' } });
+  assert.match(code, /:placeholder="\$t\('他说&quot;好&quot;'\)"/);
+  assert.deepStrictEqual(elements[0].props, ['$t(\'他说"好"\')', '$t(\'common.save\')']);
+});
+
+test('文本使用解码实体后的内容匹配和生成 key', () => {
+  const { replacements, elements } = convertTemplate([
+    '<span> a &amp; 保存 &lt;b&gt; </span>',
+    '<p>删除 &amp; 返回</p>'
+  ].join('\n'), { common: { save: 'a & 保存 <b>' } });
+
+  assert.deepStrictEqual(replacements.map(({ text, key }) => [text, key]), [['a & 保存 <b>', 'common.save'], ['删除 & 返回', '删除 & 返回']]);
+  assert.deepStrictEqual(elements.map(({ interpolations }) => interpolations), [['$t(\'common.save\')'], ['$t(\'删除 & 返回\')']]);
+});
+
+test('只替换中文节点，其余标记保持原样', () => {
+  const template = [
+    '<div v-if="a > b" :class="{ active: isActive }">',
+    '  <el-input',
+    '    placeholder="保存"',
+    '    @change="val => (name = \'x\')"',
+    '  />',
+    '  <span>保存</span>',
+    '</div>'
+  ].join('\n');
+  const { code } = convertTemplate(template, { common: { save: '保存' } });
+
+  assert.strictEqual(code, `<template>\n${template
+    .replace('placeholder="保存"', ':placeholder="$t(\'common.save\')"')
+    .replace('<span>保存</span>', '<span>{{ $t(\'common.save\') }}</span>')}\n</template>\n`);
+});
+
+test('指令和插值中的表达式按 script 的规则转换', () => {
+  const { elements } = convertTemplate([
+    '<el-tag :type="row.status ? \'success\' : \'info\'" :label="row.status ? \'启用\' : \'停用\'">{{ \'共\' + total + \'条\' }}</el-tag>',
+    '<el-button v-for="item in [\'新增\']" @click="$message.success(\'保存成功\'); visible = false">{{ `新增` }}</el-button>'
+  ].join('\n'), { common: { enable: '启用', save: '保存成功' } });
+
+  assert.deepStrictEqual(elements, [
+    {
+      props: ['row.status ? \'success\' : \'info\'', 'row.status ? $t(\'common.enable\') : $t(\'停用\')'],
+      interpolations: ['$t(\'共{total}条\', { total: total })']
+    },
+    {
+      props: ['item in [\'新增\']', '$message.success($t(\'common.save\')); visible = false'],
+      interpolations: ['$t(\'新增\')']
+    }
+  ]);
+});
+
+test('结尾的冒号在文本中写在插值外面，属性中用 + 连接', () => {
+  const { code } = convertTemplate('<label title="用户名：">用户名：</label>', { user: { name: '用户名' } });
+  assert.match(code, /<label :title="\$t\('user\.name'\) \+ '：'">\{\{ \$t\('user\.name'\) \}\}：<\/label>/);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { convertSource } = require('../src/api');
+const { runWithIsolatedState, setConvertOptions, setI18nMessages, setTextCollector, setCurrentFile, getKeyForChinese, splitAffixes } = require('../src/utils');
+
+/**
+ * 在独立的状态中查找文本对应的 key，并返回文本收集器收到的记录
+ * @param {Object} messages - 语言包对象
+ * @param {string} text
+ * @returns {Object} { key, record }
+ */
+function lookup(messages, text) {
+  return runWithIsolatedState(() => {
+    setConvertOptions({ skipUnmatched: true });
+    setI18nMessages(messages);
+    let record = null;
+    setTextCollector(item => { record = item; });
+    return { key: getKeyForChinese(text), record };
+  });
+}
+
+test('只有空白或全角/半角不同的文本自动匹配', () => {
+  const messages = { user: { input: '请输入用户名' }, common: { ok: '确定(OK)' } };
+  assert.strictEqual(lookup(messages, '请输入 用户名').key, 'user.input');
+  assert.strictEqual(lookup(messages, '确定（OK）').key, 'common.ok');
+});
+
+test('结尾多出的标点拆出后保留为字符串，按前面的文本匹配', () => {
+  const locale = { user: { input: '请输入用户名' }, common: { submit: '提交！' } };
+  const source = [
+    '<template><p>请输入用户名。</p><p title="请输入 用户名！">x</p></template>',
+    '<script>',
+    "const tip = '请输入用户名。'",
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code } = convertSource(source, { filename: 'App.vue', locale });
+  assert.match(code, /<p>\{\{ \$t\('user\.input'\) \}\}。<\/p>/);
+  assert.match(code, /:title="\$t\('user\.input'\) \+ '！'"/);
+  assert.match(code, /const tip = i18n\.t\("user\.input"\) \+ "。"/);
+
+  // 语言包中多出标点时不自动匹配，只作为建议
+  const submit = lookup(locale, '提交');
+  assert.strictEqual(submit.key, null);
+  assert.deepStrictEqual(submit.record.suggestions, [{ key: 'common.submit', text: '提交！' }]);
+});
+
+test('语言包中的文本按配置的词缀规则去掉词缀', () => {
+  const lookupWith = (affixes, text) => runWithIsolatedState(() => {
+    setConvertOptions({ skipUnmatched: true, affixes });
+    setI18nMessages({ common: { save: '保存！', name: '用户名：' } });
+    return splitAffixes(text).map(part => (part.translate ? getKeyForChinese(part.text) : part.text));
+  });
+
+  assert.deepStrictEqual(lookupWith([{ suffix: '！' }], '保存'), ['common.save']);
+  assert.deepStrictEqual(lookupWith([{ suffix: '！' }], '保存！'), ['common.save', '！']);
+  // 没有配置冒号规则时，语言包中的冒号保持不变
+  assert.deepStrictEqual(lookupWith([{ suffix: '！' }], '用户名：'), ['common.name']);
+  assert.deepStrictEqual(lookupWith([{ suffix: '！' }], '用户名'), [null]);
+});
+
+test('按词缀规则拆分文本，单独翻译的前缀只在都能匹配到时拆分', () => {
+  const locale = { common: { pleaseInput: '请输入', saveSuccess: '保存成功' }, user: { name: '用户名' } };
+  const affixes = [{ suffix: '：' }, { suffix: /[！!]+/ }, { prefix: '请输入', translate: true }];
+  const source = [
+    '<template>',
+    '  <el-input placeholder="请输入用户名" />',
+    '  <span>保存成功！！</span>',
+    '  <label>请输入用户名：</label>',
+    '  <p>请输入密码</p>',
+    '</template>',
+    '<script>',
+    "const tip = '请输入用户名！'",
+    '</script>',
+    ''
+  ].join('\n');
+
+  const { code } = convertSource(source, { filename: 'App.vue', locale, affixes, skipUnmatched: true });
+  assert.match(code, /:placeholder="\$t\('common\.pleaseInput'\) \+ \$t\('user\.name'\)"/);
+  assert.match(code, /<span>\{\{ \$t\('common\.saveSuccess'\) \}\}！！<\/span>/);
+  assert.match(code, /<label>\{\{ \$t\('common\.pleaseInput'\) \+ \$t\('user\.name'\) \}\}：<\/label>/);
+  // 剩下的文本匹配不到时不拆分
+  assert.match(code, /<p>请输入密码<\/p>/);
+  assert.match(code, /const tip = i18n\.t\("common\.pleaseInput"\) \+ i18n\.t\("user\.name"\) \+ "！"/);
+});
+
+test('词缀规则需要且只能设置 prefix 或 suffix 中的一个', () => {
+  for (const affixes of [[{}], [{ prefix: '请', suffix: '！' }], [{ suffix: 1 }]]) {
+    assert.throws(() => runWithIsolatedState(() => setConvertOptions({ affixes })), /词缀规则/);
+  }
+});
+
+test('同一文本对应多个 key 时按命名空间优先级选择，并记录选择依据', () => {
+  const messages = { order: { del: '删除' }, pda: { del: '删除' }, common: { del: '删除' }, shared: { del: '删除' } };
+  const select = (options, filePath = null) => runWithIsolatedState(() => {
+    setConvertOptions({ skipUnmatched: true, ...options });
+    setI18nMessages(messages);
+    setCurrentFile(filePath);
+    let record = null;
+    setTextCollector(item => { record = item; });
+    const key = getKeyForChinese('删除');
+    return [key, record.selectedBy, record.rejected.length];
+  });
+
+  assert.deepStrictEqual(select({}), ['common.del', 'priority', 3]);
+  assert.deepStrictEqual(select({ namespacePriority: ['shared', 'common'] }), ['shared.del', 'priority', 3]);
+  assert.deepStrictEqual(select({ namespacePriority: [], matchPath: ['pda', 'order'] }), ['pda.del', 'match-path', 3]);
+  assert.deepStrictEqual(select({ namespacePriority: [] }), ['order.del', 'first', 3]);
+  assert.deepStrictEqual(select({ preferNearestNamespace: true }, 'src/views/pda/scan/Index.vue'), ['pda.del', 'nearest', 3]);
+  // namespacePriority 中的命名空间不受 --match-path 限制
+  assert.deepStrictEqual(select({ matchPath: 'order' }), ['common.del', 'priority', 3]);
+});